@@ -1,6 +1,7 @@
 /**
  * Orius Chrome Extension - Background Service Worker
  * Handles token earning via server heartbeat when popup is closed
+ * Signs wallet requests through the dashboard, where the wallet is available
  * Uses device-bound wallet security
  * Developed by Orius Team
  */
@@ -9,8 +10,12 @@ const CONFIG = {
   alarmName: 'orius-heartbeat',
   alarmPeriodMinutes: 0.167,
   apiUrl: 'https://orius.io',
+  dashboardUrl: 'https://orius.io',
+  walletBridgeLoadTimeoutMs: 30000,
 };
 
+importScripts('device-identity.js', 'wallet-signer.js');
+
 let sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2);
 
 function generateDeviceId() {
@@ -31,6 +36,12 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     
     const deviceId = generateDeviceId();
     
+    try {
+      await new OriusDeviceIdentity().ensureKeyPair();
+    } catch (error) {
+      console.log('Orius: Device keypair generation failed', error.message);
+    }
+    
     await chrome.storage.local.set({
       isNodeOn: false,
       onlineSeconds: 0,
@@ -101,7 +112,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 });
 
 async function sendHeartbeat() {
-  const data = await chrome.storage.local.get(['isNodeOn', 'walletAddress', 'deviceId', 'onlineSeconds']);
+  const data = await chrome.storage.local.get(['isNodeOn', 'walletAddress', 'deviceId', 'onlineSeconds', 'sessionToken']);
   
   if (!data.isNodeOn || !data.walletAddress || !data.deviceId) {
     stopAlarm();
@@ -112,7 +123,10 @@ async function sendHeartbeat() {
   try {
     const response = await fetch(`${CONFIG.apiUrl}/api/heartbeat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${data.sessionToken || ''}`
+      },
       body: JSON.stringify({
         walletAddress: data.walletAddress,
         deviceId: data.deviceId,
@@ -125,6 +139,14 @@ async function sendHeartbeat() {
       return;
     }
     
+    if (response.status === 401) {
+      console.log('Orius: Session expired - stopping until wallet signs in again');
+      await chrome.storage.local.set({ isNodeOn: false, sessionToken: null, sessionExpiresAt: null, sessionWallet: null });
+      stopAlarm();
+      updateBadge(false);
+      return;
+    }
+    
     if (response.status === 403) {
       console.log('Orius: Device mismatch - stopping');
       await chrome.storage.local.set({ isNodeOn: false });
@@ -191,6 +213,96 @@ async function processBrowsingActivity(data) {
   console.log('Orius: Browsing activity recorded', data.domain);
 }
 
+// ============================================
+// WALLET BRIDGE
+// ============================================
+
+// Wallets inject their provider into web pages only, so wallet requests are signed in a dashboard tab
+// through the content script there
+class DashboardWalletBridge {
+  constructor(tabId) {
+    this.tabId = tabId;
+  }
+
+  static async open() {
+    const tab = await chrome.tabs.create({ url: CONFIG.dashboardUrl });
+    const bridge = new DashboardWalletBridge(tab.id);
+
+    try {
+      await bridge.waitUntilReady();
+    } catch (error) {
+      await bridge.close();
+      throw error;
+    }
+    return bridge;
+  }
+
+  async waitUntilReady() {
+    const deadline = Date.now() + CONFIG.walletBridgeLoadTimeoutMs;
+
+    while (Date.now() < deadline) {
+      try {
+        const response = await chrome.tabs.sendMessage(this.tabId, { type: 'WALLET_BRIDGE_PING' });
+        if (response?.ready) return;
+      } catch (error) {
+        // Content script not loaded yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    throw new Error('Dashboard did not load - check your connection and try again');
+  }
+
+  async call(method, message) {
+    const response = await chrome.tabs.sendMessage(this.tabId, { type: 'WALLET_BRIDGE_REQUEST', method, message });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Wallet request failed');
+    }
+    return response.result;
+  }
+
+  getAddress() {
+    return this.call('getAddress');
+  }
+
+  signMessage(message) {
+    return this.call('signMessage', message);
+  }
+
+  async close() {
+    try {
+      await chrome.tabs.remove(this.tabId);
+    } catch (error) {
+      // Already closed by the user
+    }
+  }
+}
+
+// Runs here rather than in the popup, which closes as soon as the wallet prompt takes focus
+async function runWalletSignedRequest(request) {
+  // Extension API calls reset the service worker's idle timer while the user decides in the wallet
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo(), 20000);
+  let bridge = null;
+
+  try {
+    bridge = await DashboardWalletBridge.open();
+    const result = await OriusWalletSigner.signedRequest(bridge, CONFIG.apiUrl, request);
+
+    // Stored here too so a sign-in still takes effect if the popup is gone by now
+    if (result.success && result.token) {
+      await chrome.storage.local.set({
+        sessionToken: result.token,
+        sessionExpiresAt: result.expiresAt,
+        sessionWallet: request.walletAddress
+      });
+    }
+    return result;
+  } finally {
+    clearInterval(keepAlive);
+    if (bridge) await bridge.close();
+  }
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.type) {
     case 'NODE_ON':
@@ -230,6 +342,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
       
+    case 'WALLET_SIGNED_REQUEST':
+      runWalletSignedRequest(request.request)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+      
     case 'PING':
       sendResponse({ status: 'ok', timestamp: Date.now() });
       break;
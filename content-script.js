@@ -1,6 +1,7 @@
 /**
  * Orius Content Script
  * Collects browsing activity data with user permission
+ * Relays wallet requests from the background on the dashboard
  * Developed by Orius Team
  */
 
@@ -66,3 +67,75 @@
 
   sendActivityData();
 })();
+
+// Wallets inject their provider into web pages, never into extension pages, so on the dashboard the
+// background signs wallet requests through here: page scripts reach the wallet and reply over postMessage
+(function() {
+  const DASHBOARD_ORIGIN = 'https://orius.io';
+
+  if (window.location.origin !== DASHBOARD_ORIGIN) return;
+
+  const pendingRequests = new Map();
+  let nextRequestId = 1;
+  let bridgeLoaded = null;
+
+  function loadPageScript(file) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL(file);
+      script.onload = () => {
+        script.remove();
+        resolve();
+      };
+      script.onerror = () => reject(new Error('Wallet bridge failed to load'));
+      (document.head || document.documentElement).appendChild(script);
+    });
+  }
+
+  function loadBridge() {
+    if (!bridgeLoaded) {
+      bridgeLoaded = loadPageScript('wallet-signer.js').then(() => loadPageScript('wallet-bridge.js'));
+      bridgeLoaded.catch(() => { bridgeLoaded = null; });
+    }
+    return bridgeLoaded;
+  }
+
+  async function callWallet(method, message) {
+    await loadBridge();
+
+    const id = nextRequestId++;
+    const reply = await new Promise(resolve => {
+      pendingRequests.set(id, resolve);
+      window.postMessage({ source: 'orius-extension', id, method, message }, DASHBOARD_ORIGIN);
+    });
+
+    if (reply.error) {
+      throw new Error(reply.error);
+    }
+    return reply.result;
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== 'orius-wallet-bridge') return;
+
+    const resolve = pendingRequests.get(event.data.id);
+    if (resolve) {
+      pendingRequests.delete(event.data.id);
+      resolve(event.data);
+    }
+  });
+
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    switch (request.type) {
+      case 'WALLET_BRIDGE_PING':
+        sendResponse({ ready: true });
+        break;
+
+      case 'WALLET_BRIDGE_REQUEST':
+        callWallet(request.method, request.message)
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+  });
+})();
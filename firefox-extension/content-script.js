@@ -1,6 +1,7 @@
 /**
  * Orius Content Script (Firefox)
  * Collects browsing activity data with user permission
+ * Relays wallet requests from the background on the dashboard
  * Developed by Orius Team
  */
 
@@ -66,3 +67,73 @@
 
   sendActivityData();
 })();
+
+// Wallets inject their provider into web pages, never into extension pages, so on the dashboard the
+// background signs wallet requests through here: page scripts reach the wallet and reply over postMessage
+(function() {
+  const DASHBOARD_ORIGIN = 'https://orius.io';
+
+  if (window.location.origin !== DASHBOARD_ORIGIN) return;
+
+  const pendingRequests = new Map();
+  let nextRequestId = 1;
+  let bridgeLoaded = null;
+
+  function loadPageScript(file) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = browser.runtime.getURL(file);
+      script.onload = () => {
+        script.remove();
+        resolve();
+      };
+      script.onerror = () => reject(new Error('Wallet bridge failed to load'));
+      (document.head || document.documentElement).appendChild(script);
+    });
+  }
+
+  function loadBridge() {
+    if (!bridgeLoaded) {
+      bridgeLoaded = loadPageScript('wallet-signer.js').then(() => loadPageScript('wallet-bridge.js'));
+      bridgeLoaded.catch(() => { bridgeLoaded = null; });
+    }
+    return bridgeLoaded;
+  }
+
+  async function callWallet(method, message) {
+    await loadBridge();
+
+    const id = nextRequestId++;
+    const reply = await new Promise(resolve => {
+      pendingRequests.set(id, resolve);
+      window.postMessage({ source: 'orius-extension', id, method, message }, DASHBOARD_ORIGIN);
+    });
+
+    if (reply.error) {
+      throw new Error(reply.error);
+    }
+    return reply.result;
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== 'orius-wallet-bridge') return;
+
+    const resolve = pendingRequests.get(event.data.id);
+    if (resolve) {
+      pendingRequests.delete(event.data.id);
+      resolve(event.data);
+    }
+  });
+
+  browser.runtime.onMessage.addListener((request) => {
+    switch (request.type) {
+      case 'WALLET_BRIDGE_PING':
+        return Promise.resolve({ ready: true });
+
+      case 'WALLET_BRIDGE_REQUEST':
+        return callWallet(request.method, request.message)
+          .then(result => ({ success: true, result }))
+          .catch(error => ({ success: false, error: error.message }));
+    }
+  });
+})();
@@ -0,0 +1,140 @@
+/**
+ * Orius Compute Network - Device Identity
+ * Non-extractable device keypair used to sign compute requests
+ * For Chrome/Firefox extension
+ * Developed by Orius Team
+ */
+
+const DEVICE_KEY_ALGORITHM = 'ECDSA-P256';
+
+class OriusDeviceIdentity {
+  constructor(dbName = 'orius-identity') {
+    this.dbName = dbName;
+    this.storeName = 'keys';
+    this.keyPair = null;
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async readKeyPair() {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get('device');
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async writeKeyPair(keyPair) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite');
+      tx.objectStore(this.storeName).put(keyPair, 'device');
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async ensureKeyPair() {
+    if (this.keyPair) return this.keyPair;
+
+    this.keyPair = await this.readKeyPair();
+
+    if (!this.keyPair) {
+      this.keyPair = await crypto.subtle.generateKey(
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['sign', 'verify']
+      );
+      await this.writeKeyPair(this.keyPair);
+      console.log('Device keypair generated');
+    }
+
+    return this.keyPair;
+  }
+
+  async getPublicKey() {
+    const keyPair = await this.ensureKeyPair();
+    const spki = await crypto.subtle.exportKey('spki', keyPair.publicKey);
+    return this.toBase64(new Uint8Array(spki));
+  }
+
+  getAlgorithm() {
+    return DEVICE_KEY_ALGORITHM;
+  }
+
+  async signRequest(method, path, body) {
+    const keyPair = await this.ensureKeyPair();
+    const timestamp = String(Date.now());
+    const nonce = this.toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const bodyHash = await this.sha256Hex(body || '');
+    const payload = [method.toUpperCase(), path, bodyHash, timestamp, nonce].join('\n');
+
+    const signature = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      keyPair.privateKey,
+      new TextEncoder().encode(payload)
+    );
+
+    return {
+      'X-Device-Timestamp': timestamp,
+      'X-Device-Nonce': nonce,
+      'X-Device-Signature': this.toBase64(new Uint8Array(signature))
+    };
+  }
+
+  // Hash of stable browser and hardware traits; lets the server spot one machine behind several device IDs
+  async getFingerprint() {
+    const traits = [
+      navigator.hardwareConcurrency || 0,
+      navigator.deviceMemory || 0,
+      navigator.platform || '',
+      (navigator.languages || [navigator.language]).join(','),
+      Intl.DateTimeFormat().resolvedOptions().timeZone || '',
+      typeof screen !== 'undefined' ? [screen.width, screen.height, screen.colorDepth].join('x') : '',
+      this.getGpuRenderer()
+    ];
+    return this.sha256Hex(traits.join('|'));
+  }
+
+  getGpuRenderer() {
+    try {
+      const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas');
+      const gl = canvas.getContext('webgl');
+      const info = gl && gl.getExtension('WEBGL_debug_renderer_info');
+      return info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  async sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return this.toHex(new Uint8Array(digest));
+  }
+
+  toHex(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OriusDeviceIdentity;
+}
+
+if (typeof self !== 'undefined') {
+  self.OriusDeviceIdentity = OriusDeviceIdentity;
+}
@@ -17,6 +17,8 @@ const CONFIG = {
 let heartbeatTimer = null;
 let sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2);
 let deviceId = null;
+let walletSigner = null;
+let deviceIdentity = null;
 
 const storage = {
   async get(keys) {
@@ -74,6 +76,10 @@ let state = {
   isRegistered: false,
   serverBalance: 0,
   earnedToday: 0,
+  sessionToken: null,
+  sessionExpiresAt: null,
+  sessionWallet: null, // Wallet the session token was issued for
+  deviceKeyRegistered: false,
 };
 
 let updateInterval = null;
@@ -121,6 +127,12 @@ const el = {
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
+  // Opened as a normal page (preview) it can reach the wallet itself; the extension goes through the background
+  if (!window.browser?.storage) {
+    walletSigner = OriusWalletSigner.create('injected');
+  }
+  deviceIdentity = new OriusDeviceIdentity();
+  
   await loadState();
   
   const isPreview = !window.browser?.storage;
@@ -184,7 +196,8 @@ async function loadState() {
       'isNodeOn', 'onlineSeconds', 'tokensToday', 'totalTokens', 
       'walletAddress', 'lastActiveDate', 'computeScore', 'tasksCompleted',
       'location', 'locationGranted', 'browsingEnabled', 'browsingStats', 'permissionAsked',
-      'isRegistered', 'serverBalance', 'deviceId', 'earnedToday'
+      'isRegistered', 'serverBalance', 'deviceId', 'earnedToday',
+      'sessionToken', 'sessionExpiresAt', 'sessionWallet', 'deviceKeyRegistered'
     ]);
     
     const today = new Date().toDateString();
@@ -209,6 +222,10 @@ async function loadState() {
     state.browsingStats = data.browsingStats || null;
     state.permissionAsked = data.permissionAsked || false;
     state.earnedToday = isNewDay ? 0 : (data.earnedToday || 0);
+    state.sessionToken = data.sessionToken || null;
+    state.sessionExpiresAt = data.sessionExpiresAt || null;
+    state.sessionWallet = data.sessionWallet || null;
+    state.deviceKeyRegistered = data.deviceKeyRegistered || false;
     
     await storage.set({ lastActiveDate: today });
     
@@ -272,7 +289,101 @@ async function saveState() {
     serverBalance: state.serverBalance,
     deviceId: deviceId,
     earnedToday: state.earnedToday,
+    sessionToken: state.sessionToken,
+    sessionExpiresAt: state.sessionExpiresAt,
+    sessionWallet: state.sessionWallet,
+    deviceKeyRegistered: state.deviceKeyRegistered,
+  });
+}
+
+function hasValidSession(walletAddress = null) {
+  return !!state.sessionToken && !!state.sessionExpiresAt &&
+    new Date(state.sessionExpiresAt).getTime() > Date.now() + 60000 &&
+    (!walletAddress || state.sessionWallet === walletAddress);
+}
+
+function authHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (state.sessionToken) {
+    headers['Authorization'] = `Bearer ${state.sessionToken}`;
+  }
+  return headers;
+}
+
+async function clearSession() {
+  state.sessionToken = null;
+  state.sessionExpiresAt = null;
+  state.sessionWallet = null;
+  await storage.set({ sessionToken: null, sessionExpiresAt: null, sessionWallet: null });
+}
+
+/**
+ * Fetches a challenge, signs it with the wallet and submits it. Wallets don't inject into extension pages,
+ * so the background signs through a dashboard tab and finishes the request even if this popup closes when
+ * the wallet prompt takes focus; a sign-in then takes effect the next time it opens.
+ */
+async function walletSignedRequest(request) {
+  if (walletSigner) {
+    return OriusWalletSigner.signedRequest(walletSigner, CONFIG.apiUrl, request);
+  }
+  
+  const response = await browser.runtime.sendMessage({ type: 'WALLET_SIGNED_REQUEST', request });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Wallet request failed');
+  }
+  return response.result;
+}
+
+async function authenticateWallet(walletAddress) {
+  const session = await walletSignedRequest({
+    walletAddress,
+    challenge: { path: '/api/auth/challenge', body: { walletAddress, deviceId } },
+    submit: { path: '/api/auth/verify', body: { walletAddress, deviceId } }
   });
+  
+  if (!session.success) {
+    throw new Error(session.error || 'Wallet signature rejected');
+  }
+  
+  state.sessionToken = session.token;
+  state.sessionExpiresAt = session.expiresAt;
+  state.sessionWallet = walletAddress;
+  await storage.set({ sessionToken: session.token, sessionExpiresAt: session.expiresAt, sessionWallet: walletAddress });
+}
+
+async function ensureSession(walletAddress) {
+  if (!hasValidSession(walletAddress)) {
+    await authenticateWallet(walletAddress);
+  }
+}
+
+async function registerDeviceKey() {
+  if (state.deviceKeyRegistered || !hasValidSession()) return state.deviceKeyRegistered;
+  
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}/api/device/key`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({
+        walletAddress: state.walletAddress,
+        deviceId: deviceId,
+        publicKey: await deviceIdentity.getPublicKey(),
+        algorithm: deviceIdentity.getAlgorithm()
+      })
+    });
+    const result = await response.json();
+    
+    if (result.success) {
+      state.deviceKeyRegistered = true;
+      await storage.set({ deviceKeyRegistered: true });
+    } else {
+      console.log('Device key registration failed:', result.error);
+    }
+  } catch (error) {
+    console.log('Device key registration skipped:', error.message);
+  }
+  
+  return state.deviceKeyRegistered;
 }
 
 async function getSystemInfo() {
@@ -479,7 +590,7 @@ async function sendHeartbeat() {
   try {
     const response = await fetch(`${CONFIG.apiUrl}/api/heartbeat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders(),
       body: JSON.stringify({
         walletAddress: state.walletAddress,
         deviceId: deviceId,
@@ -492,6 +603,17 @@ async function sendHeartbeat() {
       return;
     }
     
+    if (response.status === 401) {
+      console.log('Session expired - stopping node');
+      state.isNodeOn = false;
+      stopNode();
+      notifyBackground('NODE_OFF');
+      await clearSession();
+      await saveState();
+      alert('Your session has expired. Sign in with your wallet in Settings to keep earning.');
+      return;
+    }
+    
     if (response.status === 403) {
       console.log('Device mismatch - stopping node');
       state.isNodeOn = false;
@@ -624,13 +746,18 @@ async function saveWallet() {
     return;
   }
   
-  el.walletMessage.textContent = 'Registering wallet...';
+  el.walletMessage.textContent = 'Approve the sign-in request in your wallet...';
   el.saveWalletBtn.disabled = true;
   
   try {
+    // A sign-in the background finished after the popup closed is reused
+    await ensureSession(addr);
+    
+    el.walletMessage.textContent = 'Registering wallet...';
+    
     const response = await fetch(`${CONFIG.apiUrl}/api/register`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders(),
       body: JSON.stringify({ 
         walletAddress: addr,
         deviceId: deviceId
@@ -642,8 +769,9 @@ async function saveWallet() {
     if (result.success) {
       state.walletAddress = addr;
       state.isRegistered = true;
-      state.serverBalance = result.user.claimableBalance || 0;
+      state.serverBalance = result.balance?.claimableBalance || 0;
       await saveState();
+      await registerDeviceKey();
       
       el.walletMessage.textContent = 'Wallet registered successfully!';
       el.walletMessage.classList.add('success');
@@ -805,15 +933,22 @@ async function handleClaim() {
   el.claimBtnText.textContent = 'Processing...';
   
   try {
+    await ensureSession(wallet);
+    
     const response = await fetch(`${CONFIG.apiUrl}/api/claim`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders(),
       body: JSON.stringify({ 
         walletAddress: wallet,
         deviceId: deviceId
       })
     });
     
+    if (response.status === 401) {
+      await clearSession();
+      throw new Error('Session expired - please try again');
+    }
+    
     const result = await response.json();
     
     if (result.success) {
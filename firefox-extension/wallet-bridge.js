@@ -0,0 +1,27 @@
+/**
+ * Orius Wallet Bridge
+ * Runs in the dashboard page, where the wallet injects its provider, and answers the extension's wallet requests
+ * Loaded by the content script after wallet-signer.js
+ * Developed by Orius Team
+ */
+
+(function() {
+  const signer = OriusWalletSigner.create('injected');
+
+  window.addEventListener('message', async (event) => {
+    if (event.source !== window || event.data?.source !== 'orius-extension') return;
+
+    const { id, method, message } = event.data;
+    const reply = { source: 'orius-wallet-bridge', id };
+
+    try {
+      reply.result = method === 'signMessage'
+        ? await signer.signMessage(message)
+        : await signer.getAddress();
+    } catch (error) {
+      reply.error = error.message || 'Wallet request failed';
+    }
+
+    window.postMessage(reply, window.location.origin);
+  });
+})();
@@ -14,6 +14,7 @@ const CONFIG = {
   geoApiUrl: 'https://ipinfo.io/json',
   minClaimAmount: 100,
   apiUrl: isPreviewMode ? '' : 'https://orius.io',
+  signerType: isPreviewMode && new URLSearchParams(location.search).has('mockSigner') ? 'mock' : 'injected',
 };
 
 let heartbeatTimer = null;
@@ -21,6 +22,8 @@ let sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2);
 let deviceId = null;
 let computeEngine = null;
 let taskClient = null;
+let walletSigner = null;
+let deviceIdentity = null;
 
 const storage = {
   async get(keys) {
@@ -78,6 +81,13 @@ let state = {
   isRegistered: false,
   serverBalance: 0,
   earnedToday: 0,
+  sessionToken: null,
+  sessionExpiresAt: null,
+  sessionWallet: null, // Wallet the session token was issued for
+  deviceKeyRegistered: false,
+  referralCode: null,
+  recoveryWallet: null, // Set while this device is picking a lost device to replace
+  claimsFrozenUntil: null, // End of the claim freeze while a payout wallet change is pending
 };
 
 let updateInterval = null;
@@ -120,11 +130,35 @@ const el = {
   claimableAmount: document.getElementById('claimableAmount'),
   claimBtn: document.getElementById('claimBtn'),
   claimBtnText: document.getElementById('claimBtnText'),
+  referralInput: document.getElementById('referralInput'),
+  referralSection: document.getElementById('referralSection'),
+  referralCode: document.getElementById('referralCode'),
+  referralCount: document.getElementById('referralCount'),
+  referralBonus: document.getElementById('referralBonus'),
+  referralPending: document.getElementById('referralPending'),
+  referralHint: document.getElementById('referralHint'),
+  payoutSection: document.getElementById('payoutSection'),
+  payoutFormRow: document.getElementById('payoutFormRow'),
+  payoutInput: document.getElementById('payoutInput'),
+  payoutChangeBtn: document.getElementById('payoutChangeBtn'),
+  payoutPendingRow: document.getElementById('payoutPendingRow'),
+  payoutPending: document.getElementById('payoutPending'),
+  payoutCancelBtn: document.getElementById('payoutCancelBtn'),
+  payoutHint: document.getElementById('payoutHint'),
+  devicesSection: document.getElementById('devicesSection'),
+  deviceList: document.getElementById('deviceList'),
+  devicesHint: document.getElementById('devicesHint'),
 };
 
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
+  // A preview runs as a normal page and signs itself; the extension goes through the background
+  if (isPreviewMode) {
+    walletSigner = OriusWalletSigner.create(CONFIG.signerType);
+  }
+  deviceIdentity = new OriusDeviceIdentity();
+  
   await loadState();
   
   const isPreview = !window.chrome?.storage;
@@ -162,7 +196,7 @@ async function initializeComputeEngine() {
       console.log('Compute engine initialized:', computeEngine.capabilities);
       
       if (deviceId) {
-        taskClient = new OriusTaskClient(CONFIG.apiUrl, deviceId);
+        taskClient = new OriusTaskClient(CONFIG.apiUrl, deviceId, deviceIdentity);
         
         taskClient.on('taskStart', (task) => {
           addRealActivityLog({
@@ -275,7 +309,8 @@ async function loadState() {
       'isNodeOn', 'onlineSeconds', 'tokensToday', 'totalTokens', 
       'walletAddress', 'lastActiveDate', 'computeScore', 'tasksCompleted',
       'location', 'locationGranted', 'browsingEnabled', 'browsingStats', 'permissionAsked',
-      'isRegistered', 'serverBalance', 'deviceId', 'earnedToday'
+      'isRegistered', 'serverBalance', 'deviceId', 'earnedToday',
+      'sessionToken', 'sessionExpiresAt', 'sessionWallet', 'deviceKeyRegistered'
     ]);
     
     const today = new Date().toDateString();
@@ -300,6 +335,10 @@ async function loadState() {
     state.browsingStats = data.browsingStats || null;
     state.permissionAsked = data.permissionAsked || false;
     state.earnedToday = isNewDay ? 0 : (data.earnedToday || 0);
+    state.sessionToken = data.sessionToken || null;
+    state.sessionExpiresAt = data.sessionExpiresAt || null;
+    state.sessionWallet = data.sessionWallet || null;
+    state.deviceKeyRegistered = data.deviceKeyRegistered || false;
     
     await storage.set({ lastActiveDate: today });
     
@@ -363,9 +402,103 @@ async function saveState() {
     serverBalance: state.serverBalance,
     deviceId: deviceId,
     earnedToday: state.earnedToday,
+    sessionToken: state.sessionToken,
+    sessionExpiresAt: state.sessionExpiresAt,
+    sessionWallet: state.sessionWallet,
+    deviceKeyRegistered: state.deviceKeyRegistered,
   });
 }
 
+function hasValidSession(walletAddress = null) {
+  return !!state.sessionToken && !!state.sessionExpiresAt &&
+    new Date(state.sessionExpiresAt).getTime() > Date.now() + 60000 &&
+    (!walletAddress || state.sessionWallet === walletAddress);
+}
+
+function authHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+  if (state.sessionToken) {
+    headers['Authorization'] = `Bearer ${state.sessionToken}`;
+  }
+  return headers;
+}
+
+async function clearSession() {
+  state.sessionToken = null;
+  state.sessionExpiresAt = null;
+  state.sessionWallet = null;
+  await storage.set({ sessionToken: null, sessionExpiresAt: null, sessionWallet: null });
+}
+
+/**
+ * Fetches a challenge, signs it with the wallet and submits it. Wallets don't inject into extension pages,
+ * so the background signs through a dashboard tab and finishes the request even if this popup closes when
+ * the wallet prompt takes focus; a sign-in then takes effect the next time it opens.
+ */
+async function walletSignedRequest(request) {
+  if (walletSigner) {
+    return OriusWalletSigner.signedRequest(walletSigner, CONFIG.apiUrl, request);
+  }
+  
+  const response = await chrome.runtime.sendMessage({ type: 'WALLET_SIGNED_REQUEST', request });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Wallet request failed');
+  }
+  return response.result;
+}
+
+async function authenticateWallet(walletAddress) {
+  const session = await walletSignedRequest({
+    walletAddress,
+    challenge: { path: '/api/auth/challenge', body: { walletAddress, deviceId } },
+    submit: { path: '/api/auth/verify', body: { walletAddress, deviceId } }
+  });
+  
+  if (!session.success) {
+    throw new Error(session.error || 'Wallet signature rejected');
+  }
+  
+  state.sessionToken = session.token;
+  state.sessionExpiresAt = session.expiresAt;
+  state.sessionWallet = walletAddress;
+  await storage.set({ sessionToken: session.token, sessionExpiresAt: session.expiresAt, sessionWallet: walletAddress });
+}
+
+async function ensureSession(walletAddress) {
+  if (!hasValidSession(walletAddress)) {
+    await authenticateWallet(walletAddress);
+  }
+}
+
+async function registerDeviceKey() {
+  if (state.deviceKeyRegistered || !hasValidSession()) return state.deviceKeyRegistered;
+  
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}/api/device/key`, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify({
+        walletAddress: state.walletAddress,
+        deviceId: deviceId,
+        publicKey: await deviceIdentity.getPublicKey(),
+        algorithm: deviceIdentity.getAlgorithm()
+      })
+    });
+    const result = await response.json();
+    
+    if (result.success) {
+      state.deviceKeyRegistered = true;
+      await storage.set({ deviceKeyRegistered: true });
+    } else {
+      console.log('Device key registration failed:', result.error);
+    }
+  } catch (error) {
+    console.log('Device key registration skipped:', error.message);
+  }
+  
+  return state.deviceKeyRegistered;
+}
+
 async function getSystemInfo() {
   try {
     if (typeof chrome !== 'undefined' && chrome.system?.cpu) {
@@ -475,6 +608,10 @@ function setupListeners() {
   el.permAllowBtn.addEventListener('click', handlePermissionAllow);
   el.permDenyBtn.addEventListener('click', handlePermissionDeny);
   el.claimBtn.addEventListener('click', handleClaim);
+  el.referralCode.addEventListener('click', copyReferralCode);
+  el.deviceList.addEventListener('click', handleDeviceAction);
+  el.payoutChangeBtn.addEventListener('click', requestWalletChange);
+  el.payoutCancelBtn.addEventListener('click', cancelWalletChange);
   
   el.dashboardBtn.addEventListener('click', () => {
     if (typeof chrome !== 'undefined' && chrome.tabs) {
@@ -491,8 +628,14 @@ function switchTab(tabId) {
   
   if (tabId === 'settings') {
     el.walletInput.value = state.walletAddress;
+    if (!state.walletAddress && CONFIG.signerType === 'mock') {
+      walletSigner.getAddress().then(addr => { el.walletInput.value = addr; });
+    }
     if (state.walletAddress) {
       fetchBalance();
+      fetchReferrals();
+      fetchDevices();
+      fetchWalletChange();
     }
   }
 }
@@ -520,6 +663,281 @@ async function fetchBalance() {
   }
 }
 
+async function fetchReferrals() {
+  if (!state.walletAddress) return;
+  
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}/api/referrals/${state.walletAddress}`);
+    const result = await response.json();
+    
+    if (result.success) {
+      state.referralCode = result.code;
+      el.referralCode.textContent = result.code;
+      el.referralCount.textContent = result.stats.active;
+      el.referralBonus.textContent = formatTokens(result.stats.bonusEarned, 2);
+      el.referralPending.textContent = formatTokens(result.stats.bonusPending, 2);
+      el.referralHint.textContent = `Earn ${Math.round(result.bonusShare * 100)}% of the compute rewards of nodes you invite` +
+        (result.durationDays ? ` for ${result.durationDays} days` : '');
+      el.referralSection.classList.remove('hidden');
+    }
+  } catch (error) {
+    console.log('Referral fetch skipped:', error.message);
+  }
+}
+
+async function copyReferralCode() {
+  if (!state.referralCode) return;
+  
+  try {
+    await navigator.clipboard.writeText(state.referralCode);
+    el.referralHint.textContent = 'Code copied';
+  } catch (error) {
+    console.log('Copy failed:', error.message);
+  }
+}
+
+// Needs a wallet session; skipped until the user has signed in on this device
+async function fetchDevices() {
+  const wallet = state.walletAddress || state.recoveryWallet;
+  if (!wallet || !hasValidSession()) return;
+  
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}/api/wallets/${wallet}/devices`, {
+      headers: authHeaders()
+    });
+    
+    if (response.status === 401) {
+      await clearSession();
+      return;
+    }
+    
+    const result = await response.json();
+    
+    if (result.success) {
+      const active = result.devices.filter(d => d.status === 'active').length;
+      renderDevices(result.devices);
+      el.devicesHint.textContent = state.recoveryWallet
+        ? 'Pick the lost device this one replaces'
+        : `${active} of ${result.maxDevices} devices active on this wallet`;
+      el.devicesSection.classList.remove('hidden');
+    }
+  } catch (error) {
+    console.log('Device fetch skipped:', error.message);
+  }
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function renderDevices(devices) {
+  el.deviceList.innerHTML = devices.map(device => {
+    const classes = ['device-row', device.current ? 'current' : '', device.status === 'revoked' ? 'revoked' : ''].join(' ');
+    const name = device.name || `Device ${device.deviceId.slice(0, 8)}`;
+    const meta = device.status === 'revoked'
+      ? 'Revoked'
+      : `${device.current ? 'This device | ' : ''}${formatTokens(device.earned || 0, 2)} earned`;
+    const actions = device.status !== 'active' ? '' : state.recoveryWallet ? `
+      <div class="device-actions">
+        <button class="device-action" data-action="replace" data-device="${escapeHtml(device.deviceId)}">Replace</button>
+      </div>` : `
+      <div class="device-actions">
+        <button class="device-action" data-action="rename" data-device="${escapeHtml(device.deviceId)}">Rename</button>
+        ${device.current ? '' : `<button class="device-action" data-action="revoke" data-device="${escapeHtml(device.deviceId)}">Revoke</button>`}
+      </div>`;
+    return `
+      <div class="${classes}">
+        <div class="device-info">
+          <span class="device-name">${escapeHtml(name)}</span>
+          <span class="device-meta">${meta}</span>
+        </div>
+        ${actions}
+      </div>
+    `;
+  }).join('');
+}
+
+async function handleDeviceAction(event) {
+  const button = event.target.closest('.device-action');
+  if (!button) return;
+  
+  const { action, device } = button.dataset;
+  
+  if (action === 'replace') {
+    return recoverDevice(device);
+  }
+  
+  const url = `${CONFIG.apiUrl}/api/wallets/${state.walletAddress}/devices/${device}/${action}`;
+  let body = {};
+  
+  if (action === 'rename') {
+    const name = prompt('Device name', '');
+    if (!name || !name.trim()) return;
+    body = { name: name.trim().slice(0, 64) };
+  } else if (!confirm('Revoke this device? It will stop earning for this wallet.')) {
+    return;
+  }
+  
+  try {
+    await ensureSession(state.walletAddress);
+    
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: authHeaders(),
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    
+    if (!result.success) {
+      el.devicesHint.textContent = result.error || 'Device update failed';
+      return;
+    }
+    
+    await fetchDevices();
+  } catch (error) {
+    el.devicesHint.textContent = error.message;
+  }
+}
+
+async function fetchWalletChange() {
+  if (!state.walletAddress || !hasValidSession()) return;
+  
+  try {
+    const response = await fetch(`${CONFIG.apiUrl}/api/wallets/${state.walletAddress}/payout-wallet`, {
+      headers: authHeaders()
+    });
+    
+    if (response.status === 401) {
+      await clearSession();
+      return;
+    }
+    
+    const result = await response.json();
+    
+    if (result.success) {
+      const pending = result.pending;
+      state.claimsFrozenUntil = pending ? pending.effectiveAt : null;
+      
+      el.payoutFormRow.classList.toggle('hidden', !!pending);
+      el.payoutPendingRow.classList.toggle('hidden', !pending);
+      if (pending) {
+        el.payoutPending.textContent = `Moving to ${pending.newWallet.slice(0, 4)}...${pending.newWallet.slice(-4)}`;
+        el.payoutHint.textContent = `Takes effect ${new Date(pending.effectiveAt).toLocaleString()}; claims are paused until then`;
+      } else {
+        el.payoutHint.textContent = `Balance and history move with your account. Claims pause for ${result.freezeHours} hours after a change`;
+      }
+      el.payoutSection.classList.remove('hidden');
+      updateClaimUI();
+    }
+  } catch (error) {
+    console.log('Wallet change fetch skipped:', error.message);
+  }
+}
+
+// Signed by the current wallet; the new address only has to be valid
+async function requestWalletChange() {
+  const wallet = state.walletAddress;
+  const newWalletAddress = el.payoutInput.value.trim();
+  
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(newWalletAddress)) {
+    el.payoutHint.textContent = 'Invalid Solana address format';
+    return;
+  }
+  
+  if (!confirm(`Send future payouts to ${newWalletAddress}? Claims pause until the change takes effect.`)) {
+    return;
+  }
+  
+  el.payoutChangeBtn.disabled = true;
+  el.payoutHint.textContent = 'Approve the request in your current wallet...';
+  
+  try {
+    const result = await walletSignedRequest({
+      walletAddress: wallet,
+      challenge: { path: `/api/wallets/${wallet}/payout-wallet/challenge`, body: { deviceId, newWalletAddress } },
+      submit: { path: `/api/wallets/${wallet}/payout-wallet`, body: { deviceId } }
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Wallet change failed');
+    }
+    
+    el.payoutInput.value = '';
+    await ensureSession(wallet);
+    await fetchWalletChange();
+  } catch (error) {
+    el.payoutHint.textContent = error.message;
+  }
+  
+  el.payoutChangeBtn.disabled = false;
+}
+
+async function cancelWalletChange() {
+  try {
+    await ensureSession(state.walletAddress);
+    
+    const response = await fetch(`${CONFIG.apiUrl}/api/wallets/${state.walletAddress}/payout-wallet/cancel`, {
+      method: 'POST',
+      headers: authHeaders()
+    });
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Cancel failed');
+    }
+    
+    await fetchWalletChange();
+  } catch (error) {
+    el.payoutHint.textContent = error.message;
+  }
+}
+
+// Replaces a lost device with this one, e.g. after a reinstall generated a new device ID
+async function recoverDevice(replacesDeviceId) {
+  const wallet = state.recoveryWallet;
+  if (!wallet || !confirm('Replace that device with this one? It will be revoked and claims from this device pause for a day.')) {
+    return;
+  }
+  
+  el.devicesHint.textContent = 'Approve the recovery request in your wallet...';
+  
+  try {
+    const result = await walletSignedRequest({
+      walletAddress: wallet,
+      challenge: { path: '/api/device/recover/challenge', body: { walletAddress: wallet, deviceId, replacesDeviceId } },
+      submit: {
+        path: '/api/device/recover',
+        body: { walletAddress: wallet, deviceId, deviceFingerprint: await deviceIdentity.getFingerprint() }
+      }
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Device recovery failed');
+    }
+    
+    state.sessionToken = result.token;
+    state.sessionExpiresAt = result.expiresAt;
+    state.sessionWallet = wallet;
+    state.walletAddress = wallet;
+    state.isRegistered = true;
+    state.recoveryWallet = null;
+    await saveState();
+    await registerDeviceKey();
+    
+    el.walletMessage.textContent = `Device recovered. Claims unlock ${new Date(result.claimsAllowedAt).toLocaleString()}`;
+    el.walletMessage.className = 'wallet-hint success';
+    el.referralInput.classList.add('hidden');
+    
+    updateClaimUI();
+    updateStatsUI();
+    fetchBalance();
+    fetchReferrals();
+    fetchDevices();
+  } catch (error) {
+    el.devicesHint.textContent = error.message;
+  }
+}
+
 function toggleNode() {
   if (!state.walletAddress) {
     alert('Please set your wallet address first in Settings');
@@ -557,7 +975,7 @@ async function startNode() {
   startInterval();
   startHeartbeat();
   
-  if (taskClient && computeEngine && state.isRegistered) {
+  if (taskClient && computeEngine && state.isRegistered && await registerDeviceKey()) {
     try {
       await taskClient.initialize(computeEngine);
       taskClient.start();
@@ -598,7 +1016,7 @@ async function sendHeartbeat() {
   try {
     const response = await fetch(`${CONFIG.apiUrl}/api/heartbeat`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders(),
       body: JSON.stringify({
         walletAddress: state.walletAddress,
         deviceId: deviceId,
@@ -611,6 +1029,17 @@ async function sendHeartbeat() {
       return;
     }
     
+    if (response.status === 401) {
+      console.log('Session expired - stopping node');
+      state.isNodeOn = false;
+      stopNode();
+      notifyBackground('NODE_OFF');
+      await clearSession();
+      await saveState();
+      alert('Your session has expired. Sign in with your wallet in Settings to keep earning.');
+      return;
+    }
+    
     if (response.status === 403) {
       console.log('Device mismatch - stopping node');
       state.isNodeOn = false;
@@ -748,16 +1177,24 @@ async function saveWallet() {
     return;
   }
   
-  el.walletMessage.textContent = 'Registering wallet...';
+  el.walletMessage.textContent = 'Approve the sign-in request in your wallet...';
   el.saveWalletBtn.disabled = true;
   
   try {
+    // A sign-in the background finished after the popup closed is reused
+    await ensureSession(addr);
+    
+    el.walletMessage.textContent = 'Registering wallet...';
+    
+    const referrer = el.referralInput.value.trim();
     const response = await fetch(`${CONFIG.apiUrl}/api/register`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders(),
       body: JSON.stringify({ 
         walletAddress: addr,
-        deviceId: deviceId
+        deviceId: deviceId,
+        deviceFingerprint: await deviceIdentity.getFingerprint(),
+        ...(referrer ? { referrer } : {})
       })
     });
     
@@ -766,29 +1203,40 @@ async function saveWallet() {
     if (result.success) {
       state.walletAddress = addr;
       state.isRegistered = true;
-      state.serverBalance = result.user.claimableBalance || 0;
+      state.serverBalance = result.balance?.claimableBalance || 0;
       await saveState();
+      await registerDeviceKey();
       
-      el.walletMessage.textContent = 'Wallet registered successfully!';
+      if (result.referral && !result.referral.accepted) {
+        el.walletMessage.textContent = 'Wallet registered, referral code not applied';
+      } else {
+        el.walletMessage.textContent = 'Wallet registered successfully!';
+      }
       el.walletMessage.classList.add('success');
+      el.referralInput.classList.add('hidden');
       
       updateClaimUI();
       updateStatsUI();
+      fetchReferrals();
+      fetchDevices();
       
       setTimeout(() => {
         el.walletMessage.textContent = 'Your $Orius tokens will be sent here';
         el.walletMessage.className = 'wallet-hint';
       }, 2500);
     } else if (response.status === 409) {
+      el.walletMessage.classList.add('error');
+      
       if (result.boundWallet) {
         el.walletMessage.textContent = `Device already bound to ${result.boundWallet}`;
+        await checkDeviceBinding();
+        el.walletInput.value = state.walletAddress;
       } else {
-        el.walletMessage.textContent = result.error || 'Wallet bound to another device';
+        // Wallet is at its device limit: offer to replace a lost device
+        el.walletMessage.textContent = `${result.error || 'Device could not be bound to this wallet'} - replace a lost device below`;
+        state.recoveryWallet = addr;
+        await fetchDevices();
       }
-      el.walletMessage.classList.add('error');
-      
-      await checkDeviceBinding();
-      el.walletInput.value = state.walletAddress;
     } else {
       throw new Error(result.error || 'Registration failed');
     }
@@ -846,6 +1294,7 @@ function updateUI() {
     el.walletInput.disabled = true;
     el.walletInput.style.opacity = '0.7';
     el.saveWalletBtn.style.display = 'none';
+    el.referralInput.classList.add('hidden');
     el.walletMessage.textContent = 'Wallet bound to this device';
     el.walletMessage.classList.remove('error');
     el.walletMessage.classList.add('success');
@@ -853,6 +1302,7 @@ function updateUI() {
     el.walletInput.disabled = false;
     el.walletInput.style.opacity = '1';
     el.saveWalletBtn.style.display = '';
+    el.referralInput.classList.remove('hidden');
   }
   
   if (state.locationGranted) {
@@ -899,13 +1349,16 @@ function updateClaimUI() {
   const claimable = typeof state.serverBalance === 'number' ? state.serverBalance : 0;
   el.claimableAmount.textContent = claimable.toFixed(2);
   
-  const canClaim = claimable >= CONFIG.minClaimAmount && state.walletAddress && state.isRegistered;
+  const frozen = state.claimsFrozenUntil && new Date(state.claimsFrozenUntil) > new Date();
+  const canClaim = claimable >= CONFIG.minClaimAmount && state.walletAddress && state.isRegistered && !frozen;
   el.claimBtn.disabled = !canClaim;
   
   if (!state.walletAddress) {
     el.claimBtnText.textContent = 'Set wallet first';
   } else if (!state.isRegistered) {
     el.claimBtnText.textContent = 'Register wallet';
+  } else if (frozen) {
+    el.claimBtnText.textContent = 'Paused: wallet change pending';
   } else if (claimable < CONFIG.minClaimAmount) {
     const needed = Math.ceil(CONFIG.minClaimAmount - claimable);
     el.claimBtnText.textContent = `Need ${needed} more`;
@@ -929,15 +1382,22 @@ async function handleClaim() {
   el.claimBtnText.textContent = 'Processing...';
   
   try {
+    await ensureSession(wallet);
+    
     const response = await fetch(`${CONFIG.apiUrl}/api/claim`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: authHeaders(),
       body: JSON.stringify({ 
         walletAddress: wallet,
         deviceId: deviceId
       })
     });
     
+    if (response.status === 401) {
+      await clearSession();
+      throw new Error('Session expired - please try again');
+    }
+    
     const result = await response.json();
     
     if (result.success) {
@@ -0,0 +1,280 @@
+/**
+ * Orius Compute Network - Network Data Export
+ * Date-ranged network sections and time series, streamed as JSON, CSV or NDJSON
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const { csvRow } = require('../utils/streaming');
+
+const SECTIONS = ['summary', 'tasks', 'nodes', 'trust', 'timeseries'];
+
+// date_trunc field -> time series key in the JSON export
+const GRANULARITIES = {
+  hour: 'hourly',
+  day: 'daily',
+  week: 'weekly',
+  month: 'monthly'
+};
+
+const DEFAULT_RANGE_DAYS = 7;
+const TIMESERIES_BATCH_SIZE = 500;
+
+const COLUMNS = {
+  summary: [
+    'total_nodes', 'active_nodes', 'total_tokens', 'total_compute', 'total_hours', 'new_wallets',
+    'earnings_count', 'tokens_earned', 'tasks_completed', 'claims_paid'
+  ],
+  tasks: ['task_type', 'total', 'completed', 'avg_reward'],
+  nodes: ['node_type', 'count', 'avg_cores', 'avg_memory'],
+  trust: ['trust_tier', 'count'],
+  timeseries: [
+    'timestamp', 'earnings_count', 'tokens_earned', 'compute_earnings', 'online_earnings', 'bonus_earnings',
+    'tasks_completed', 'claims_paid'
+  ]
+};
+
+class DataExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DataExportError';
+    this.status = status;
+  }
+}
+
+class DataExport {
+  /**
+   * Resolves the export window in database time. `to` defaults to now and `from` to seven days before `to`;
+   * both come back as timestamp text so later queries compare against exactly the same bounds.
+   */
+  async resolveRange({ from = null, to = null }) {
+    const { rows } = await db.query(`
+      SELECT r.from_at::text as "from", r.to_at::text as "to", r.from_at < r.to_at as valid
+      FROM (
+        SELECT
+          COALESCE($1::timestamp, COALESCE($2::timestamp, NOW()::timestamp) - make_interval(days => $3)) as from_at,
+          COALESCE($2::timestamp, NOW()::timestamp) as to_at
+      ) r
+    `, [from, to, DEFAULT_RANGE_DAYS]);
+
+    if (!rows[0].valid) {
+      throw new DataExportError('from must be before to');
+    }
+    return { from: rows[0].from, to: rows[0].to };
+  }
+
+  // Node counts and lifetime totals are current; the rest covers the export window
+  async getSummary(range) {
+    const { rows } = await db.query(`
+      SELECT
+        (SELECT COUNT(*) FROM devices WHERE status = 'active')::int as total_nodes,
+        (SELECT COUNT(*) FROM devices WHERE status = 'active' AND last_seen_at > NOW() - INTERVAL '5 minutes')::int as active_nodes,
+        COALESCE(SUM(u.total_earned), 0)::float8 as total_tokens,
+        COALESCE(SUM(u.total_compute_credits), 0)::float8 as total_compute,
+        (COALESCE(SUM(u.total_online_seconds), 0) / 3600.0)::float8 as total_hours,
+        COUNT(CASE WHEN u.created_at >= $1 AND u.created_at < $2 THEN 1 END)::int as new_wallets,
+        (SELECT COUNT(*) FROM earnings WHERE created_at >= $1 AND created_at < $2)::int as earnings_count,
+        (SELECT COALESCE(SUM(earned_amount), 0) FROM earnings WHERE created_at >= $1 AND created_at < $2)::float8 as tokens_earned,
+        (SELECT COUNT(*) FROM task_assignments WHERE completed_at >= $1 AND completed_at < $2)::int as tasks_completed,
+        (SELECT COALESCE(SUM(amount), 0) FROM claims
+          WHERE status = 'completed' AND completed_at >= $1 AND completed_at < $2)::float8 as claims_paid
+      FROM users u
+    `, [range.from, range.to]);
+    return rows[0];
+  }
+
+  // Tasks created in the window
+  async getTasks(range) {
+    const { rows } = await db.query(`
+      SELECT
+        task_type,
+        COUNT(*)::int as total,
+        COUNT(CASE WHEN status = 'completed' THEN 1 END)::int as completed,
+        COALESCE(AVG(reward_credits), 0)::float8 as avg_reward
+      FROM compute_tasks
+      WHERE created_at >= $1 AND created_at < $2
+      GROUP BY task_type
+      ORDER BY task_type
+    `, [range.from, range.to]);
+    return rows;
+  }
+
+  // Current snapshot of active devices; capabilities are not kept historically
+  async getNodes() {
+    const { rows } = await db.query(`
+      SELECT
+        CASE WHEN nc.webgpu_supported THEN 'GPU-Enabled' ELSE 'CPU-Only' END as node_type,
+        COUNT(*)::int as count,
+        AVG(nc.cpu_cores)::float8 as avg_cores,
+        AVG(nc.memory_gb)::float8 as avg_memory
+      FROM node_capabilities nc
+      JOIN devices d ON d.device_id = nc.device_id AND d.status = 'active'
+      GROUP BY nc.webgpu_supported
+      ORDER BY node_type
+    `);
+    return rows;
+  }
+
+  // Current snapshot of trust tiers, excluding banned nodes
+  async getTrust() {
+    const { rows } = await db.query(`
+      SELECT tier as trust_tier, COUNT(*)::int as count
+      FROM (
+        SELECT trust_score, CASE
+          WHEN trust_score >= 90 THEN 'Excellent (90-100)'
+          WHEN trust_score >= 70 THEN 'Good (70-89)'
+          WHEN trust_score >= 50 THEN 'Fair (50-69)'
+          ELSE 'Low (<50)'
+        END as tier
+        FROM node_trust
+        WHERE banned = false
+      ) t
+      GROUP BY tier
+      ORDER BY MIN(trust_score) DESC
+    `);
+    return rows;
+  }
+
+  /**
+   * Every bucket in the window, oldest first and including empty ones, in batches of TIMESERIES_BATCH_SIZE
+   * buckets so multi-month hourly exports stay in bounded memory. The first and last buckets only count
+   * activity inside the window. onBatch may return false to stop early (e.g. the client went away), in which
+   * case this resolves false.
+   */
+  async eachTimeSeries(range, granularity, onBatch) {
+    let start = range.from;
+
+    for (;;) {
+      const { rows } = await db.query(`
+        WITH series AS (
+          SELECT bucket
+          FROM generate_series(date_trunc($5, $1::timestamp), $2::timestamp - INTERVAL '1 microsecond', $4::interval) bucket
+          ORDER BY bucket
+          LIMIT $6
+        ),
+        bounds AS (
+          SELECT GREATEST(MIN(bucket), $3::timestamp) as lo, LEAST(MAX(bucket) + $4::interval, $2::timestamp) as hi
+          FROM series
+        ),
+        e AS (
+          SELECT
+            date_trunc($5, created_at) as bucket,
+            COUNT(*) as earnings_count,
+            SUM(earned_amount) as tokens_earned,
+            SUM(CASE WHEN earning_type = 'compute' THEN earned_amount ELSE 0 END) as compute_earnings,
+            SUM(CASE WHEN earning_type = 'online_time' THEN earned_amount ELSE 0 END) as online_earnings,
+            SUM(CASE WHEN earning_type = 'bonus' THEN earned_amount ELSE 0 END) as bonus_earnings
+          FROM earnings, bounds
+          WHERE created_at >= bounds.lo AND created_at < bounds.hi
+          GROUP BY 1
+        ),
+        t AS (
+          SELECT date_trunc($5, completed_at) as bucket, COUNT(*) as tasks_completed
+          FROM task_assignments, bounds
+          WHERE completed_at >= bounds.lo AND completed_at < bounds.hi
+          GROUP BY 1
+        ),
+        c AS (
+          SELECT date_trunc($5, completed_at) as bucket, SUM(amount) as claims_paid
+          FROM claims, bounds
+          WHERE status = 'completed' AND completed_at >= bounds.lo AND completed_at < bounds.hi
+          GROUP BY 1
+        )
+        SELECT
+          s.bucket as timestamp,
+          (s.bucket + $4::interval)::text as next_bucket,
+          COALESCE(e.earnings_count, 0)::int as earnings_count,
+          COALESCE(e.tokens_earned, 0)::float8 as tokens_earned,
+          COALESCE(e.compute_earnings, 0)::float8 as compute_earnings,
+          COALESCE(e.online_earnings, 0)::float8 as online_earnings,
+          COALESCE(e.bonus_earnings, 0)::float8 as bonus_earnings,
+          COALESCE(t.tasks_completed, 0)::int as tasks_completed,
+          COALESCE(c.claims_paid, 0)::float8 as claims_paid
+        FROM series s
+        LEFT JOIN e ON e.bucket = s.bucket
+        LEFT JOIN t ON t.bucket = s.bucket
+        LEFT JOIN c ON c.bucket = s.bucket
+        ORDER BY s.bucket
+      `, [start, range.to, range.from, `1 ${granularity}`, granularity, TIMESERIES_BATCH_SIZE]);
+
+      if (rows.length === 0) return true;
+
+      start = rows[rows.length - 1].next_bucket;
+
+      const batch = rows.map(({ next_bucket, ...row }) => row);
+      if (await onBatch(batch) === false) return false;
+      if (rows.length < TIMESERIES_BATCH_SIZE) return true;
+    }
+  }
+
+  async getSection(section, range) {
+    switch (section) {
+      case 'summary': return [await this.getSummary(range)];
+      case 'tasks': return this.getTasks(range);
+      case 'nodes': return this.getNodes();
+      case 'trust': return this.getTrust();
+    }
+  }
+
+  /**
+   * Writes the export through write(chunk), which resolves false once the client has gone away.
+   * JSON keeps the original document shape with only the requested sections; NDJSON tags each record with
+   * its section; CSV carries a single section so every row shares one header.
+   */
+  async stream({ format, range, granularity, sections }, write) {
+    if (format === 'csv') {
+      const [section] = sections;
+      if (!await write(csvRow(COLUMNS[section]))) return;
+
+      const toCsv = rows => rows.map(row => csvRow(COLUMNS[section].map(column => row[column]))).join('');
+      if (section === 'timeseries') {
+        return this.eachTimeSeries(range, granularity, batch => write(toCsv(batch)));
+      }
+      return write(toCsv(await this.getSection(section, range)));
+    }
+
+    const meta = { version: '2.0.0', from: range.from, to: range.to, granularity, sections };
+
+    if (format === 'ndjson') {
+      if (!await write(JSON.stringify({ section: 'meta', exportedAt: new Date().toISOString(), ...meta }) + '\n')) return;
+
+      for (const section of sections) {
+        const toLines = rows => rows.map(row => JSON.stringify({ section, ...row }) + '\n').join('');
+        const written = section === 'timeseries'
+          ? await this.eachTimeSeries(range, granularity, batch => write(toLines(batch)))
+          : await write(toLines(await this.getSection(section, range)));
+        if (!written) return;
+      }
+      return;
+    }
+
+    const document = { success: true, exportedAt: new Date().toISOString() };
+    const network = {};
+    if (sections.includes('summary')) network.summary = await this.getSummary(range);
+    if (sections.includes('tasks')) network.tasksByType = await this.getTasks(range);
+    if (sections.includes('nodes')) network.nodeTypes = await this.getNodes();
+    if (sections.includes('trust')) network.trustDistribution = await this.getTrust();
+    if (Object.keys(network).length > 0) document.network = network;
+
+    if (!await write(JSON.stringify(document).slice(0, -1))) return;
+
+    if (sections.includes('timeseries')) {
+      if (!await write(`,"timeSeries":{"${GRANULARITIES[granularity]}":[`)) return;
+
+      let first = true;
+      const written = await this.eachTimeSeries(range, granularity, (batch) => {
+        const chunk = (first ? '' : ',') + batch.map(row => JSON.stringify(row)).join(',');
+        first = false;
+        return write(chunk);
+      });
+      if (!written || !await write(']}')) return;
+    }
+
+    return write(`,"meta":${JSON.stringify(meta)}}`);
+  }
+}
+
+module.exports = new DataExport();
+module.exports.DataExportError = DataExportError;
+module.exports.SECTIONS = SECTIONS;
+module.exports.GRANULARITIES = GRANULARITIES;
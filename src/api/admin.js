@@ -0,0 +1,465 @@
+/**
+ * Orius Compute Network - Admin Routes
+ * Node moderation and integrity tooling behind admin API keys
+ * Developed by Orius Team
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../utils/database');
+const verifier = require('../verification/verifier');
+const adminAuth = require('../auth/adminAuth');
+const nodeSocket = require('../realtime/nodeSocket');
+const validator = require('./validation');
+const ledger = require('../ledger/ledger');
+const reconciler = require('../ledger/reconciler');
+const emission = require('../rewards/emission');
+const lifecycle = require('../lifecycle/lifecycle');
+const logger = require('../utils/logger');
+const { LedgerError } = ledger;
+const { EmissionError } = emission;
+
+const viewer = adminAuth.requireRole('viewer');
+const operator = adminAuth.requireRole('operator');
+const admin = adminAuth.requireRole('admin');
+
+function formatNode(row) {
+  return {
+    deviceId: row.device_id,
+    wallet: row.wallet_address,
+    trustScore: row.trust_score !== null ? parseFloat(row.trust_score) : null,
+    tasksCompleted: parseInt(row.total_tasks_completed) || 0,
+    successfulTasks: parseInt(row.successful_tasks) || 0,
+    failedTasks: parseInt(row.failed_tasks) || 0,
+    canaryFailures: parseInt(row.canary_failures) || 0,
+    banned: !!row.banned,
+    banReason: row.ban_reason || null,
+    bannedAt: row.banned_at || null,
+    lastSeenAt: row.last_seen_at || null,
+    isActive: !!row.is_active
+  };
+}
+
+function formatRun(row) {
+  return {
+    id: row.id,
+    triggeredBy: row.triggered_by,
+    autoCorrect: !!row.auto_correct,
+    tolerance: parseFloat(row.tolerance),
+    usersChecked: row.users_checked,
+    drifted: row.drifted,
+    corrected: row.corrected,
+    error: row.error_message || null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at || null
+  };
+}
+
+function formatDrift(row) {
+  return {
+    id: parseInt(row.id),
+    runId: row.run_id,
+    wallet: row.wallet_address,
+    cachedBalance: parseFloat(row.cached_balance),
+    ledgerBalance: parseFloat(row.ledger_balance),
+    expectedBalance: parseFloat(row.expected_balance),
+    drift: parseFloat(row.drift),
+    corrected: !!row.corrected,
+    correctionTransactionId: row.correction_transaction_id || null,
+    note: row.note || null,
+    createdAt: row.created_at
+  };
+}
+
+// ============================================
+// NODES
+// ============================================
+
+router.get('/nodes', viewer, validator.validate('adminListNodes'), async (req, res) => {
+  try {
+    const { q, banned, minTrust, maxTrust } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const conditions = ["d.status = 'active'"];
+    const params = [];
+
+    if (q) {
+      params.push(`%${q}%`);
+      conditions.push(`(d.device_id ILIKE $${params.length} OR u.wallet_address ILIKE $${params.length})`);
+    }
+    if (banned !== undefined) {
+      params.push(banned === 'true');
+      conditions.push(`COALESCE(nt.banned, false) = $${params.length}`);
+    }
+    if (minTrust !== undefined) {
+      params.push(parseFloat(minTrust));
+      conditions.push(`nt.trust_score >= $${params.length}`);
+    }
+    if (maxTrust !== undefined) {
+      params.push(parseFloat(maxTrust));
+      conditions.push(`nt.trust_score <= $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const { rows: count } = await db.query(`
+      SELECT COUNT(*) as total
+      FROM devices d
+      JOIN users u ON u.id = d.user_id
+      LEFT JOIN node_trust nt ON nt.device_id = d.device_id
+      WHERE ${where}
+    `, params);
+
+    const { rows } = await db.query(`
+      SELECT d.device_id, u.wallet_address, d.last_seen_at, d.status = 'active' as is_active,
+             nt.trust_score, nt.total_tasks_completed, nt.successful_tasks, nt.failed_tasks,
+             nt.canary_failures, nt.banned, nt.ban_reason, nt.banned_at
+      FROM devices d
+      JOIN users u ON u.id = d.user_id
+      LEFT JOIN node_trust nt ON nt.device_id = d.device_id
+      WHERE ${where}
+      ORDER BY nt.trust_score ASC NULLS LAST, d.id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    await adminAuth.audit(req, 'nodes.list', null, { q, banned, minTrust, maxTrust, limit, offset });
+
+    res.json({
+      success: true,
+      total: parseInt(count[0].total),
+      limit,
+      offset,
+      nodes: rows.map(formatNode)
+    });
+  } catch (error) {
+    logger.error('Admin node list error', { error });
+    res.status(500).json({ success: false, error: 'Failed to list nodes' });
+  }
+});
+
+router.get('/nodes/:deviceId', viewer, validator.validate('adminGetNode'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const { rows } = await db.query(`
+      SELECT d.device_id, u.wallet_address, d.last_seen_at, d.status = 'active' as is_active,
+             nt.trust_score, nt.total_tasks_completed, nt.successful_tasks, nt.failed_tasks,
+             nt.canary_failures, nt.banned, nt.ban_reason, nt.banned_at
+      FROM devices d
+      JOIN users u ON u.id = d.user_id
+      LEFT JOIN node_trust nt ON nt.device_id = d.device_id
+      WHERE d.device_id = $1
+    `, [deviceId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Node not found' });
+    }
+
+    const trust = await verifier.getNodeTrustInfo(deviceId);
+    const { rows: capabilities } = await db.query(
+      'SELECT * FROM node_capabilities WHERE device_id = $1',
+      [deviceId]
+    );
+
+    await adminAuth.audit(req, 'node.view', deviceId);
+
+    res.json({
+      success: true,
+      node: formatNode(rows[0]),
+      trust,
+      capabilities: capabilities[0] || null,
+      connected: nodeSocket.nodes.has(deviceId)
+    });
+  } catch (error) {
+    logger.error('Admin node detail error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get node' });
+  }
+});
+
+router.get('/nodes/:deviceId/anomalies', viewer, validator.validate('adminGetNodeAnomalies'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const report = await verifier.detectAnomalies(deviceId);
+
+    await adminAuth.audit(req, 'node.anomalies', deviceId, { anomalies: report.anomalies.length });
+
+    res.json({ success: true, deviceId, ...report });
+  } catch (error) {
+    logger.error('Admin anomaly report error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get anomaly report' });
+  }
+});
+
+router.post('/nodes/:deviceId/ban', operator, validator.validate('adminBanNode'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { reason } = req.body;
+
+    const trust = await verifier.getNodeTrustInfo(deviceId);
+    if (trust.is_new) {
+      return res.status(404).json({ success: false, error: 'Node not found' });
+    }
+
+    await verifier.banNode(deviceId, reason);
+    nodeSocket.disconnect(deviceId, 'Node is banned');
+
+    await adminAuth.audit(req, 'node.ban', deviceId, {
+      reason,
+      previousTrustScore: parseFloat(trust.trust_score)
+    });
+
+    res.json({ success: true, deviceId, banned: true });
+  } catch (error) {
+    logger.error('Admin ban error', { error });
+    res.status(500).json({ success: false, error: 'Failed to ban node' });
+  }
+});
+
+router.post('/nodes/:deviceId/unban', operator, validator.validate('adminUnbanNode'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { reason, trustScore } = req.body;
+
+    const trust = await verifier.getNodeTrustInfo(deviceId);
+    if (trust.is_new) {
+      return res.status(404).json({ success: false, error: 'Node not found' });
+    }
+
+    if (!trust.banned) {
+      return res.status(409).json({ success: false, error: 'Node is not banned' });
+    }
+
+    await verifier.unbanNode(deviceId, trustScore);
+
+    await adminAuth.audit(req, 'node.unban', deviceId, {
+      reason,
+      previousBanReason: trust.ban_reason,
+      trustScore: trustScore ?? null
+    });
+
+    res.json({ success: true, deviceId, banned: false });
+  } catch (error) {
+    logger.error('Admin unban error', { error });
+    res.status(500).json({ success: false, error: 'Failed to unban node' });
+  }
+});
+
+router.post('/nodes/:deviceId/trust', operator, validator.validate('adminSetTrustScore'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { trustScore, reason } = req.body;
+
+    const updated = await verifier.setTrustScore(deviceId, trustScore);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Node not found' });
+    }
+
+    await adminAuth.audit(req, 'node.trust', deviceId, {
+      reason,
+      previousTrustScore: parseFloat(updated.previous_score),
+      trustScore
+    });
+
+    res.json({
+      success: true,
+      deviceId,
+      previousTrustScore: parseFloat(updated.previous_score),
+      trustScore: parseFloat(updated.trust_score)
+    });
+  } catch (error) {
+    logger.error('Admin trust adjust error', { error });
+    res.status(500).json({ success: false, error: 'Failed to adjust trust score' });
+  }
+});
+
+// ============================================
+// BALANCES
+// ============================================
+
+router.post('/wallets/:wallet/adjust', admin, validator.validate('adminAdjustBalance'), async (req, res) => {
+  try {
+    const { wallet } = req.params;
+    const { amount, reason } = req.body;
+
+    const { rows } = await db.query('SELECT id FROM users WHERE wallet_address = $1', [wallet]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const entry = await db.transaction(client => ledger.post(client, 'admin_adjustment', {
+      userId: rows[0].id,
+      amount,
+      referenceType: 'admin',
+      referenceId: req.admin.name,
+      memo: reason
+    }));
+
+    await adminAuth.audit(req, 'balance.adjust', wallet, { amount, reason, transactionId: entry.transactionId });
+
+    res.json({
+      success: true,
+      wallet,
+      transactionId: entry.transactionId,
+      balances: await ledger.getBalances(rows[0].id)
+    });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    logger.error('Admin balance adjust error', { error });
+    res.status(500).json({ success: false, error: 'Failed to adjust balance' });
+  }
+});
+
+router.get('/reconciliation', viewer, validator.validate('adminGetReconciliation'), async (req, res) => {
+  try {
+    const { wallet } = req.query;
+    const runId = req.query.runId ? parseInt(req.query.runId) : null;
+    const uncorrected = req.query.uncorrected === 'true';
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const runs = await reconciler.getRuns();
+    const reports = await reconciler.getReports({ runId, wallet, uncorrected, limit });
+
+    await adminAuth.audit(req, 'reconciliation.view', wallet || null, { runId, uncorrected, limit });
+
+    res.json({
+      success: true,
+      runs: runs.map(formatRun),
+      reports: reports.map(formatDrift)
+    });
+  } catch (error) {
+    logger.error('Admin reconciliation report error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get reconciliation reports' });
+  }
+});
+
+router.post('/reconciliation/run', operator, validator.validate('adminRunReconciliation'), async (req, res) => {
+  try {
+    const options = {};
+    if (req.body && req.body.autoCorrect !== undefined) {
+      options.autoCorrect = req.body.autoCorrect;
+    }
+
+    const run = await reconciler.run(req.admin.name, options);
+    if (!run) {
+      return res.status(409).json({ success: false, error: 'Reconciliation already running' });
+    }
+
+    await adminAuth.audit(req, 'reconciliation.run', null, {
+      runId: run.id,
+      autoCorrect: run.auto_correct,
+      drifted: run.drifted,
+      corrected: run.corrected
+    });
+
+    res.json({ success: true, run: formatRun(run) });
+  } catch (error) {
+    logger.error('Admin reconciliation run error', { error });
+    res.status(500).json({ success: false, error: 'Reconciliation failed' });
+  }
+});
+
+router.post('/emission/epochs/:epochId/settle', operator, validator.validate('adminSettleEmissionEpoch'), async (req, res) => {
+  try {
+    const epochId = parseInt(req.params.epochId);
+    const epoch = await emission.settle(epochId);
+
+    if (!epoch) {
+      return res.status(404).json({ success: false, error: 'Emission epoch not found' });
+    }
+
+    await adminAuth.audit(req, 'emission.settle', String(epochId), {
+      distributed: epoch.distributed,
+      participants: epoch.participants
+    });
+
+    res.json({ success: true, epoch });
+  } catch (error) {
+    if (error instanceof EmissionError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    logger.error('Admin emission settle error', { error });
+    res.status(500).json({ success: false, error: 'Settlement failed' });
+  }
+});
+
+// ============================================
+// DRAIN MODE
+// ============================================
+
+// Drain applies to the replica that serves the request; it responds without waiting for work to settle
+router.get('/drain', viewer, validator.validate('adminGetDrainStatus'), (req, res) => {
+  res.json({ success: true, lifecycle: lifecycle.status() });
+});
+
+router.post('/drain', operator, validator.validate('adminDrain'), async (req, res) => {
+  try {
+    if (lifecycle.isDraining()) {
+      return res.status(409).json({ success: false, error: 'Already draining' });
+    }
+
+    lifecycle.drain(req.admin.name);
+    await adminAuth.audit(req, 'server.drain', null, { inFlightRequests: lifecycle.status().inFlightRequests });
+
+    res.json({ success: true, lifecycle: lifecycle.status() });
+  } catch (error) {
+    logger.error('Admin drain error', { error });
+    res.status(500).json({ success: false, error: 'Drain failed' });
+  }
+});
+
+router.post('/resume', operator, validator.validate('adminResume'), async (req, res) => {
+  try {
+    if (!lifecycle.resume()) {
+      return res.status(409).json({ success: false, error: 'Not draining' });
+    }
+
+    await adminAuth.audit(req, 'server.resume', null);
+
+    res.json({ success: true, lifecycle: lifecycle.status() });
+  } catch (error) {
+    logger.error('Admin resume error', { error });
+    res.status(500).json({ success: false, error: 'Resume failed' });
+  }
+});
+
+// ============================================
+// INTEGRITY & AUDIT
+// ============================================
+
+router.post('/integrity-check', operator, validator.validate('adminRunIntegrityCheck'), async (req, res) => {
+  try {
+    const report = await verifier.runIntegrityCheck();
+
+    await adminAuth.audit(req, 'integrity.run', null, {
+      checkedNodes: report.checked_nodes,
+      flaggedNodes: report.flagged_nodes
+    });
+
+    res.json({ success: true, ranAt: new Date().toISOString(), ...report });
+  } catch (error) {
+    logger.error('Admin integrity check error', { error });
+    res.status(500).json({ success: false, error: 'Integrity check failed' });
+  }
+});
+
+router.get('/audit', admin, validator.validate('adminListAuditLog'), async (req, res) => {
+  try {
+    const { actor, action, target, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const entries = await adminAuth.getAuditLog({ actor, action, target, limit, before });
+
+    await adminAuth.audit(req, 'audit.view', target || null, { actor, action, limit });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    logger.error('Admin audit log error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get audit log' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1549 @@
+/**
+ * Orius Compute Network - OpenAPI Document
+ * Single source of truth for /api request and response schemas
+ * Developed by Orius Team
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+
+const body = (schema) => ({ required: true, ...json(schema) });
+
+const ok = (schema, description = 'Success') => ({ description, ...json(schema) });
+
+const errors = (...statuses) => {
+  const descriptions = {
+    400: 'Invalid request',
+    401: 'Authentication required',
+    403: 'Forbidden',
+    404: 'Not found',
+    409: 'Conflict',
+    429: 'Rate limited',
+    503: 'Service unavailable'
+  };
+  const responses = {};
+  for (const status of statuses) {
+    responses[status] = {
+      description: descriptions[status],
+      ...json(ref(status === 400 ? 'ValidationError' : 'Error'))
+    };
+  }
+  responses[500] = { description: 'Server error', ...json(ref('Error')) };
+  return responses;
+};
+
+const success = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['success', ...required],
+  properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+});
+
+const pathParam = (name, schema) => ({ name, in: 'path', required: true, schema });
+
+const walletParam = pathParam('wallet', ref('WalletAddress'));
+const deviceParam = pathParam('deviceId', ref('DeviceId'));
+
+const bearerAuth = [{ bearerAuth: [] }];
+const deviceSignature = [{ deviceId: [], deviceSignature: [] }];
+const adminKey = [{ adminKey: [] }];
+
+const reason = { type: 'string', minLength: 3, maxLength: 500 };
+const isoDate = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?)?$' };
+const trustScore = { type: 'number', minimum: 0, maximum: 100 };
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Orius Compute Network API',
+    version: '2.0.0',
+    description: 'Node registration, compute tasks, rewards and network analytics for ai.orius.io'
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'auth' },
+    { name: 'devices' },
+    { name: 'compute' },
+    { name: 'rewards' },
+    { name: 'analytics' },
+    { name: 'feed' },
+    { name: 'system' },
+    { name: 'admin', description: 'Requires an X-Admin-Key with the listed role (viewer < operator < admin)' }
+  ],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from /api/auth/verify' },
+      deviceId: { type: 'apiKey', in: 'header', name: 'X-Device-ID' },
+      adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key' },
+      deviceSignature: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Device-Signature',
+        description: 'Signature over method, path, body hash, X-Device-Timestamp and X-Device-Nonce'
+      }
+    },
+    schemas: {
+      WalletAddress: {
+        type: 'string',
+        pattern: '^[1-9A-HJ-NP-Za-km-z]{32,44}$',
+        description: 'Base58 Solana address'
+      },
+      DeviceId: {
+        type: 'string',
+        minLength: 16,
+        maxLength: 64,
+        pattern: '^[A-Za-z0-9_-]+$'
+      },
+      TaskUuid: { type: 'string', minLength: 1, maxLength: 128 },
+      Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' }
+        }
+      },
+      ValidationError: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' },
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field', 'message'],
+              properties: {
+                field: { type: 'string', description: 'Location and name, e.g. body.walletAddress' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      Balance: {
+        type: 'object',
+        required: ['claimableBalance', 'totalEarned'],
+        properties: {
+          claimableBalance: { type: 'number' },
+          totalEarned: { type: 'number' },
+          computeCredits: { type: 'number' },
+          earnedToday: { type: 'number', description: 'Earned today across all of the wallet\'s devices, counted against dailyCap' },
+          deviceEarnedToday: { type: 'number', description: 'The share of earnedToday from the given deviceId' },
+          totalOnlineSeconds: { type: 'integer' },
+          dailyCap: { type: 'number' },
+          claimsAllowedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'End of the wallet-wide claim freeze after a new device was added'
+          }
+        }
+      },
+      Capabilities: {
+        type: 'object',
+        properties: {
+          cpu_cores: { type: 'integer', minimum: 1, maximum: 1024 },
+          memory_gb: { type: 'number', minimum: 0, maximum: 4096 },
+          webgpu_supported: { type: 'boolean' },
+          gpu_available: { type: 'boolean' },
+          gpu_vendor: { type: 'string', maxLength: 256, nullable: true },
+          gpu_renderer: { type: 'string', maxLength: 256, nullable: true },
+          wasm_supported: { type: 'boolean' },
+          estimated_tflops: { type: 'number', minimum: 0 },
+          cpu_benchmark_score: { type: 'number', minimum: 0 }
+        }
+      },
+      Task: {
+        type: 'object',
+        required: ['task_uuid', 'task_type', 'input_data'],
+        properties: {
+          task_uuid: ref('TaskUuid'),
+          task_type: { type: 'string', enum: ['matrix_mult', 'hash_compute', 'ml_inference'] },
+          difficulty: { type: 'integer' },
+          input_data: { type: 'object' },
+          input_hash: { type: 'string' },
+          model_url: { type: 'string', nullable: true },
+          requires_gpu: { type: 'boolean' },
+          max_execution_time_ms: { type: 'integer' }
+        }
+      },
+      MatrixResult: {
+        type: 'array',
+        description: 'Product matrix for matrix_mult tasks',
+        maxItems: 1024,
+        items: { type: 'array', maxItems: 1024, items: { type: 'number' } }
+      },
+      HashResult: {
+        type: 'object',
+        description: 'Final digest for hash_compute tasks',
+        required: ['hash'],
+        properties: {
+          hash: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+        }
+      },
+      TaskResult: {
+        oneOf: [ref('MatrixResult'), ref('HashResult')]
+      },
+      Claim: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          amount: { type: 'string' },
+          tx_signature: { type: 'string', nullable: true },
+          status: { type: 'string' },
+          created_at: { type: 'string', format: 'date-time' },
+          completed_at: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      Earning: {
+        type: 'object',
+        required: ['id', 'createdAt', 'type', 'amount'],
+        properties: {
+          id: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' },
+          type: { type: 'string', enum: ['compute', 'online_time', 'bonus'] },
+          amount: { type: 'number' },
+          taskUuid: { type: 'string', nullable: true },
+          deviceId: { type: 'string', nullable: true },
+          onlineSeconds: { type: 'integer' },
+          policyVersion: { type: 'string', nullable: true },
+          policyEpoch: { type: 'string', nullable: true },
+          emissionEpochId: { type: 'integer', nullable: true },
+          claim: {
+            type: 'object',
+            nullable: true,
+            description: 'Claim that paid this earning out, matched first in, first out; null while unclaimed',
+            properties: { id: { type: 'integer' }, status: { type: 'string' } }
+          }
+        }
+      },
+      RewardEpoch: {
+        type: 'object',
+        required: ['id', 'taskRates', 'online', 'dailyCap'],
+        properties: {
+          id: { type: 'string' },
+          startsAt: { type: 'string', format: 'date-time', nullable: true },
+          endsAt: { type: 'string', format: 'date-time', nullable: true },
+          taskRates: { type: 'object', additionalProperties: { type: 'number' }, description: 'Tokens per task at difficulty 1' },
+          online: {
+            type: 'object',
+            properties: {
+              rewardPerHeartbeat: { type: 'number' },
+              heartbeatSeconds: { type: 'integer' }
+            }
+          },
+          dailyCap: { type: 'number' },
+          referral: {
+            type: 'object',
+            properties: {
+              bonusShare: { type: 'number', description: 'Share of a referee\'s verified compute reward paid to the referrer' },
+              durationDays: { type: 'integer', nullable: true, description: 'Days after registration the bonus applies; null for no limit' }
+            }
+          },
+          emission: {
+            type: 'object',
+            nullable: true,
+            description: 'When set, rewards accrue as work units and the budget is shared pro-rata at each epoch close',
+            properties: {
+              budget: { type: 'number' },
+              epochSeconds: { type: 'integer' },
+              maxRatePerUnit: { type: 'number' }
+            }
+          }
+        }
+      },
+      EmissionEpoch: {
+        type: 'object',
+        required: ['startsAt', 'endsAt', 'status', 'final', 'budget'],
+        properties: {
+          id: { type: 'integer', nullable: true, description: 'Null for a current window nobody has accrued in yet' },
+          startsAt: { type: 'string', format: 'date-time' },
+          endsAt: { type: 'string', format: 'date-time' },
+          status: { type: 'string', enum: ['open', 'settled'] },
+          final: { type: 'boolean', description: 'False while figures are provisional' },
+          budget: { type: 'number' },
+          maxRatePerUnit: { type: 'number', nullable: true },
+          policyVersion: { type: 'string', nullable: true },
+          policyEpoch: { type: 'string', nullable: true },
+          totalUnits: { type: 'number', nullable: true },
+          participants: { type: 'integer' },
+          ratePerUnit: { type: 'number', nullable: true, description: 'Tokens per unit; provisional until settled' },
+          distributed: { type: 'number', nullable: true, description: 'Projected while open' },
+          settledAt: { type: 'string', format: 'date-time', nullable: true },
+          wallet: {
+            type: 'object',
+            properties: {
+              address: { type: 'string' },
+              onlineUnits: { type: 'number' },
+              computeUnits: { type: 'number' },
+              referralUnits: { type: 'number' },
+              amount: { type: 'number' }
+            }
+          }
+        }
+      },
+      Device: {
+        type: 'object',
+        required: ['deviceId', 'status'],
+        properties: {
+          deviceId: ref('DeviceId'),
+          name: { type: 'string', nullable: true },
+          status: { type: 'string', enum: ['active', 'revoked'] },
+          boundAt: { type: 'string', format: 'date-time' },
+          revokedAt: { type: 'string', format: 'date-time', nullable: true },
+          lastSeenAt: { type: 'string', format: 'date-time', nullable: true },
+          onlineSeconds: { type: 'integer' },
+          earned: { type: 'number', description: 'Earnings attributed to this device' },
+          current: { type: 'boolean', description: 'The device that opened this session' }
+        }
+      },
+      DeviceEvent: {
+        type: 'object',
+        required: ['deviceId', 'event', 'createdAt'],
+        properties: {
+          deviceId: ref('DeviceId'),
+          event: { type: 'string', enum: ['bound', 'revoked', 'recovered'] },
+          relatedDeviceId: { type: 'string', nullable: true, description: 'For recoveries: the device replaced, or the one that replaced it' },
+          ip: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      WalletChange: {
+        type: 'object',
+        required: ['oldWallet', 'newWallet', 'status', 'effectiveAt'],
+        properties: {
+          id: { type: 'integer' },
+          oldWallet: { type: 'string' },
+          newWallet: { type: 'string' },
+          status: { type: 'string', enum: ['pending', 'applied', 'cancelled', 'failed'] },
+          requestedAt: { type: 'string', format: 'date-time' },
+          effectiveAt: { type: 'string', format: 'date-time', description: 'Claims are frozen until then' },
+          appliedAt: { type: 'string', format: 'date-time', nullable: true },
+          cancelledAt: { type: 'string', format: 'date-time', nullable: true },
+          failureReason: { type: 'string', nullable: true }
+        }
+      },
+      LedgerBalances: {
+        type: 'object',
+        description: 'Derived from ledger entries',
+        properties: {
+          available: { type: 'number', description: 'Claimable' },
+          held: { type: 'number', description: 'Claimed and awaiting payout' },
+          earned: { type: 'number' },
+          paidOut: { type: 'number' }
+        }
+      },
+      LedgerEntry: {
+        type: 'object',
+        required: ['id', 'transactionId', 'account', 'type', 'amount'],
+        properties: {
+          id: { type: 'integer' },
+          transactionId: { type: 'string', description: 'Shared with the opposite entry of the movement' },
+          account: { type: 'string', enum: ['available', 'held'] },
+          type: {
+            type: 'string',
+            enum: ['online_reward', 'compute_reward', 'referral_bonus', 'claim_hold', 'claim_payout', 'claim_refund', 'admin_adjustment', 'reconciliation', 'opening_balance']
+          },
+          amount: { type: 'number', description: 'Positive credits the account, negative debits it' },
+          balanceAfter: { type: 'number' },
+          reference: {
+            type: 'object',
+            nullable: true,
+            properties: { type: { type: 'string' }, id: { type: 'string' } }
+          },
+          memo: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      LifecycleStatus: {
+        type: 'object',
+        required: ['state', 'since', 'inFlightRequests'],
+        properties: {
+          state: { type: 'string', enum: ['running', 'draining', 'stopping'] },
+          reason: { type: 'string', nullable: true, description: 'Who or what started the drain: an admin name or a signal' },
+          since: { type: 'string', format: 'date-time' },
+          inFlightRequests: { type: 'integer' },
+          settled: { type: 'boolean', nullable: true, description: 'Whether in-flight work finished before SHUTDOWN_TIMEOUT_MS; null until known' }
+        }
+      },
+      ReconciliationRun: {
+        type: 'object',
+        required: ['id', 'triggeredBy'],
+        properties: {
+          id: { type: 'integer' },
+          triggeredBy: { type: 'string' },
+          autoCorrect: { type: 'boolean' },
+          tolerance: { type: 'number' },
+          usersChecked: { type: 'integer' },
+          drifted: { type: 'integer' },
+          corrected: { type: 'integer' },
+          error: { type: 'string', nullable: true },
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      BalanceDrift: {
+        type: 'object',
+        required: ['id', 'runId', 'wallet', 'drift'],
+        properties: {
+          id: { type: 'integer' },
+          runId: { type: 'integer' },
+          wallet: { type: 'string' },
+          cachedBalance: { type: 'number' },
+          ledgerBalance: { type: 'number' },
+          expectedBalance: { type: 'number', description: 'Earnings plus admin adjustments minus claims not refunded' },
+          drift: { type: 'number', description: 'Cached minus expected' },
+          corrected: { type: 'boolean' },
+          correctionTransactionId: { type: 'string', nullable: true },
+          note: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      AdminNode: {
+        type: 'object',
+        required: ['deviceId', 'banned'],
+        properties: {
+          deviceId: { type: 'string' },
+          wallet: { type: 'string' },
+          trustScore: { type: 'number', nullable: true },
+          tasksCompleted: { type: 'integer' },
+          successfulTasks: { type: 'integer' },
+          failedTasks: { type: 'integer' },
+          canaryFailures: { type: 'integer' },
+          banned: { type: 'boolean' },
+          banReason: { type: 'string', nullable: true },
+          bannedAt: { type: 'string', format: 'date-time', nullable: true },
+          lastSeenAt: { type: 'string', format: 'date-time', nullable: true },
+          isActive: { type: 'boolean' }
+        }
+      },
+      FeedEvent: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+          taskType: { type: 'string' },
+          amount: { type: 'number' },
+          wallet: { type: 'string' }
+        }
+      }
+    }
+  },
+  paths: {
+    '/api/auth/challenge': {
+      post: {
+        operationId: 'createAuthChallenge',
+        tags: ['auth'],
+        summary: 'Issue a message for the wallet to sign',
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId'],
+          properties: { walletAddress: ref('WalletAddress'), deviceId: ref('DeviceId') }
+        }),
+        responses: {
+          200: ok(success({
+            nonce: { type: 'string' },
+            message: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }, ['nonce', 'message'])),
+          ...errors(400, 429)
+        }
+      }
+    },
+    '/api/auth/verify': {
+      post: {
+        operationId: 'verifyAuthChallenge',
+        tags: ['auth'],
+        summary: 'Exchange a signed challenge for a session token',
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId', 'nonce', 'signature'],
+          properties: {
+            walletAddress: ref('WalletAddress'),
+            deviceId: ref('DeviceId'),
+            nonce: { type: 'string', minLength: 1, maxLength: 128 },
+            signature: { type: 'string', minLength: 1, maxLength: 128, description: 'Base58 ed25519 signature' }
+          }
+        }),
+        responses: {
+          200: ok(success({
+            token: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }, ['token'])),
+          ...errors(400, 401, 429)
+        }
+      }
+    },
+    '/api/auth/logout': {
+      post: {
+        operationId: 'logout',
+        tags: ['auth'],
+        summary: 'Revoke the current session token',
+        security: bearerAuth,
+        responses: { 200: ok(success()), ...errors() }
+      }
+    },
+    '/api/register': {
+      post: {
+        operationId: 'register',
+        tags: ['devices'],
+        summary: 'Bind a device to a wallet',
+        security: bearerAuth,
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId'],
+          properties: {
+            walletAddress: ref('WalletAddress'),
+            deviceId: ref('DeviceId'),
+            referrer: { type: 'string', pattern: '^[A-Za-z0-9]{4,16}$', description: 'Referral code; only used on first registration' },
+            deviceFingerprint: { type: 'string', pattern: '^[a-f0-9]{64}$', description: 'SHA-256 of browser and hardware traits' }
+          }
+        }),
+        responses: {
+          200: ok(success({
+            message: { type: 'string' },
+            balance: ref('Balance'),
+            referralCode: { type: 'string' },
+            referral: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                accepted: { type: 'boolean' },
+                reason: { type: 'string', nullable: true, enum: ['unknown_code', 'self_referral', 'same_device', 'same_ip', null] },
+                referrer: { type: 'string', description: 'Masked wallet' }
+              }
+            }
+          })),
+          ...errors(400, 401, 403, 409, 429)
+        }
+      }
+    },
+    '/api/device/{deviceId}': {
+      get: {
+        operationId: 'getDevice',
+        tags: ['devices'],
+        summary: 'Look up the wallet bound to a device',
+        parameters: [deviceParam],
+        responses: {
+          200: ok(success({
+            bound: { type: 'boolean' },
+            wallet: { type: 'string', nullable: true },
+            name: { type: 'string', nullable: true },
+            balance: ref('Balance')
+          }, ['bound'])),
+          ...errors(400)
+        }
+      }
+    },
+    '/api/device/key': {
+      post: {
+        operationId: 'registerDeviceKey',
+        tags: ['devices'],
+        summary: 'Register the public key used to sign compute requests',
+        security: bearerAuth,
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId', 'publicKey'],
+          properties: {
+            walletAddress: ref('WalletAddress'),
+            deviceId: ref('DeviceId'),
+            publicKey: { type: 'string', minLength: 1, maxLength: 512, description: 'Base64 SPKI public key' },
+            algorithm: { type: 'string', enum: ['ECDSA-P256', 'Ed25519'], default: 'ECDSA-P256' }
+          }
+        }),
+        responses: {
+          200: ok(success({ message: { type: 'string' } })),
+          ...errors(400, 401, 403, 404, 409)
+        }
+      }
+    },
+    '/api/wallets/{wallet}/devices': {
+      get: {
+        operationId: 'listDevices',
+        tags: ['devices'],
+        summary: 'Devices bound to a wallet with per-device earnings',
+        security: bearerAuth,
+        parameters: [walletParam],
+        responses: {
+          200: ok(success({
+            wallet: { type: 'string' },
+            maxDevices: { type: 'integer', description: 'Active devices allowed per wallet' },
+            devices: { type: 'array', items: ref('Device') }
+          }, ['devices'])),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/wallets/{wallet}/devices/{deviceId}/rename': {
+      post: {
+        operationId: 'renameDevice',
+        tags: ['devices'],
+        summary: 'Give a device a display name',
+        security: bearerAuth,
+        parameters: [walletParam, deviceParam],
+        requestBody: body({
+          type: 'object',
+          required: ['name'],
+          properties: { name: { type: 'string', minLength: 1, maxLength: 64, pattern: '\\S' } }
+        }),
+        responses: {
+          200: ok(success({ device: ref('Device') }, ['device'])),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/wallets/{wallet}/devices/{deviceId}/revoke': {
+      post: {
+        operationId: 'revokeDevice',
+        tags: ['devices'],
+        summary: 'Unbind a device; its signing key and sessions are revoked',
+        security: bearerAuth,
+        parameters: [walletParam, deviceParam],
+        responses: {
+          200: ok(success({ device: ref('Device') }, ['device'])),
+          ...errors(400, 401, 403, 404, 409)
+        }
+      }
+    },
+    '/api/wallets/{wallet}/payout-wallet': {
+      get: {
+        operationId: 'getWalletChange',
+        tags: ['rewards'],
+        summary: 'Pending and past payout wallet changes',
+        security: bearerAuth,
+        parameters: [walletParam],
+        responses: {
+          200: ok(success({
+            wallet: { type: 'string' },
+            pending: { type: 'object', nullable: true, description: 'The pending WalletChange, if any' },
+            freezeHours: { type: 'integer' },
+            history: { type: 'array', items: ref('WalletChange') }
+          }, ['pending'])),
+          ...errors(400, 401, 403, 404)
+        }
+      },
+      post: {
+        operationId: 'requestWalletChange',
+        tags: ['rewards'],
+        summary: 'Submit the signed change message; the new wallet takes over after the claim freeze',
+        parameters: [walletParam],
+        requestBody: body({
+          type: 'object',
+          required: ['deviceId', 'nonce', 'signature'],
+          properties: {
+            deviceId: ref('DeviceId'),
+            nonce: { type: 'string', minLength: 1, maxLength: 128 },
+            signature: { type: 'string', minLength: 1, maxLength: 128, description: 'Base58 ed25519 signature by the current wallet' }
+          }
+        }),
+        responses: {
+          200: ok(success({ change: ref('WalletChange') }, ['change'])),
+          ...errors(400, 401, 404, 409, 429)
+        }
+      }
+    },
+    '/api/wallets/{wallet}/payout-wallet/challenge': {
+      post: {
+        operationId: 'createWalletChangeChallenge',
+        tags: ['rewards'],
+        summary: 'Issue a message for the current wallet to sign naming the new payout wallet',
+        parameters: [walletParam],
+        requestBody: body({
+          type: 'object',
+          required: ['deviceId', 'newWalletAddress'],
+          properties: { deviceId: ref('DeviceId'), newWalletAddress: ref('WalletAddress') }
+        }),
+        responses: {
+          200: ok(success({
+            nonce: { type: 'string' },
+            message: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }, ['nonce', 'message'])),
+          ...errors(400, 403, 429)
+        }
+      }
+    },
+    '/api/wallets/{wallet}/payout-wallet/cancel': {
+      post: {
+        operationId: 'cancelWalletChange',
+        tags: ['rewards'],
+        summary: 'Cancel a pending payout wallet change',
+        security: bearerAuth,
+        parameters: [walletParam],
+        responses: {
+          200: ok(success({ change: ref('WalletChange') }, ['change'])),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/wallets/{wallet}/devices/events': {
+      get: {
+        operationId: 'listDeviceEvents',
+        tags: ['devices'],
+        summary: 'Audit trail of device binds, revocations and recoveries',
+        security: bearerAuth,
+        parameters: [
+          walletParam,
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } }
+        ],
+        responses: {
+          200: ok(success({
+            wallet: { type: 'string' },
+            events: { type: 'array', items: ref('DeviceEvent') }
+          }, ['events'])),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/device/recover/challenge': {
+      post: {
+        operationId: 'createRecoveryChallenge',
+        tags: ['devices'],
+        summary: 'Issue a message for the wallet to sign to replace one of its devices with this one',
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId', 'replacesDeviceId'],
+          properties: {
+            walletAddress: ref('WalletAddress'),
+            deviceId: ref('DeviceId'),
+            replacesDeviceId: ref('DeviceId')
+          }
+        }),
+        responses: {
+          200: ok(success({
+            nonce: { type: 'string' },
+            message: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }, ['nonce', 'message'])),
+          ...errors(400, 404, 429)
+        }
+      }
+    },
+    '/api/device/recover': {
+      post: {
+        operationId: 'recoverDevice',
+        tags: ['devices'],
+        summary: 'Revoke the old device and bind this one; claims are paused for a cooldown',
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId', 'nonce', 'signature'],
+          properties: {
+            walletAddress: ref('WalletAddress'),
+            deviceId: ref('DeviceId'),
+            nonce: { type: 'string', minLength: 1, maxLength: 128 },
+            signature: { type: 'string', minLength: 1, maxLength: 128, description: 'Base58 ed25519 signature of the recovery message' },
+            deviceFingerprint: { type: 'string', pattern: '^[a-f0-9]{64}$' }
+          }
+        }),
+        responses: {
+          200: ok(success({
+            device: ref('Device'),
+            replaced: ref('Device'),
+            claimsAllowedAt: { type: 'string', format: 'date-time' },
+            token: { type: 'string', description: 'Session for the new device' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }, ['device', 'replaced', 'token'])),
+          ...errors(400, 401, 404, 409, 429)
+        }
+      }
+    },
+    '/api/compute/capabilities': {
+      post: {
+        operationId: 'registerCapabilities',
+        tags: ['compute'],
+        summary: 'Report node hardware and benchmark results',
+        security: deviceSignature,
+        requestBody: body({
+          type: 'object',
+          required: ['deviceId', 'capabilities'],
+          properties: { deviceId: ref('DeviceId'), capabilities: ref('Capabilities') }
+        }),
+        responses: {
+          200: ok(success({ message: { type: 'string' } })),
+          ...errors(400, 401, 403, 429)
+        }
+      }
+    },
+    '/api/compute/task/request': {
+      post: {
+        operationId: 'requestTask',
+        tags: ['compute'],
+        summary: 'Lease the next task for this node',
+        security: deviceSignature,
+        requestBody: body({
+          type: 'object',
+          required: ['deviceId'],
+          properties: { deviceId: ref('DeviceId'), capabilities: ref('Capabilities') }
+        }),
+        responses: {
+          200: ok(success({ task: { type: 'object', nullable: true }, message: { type: 'string' } }, ['task'])),
+          ...errors(400, 401, 403, 429, 503)
+        }
+      }
+    },
+    '/api/compute/task/submit': {
+      post: {
+        operationId: 'submitTaskResult',
+        tags: ['compute'],
+        summary: 'Submit the result of a leased task',
+        security: deviceSignature,
+        requestBody: body({
+          type: 'object',
+          required: ['deviceId', 'taskUuid', 'result', 'executionTimeMs'],
+          properties: {
+            deviceId: ref('DeviceId'),
+            taskUuid: ref('TaskUuid'),
+            result: ref('TaskResult'),
+            executionTimeMs: { type: 'integer', minimum: 0 }
+          }
+        }),
+        responses: {
+          200: ok({
+            type: 'object',
+            required: ['success'],
+            properties: {
+              success: { type: 'boolean' },
+              verified: { type: 'boolean' },
+              is_canary: { type: 'boolean' },
+              credits_awarded: { type: 'number' },
+              provisional: { type: 'boolean', description: 'Credits are work units paid at emission epoch settlement' },
+              result_hash: { type: 'string' },
+              error: { type: 'string' }
+            }
+          }),
+          ...errors(400, 401, 403, 429)
+        }
+      }
+    },
+    '/api/compute/queue/stats': {
+      get: {
+        operationId: 'getQueueStats',
+        tags: ['compute'],
+        summary: 'Pending and active task counts',
+        responses: { 200: ok(success({ stats: { type: 'object' } }, ['stats'])), ...errors() }
+      }
+    },
+    '/api/heartbeat': {
+      post: {
+        operationId: 'heartbeat',
+        tags: ['rewards'],
+        summary: 'Report the node online and accrue online rewards',
+        security: bearerAuth,
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId'],
+          properties: {
+            walletAddress: ref('WalletAddress'),
+            deviceId: ref('DeviceId'),
+            sessionId: { type: 'string', maxLength: 128 }
+          }
+        }),
+        responses: {
+          200: ok(success({
+            earned: { type: 'number' },
+            balance: ref('Balance'),
+            provisional: { type: 'boolean', description: 'Earned is work units paid at emission epoch settlement' },
+            emissionEpochId: { type: 'integer', nullable: true },
+            message: { type: 'string' }
+          }, ['earned'])),
+          ...errors(400, 401, 403, 404, 429)
+        }
+      }
+    },
+    '/api/balance/{wallet}': {
+      get: {
+        operationId: 'getBalance',
+        tags: ['rewards'],
+        summary: 'Current balance for a wallet',
+        parameters: [
+          walletParam,
+          { name: 'deviceId', in: 'query', required: false, schema: ref('DeviceId') }
+        ],
+        responses: {
+          200: ok(success({ balance: ref('Balance') }, ['balance'])),
+          ...errors(400, 403, 404)
+        }
+      }
+    },
+    '/api/claim': {
+      post: {
+        operationId: 'createClaim',
+        tags: ['rewards'],
+        summary: 'Move claimable balance into a payout claim',
+        security: bearerAuth,
+        requestBody: body({
+          type: 'object',
+          required: ['walletAddress', 'deviceId'],
+          properties: {
+            walletAddress: ref('WalletAddress'),
+            deviceId: ref('DeviceId'),
+            amount: {
+              oneOf: [
+                { type: 'number', minimum: 0 },
+                { type: 'string', pattern: '^\\d+(\\.\\d+)?$' }
+              ]
+            }
+          }
+        }),
+        responses: {
+          200: ok(success({
+            claimId: { type: 'integer' },
+            amount: { type: 'number' },
+            status: { type: 'string' },
+            message: { type: 'string' }
+          }, ['claimId'])),
+          ...errors(400, 401, 403, 404, 429)
+        }
+      }
+    },
+    '/api/claims/{wallet}': {
+      get: {
+        operationId: 'listClaims',
+        tags: ['rewards'],
+        summary: 'Recent claims for a wallet',
+        parameters: [walletParam],
+        responses: {
+          200: ok(success({ claims: { type: 'array', items: ref('Claim') } }, ['claims'])),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/earnings/{wallet}': {
+      get: {
+        operationId: 'getEarningsHistory',
+        tags: ['rewards'],
+        summary: 'Full earnings history; JSON pages newest first, csv and ndjson stream everything oldest first',
+        parameters: [
+          walletParam,
+          { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['json', 'csv', 'ndjson'], default: 'json' } },
+          { name: 'from', in: 'query', required: false, schema: isoDate, description: 'Earnings at or after this time' },
+          { name: 'to', in: 'query', required: false, schema: isoDate, description: 'Earnings before this time' },
+          {
+            name: 'type',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', pattern: '^(compute|online_time|bonus)(,(compute|online_time|bonus))*$' },
+            description: 'Comma-separated earning types'
+          },
+          { name: 'cursor', in: 'query', required: false, schema: { type: 'string', pattern: '^[1-9][0-9]{0,12}$' }, description: 'nextCursor of the previous page (json only)' },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 }, description: 'json only' }
+        ],
+        responses: {
+          200: {
+            description: 'Success',
+            content: {
+              'application/json': {
+                schema: success({
+                  wallet: { type: 'string' },
+                  earnings: { type: 'array', items: ref('Earning') },
+                  nextCursor: { type: 'string', nullable: true }
+                }, ['earnings'])
+              },
+              'text/csv': { schema: { type: 'string' } },
+              'application/x-ndjson': { schema: { type: 'string', description: 'One Earning object per line' } }
+            }
+          },
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/rewards/policy': {
+      get: {
+        operationId: 'getRewardPolicy',
+        tags: ['rewards'],
+        summary: 'Reward policy in force: version, current epoch rates, trust tiers and epoch schedule',
+        responses: {
+          200: ok(success({
+            policy: {
+              type: 'object',
+              required: ['version', 'current'],
+              properties: {
+                version: { type: 'string' },
+                description: { type: 'string', nullable: true },
+                current: ref('RewardEpoch'),
+                trustTiers: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      minTrust: { type: 'number' },
+                      multiplier: { type: 'number' }
+                    }
+                  }
+                },
+                epochs: { type: 'array', items: ref('RewardEpoch') }
+              }
+            }
+          }, ['policy'])),
+          ...errors()
+        }
+      }
+    },
+    '/api/referrals/{wallet}': {
+      get: {
+        operationId: 'getReferrals',
+        tags: ['rewards'],
+        summary: 'Referral code, bonus terms and referral stats for a wallet',
+        parameters: [walletParam],
+        responses: {
+          200: ok(success({
+            wallet: { type: 'string' },
+            code: { type: 'string' },
+            bonusShare: { type: 'number' },
+            durationDays: { type: 'integer', nullable: true },
+            referredBy: {
+              type: 'object',
+              nullable: true,
+              properties: { wallet: { type: 'string' }, status: { type: 'string' } }
+            },
+            stats: {
+              type: 'object',
+              properties: {
+                active: { type: 'integer' },
+                rejected: { type: 'integer' },
+                bonusEarned: { type: 'number' },
+                bonusPending: { type: 'number', description: 'Referral units in emission epochs not yet settled' }
+              }
+            },
+            referrals: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  wallet: { type: 'string', description: 'Masked' },
+                  status: { type: 'string', enum: ['active', 'rejected'] },
+                  rejectReason: { type: 'string', nullable: true },
+                  joinedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }, ['code', 'stats', 'referrals'])),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/emission/epochs': {
+      get: {
+        operationId: 'listEmissionEpochs',
+        tags: ['rewards'],
+        summary: 'Recent emission epochs, newest first',
+        parameters: [
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 200, default: 30 } }
+        ],
+        responses: {
+          200: ok(success({ epochs: { type: 'array', items: ref('EmissionEpoch') } }, ['epochs'])),
+          ...errors(400)
+        }
+      }
+    },
+    '/api/emission/epochs/{epoch}': {
+      get: {
+        operationId: 'getEmissionEpoch',
+        tags: ['rewards'],
+        summary: 'Provisional results of an open emission epoch or final results of a settled one',
+        parameters: [
+          pathParam('epoch', { type: 'string', pattern: '^(current|[1-9][0-9]{0,9})$', description: "Epoch id or 'current'" }),
+          { name: 'wallet', in: 'query', required: false, schema: ref('WalletAddress'), description: 'Include this wallet\'s units and share' }
+        ],
+        responses: {
+          200: ok(success({ epoch: ref('EmissionEpoch') }, ['epoch'])),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/ledger/{wallet}': {
+      get: {
+        operationId: 'getLedgerStatement',
+        tags: ['rewards'],
+        summary: 'Ledger statement for a wallet, newest first',
+        parameters: [
+          walletParam,
+          { name: 'before', in: 'query', required: false, schema: { type: 'integer', minimum: 1 }, description: 'Entries with a smaller id (paging)' },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+        ],
+        responses: {
+          200: ok(success({
+            wallet: { type: 'string' },
+            balances: ref('LedgerBalances'),
+            entries: { type: 'array', items: ref('LedgerEntry') },
+            nextBefore: { type: 'integer', nullable: true }
+          }, ['balances', 'entries'])),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/claim/process': {
+      post: {
+        operationId: 'processClaim',
+        tags: ['admin'],
+        summary: 'Run the payout worker on one claim now instead of waiting for its turn (admin)',
+        security: adminKey,
+        requestBody: body({
+          type: 'object',
+          required: ['claimId'],
+          properties: { claimId: { type: 'integer', minimum: 1 } }
+        }),
+        responses: {
+          200: ok(success({
+            claimId: { type: 'integer' },
+            status: { type: 'string', enum: ['processing', 'submitted', 'completed', 'failed'] },
+            signature: { type: 'string', nullable: true },
+            explorer: { type: 'string', nullable: true },
+            attempts: { type: 'integer' },
+            error: { type: 'string' },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true }
+          }, ['claimId', 'status'])),
+          ...errors(400, 401, 403, 404, 503)
+        }
+      }
+    },
+    '/api/analytics/network': {
+      get: {
+        operationId: 'getNetworkAnalytics',
+        tags: ['analytics'],
+        summary: 'Network totals, task stats, hourly activity and leaderboard',
+        responses: {
+          200: ok(success({
+            timestamp: { type: 'string', format: 'date-time' },
+            network: { type: 'object' },
+            tasks: { type: 'array', items: { type: 'object' } },
+            hourlyActivity: { type: 'array', items: { type: 'object' } },
+            leaderboard: { type: 'array', items: { type: 'object' } }
+          }, ['network'])),
+          ...errors()
+        }
+      }
+    },
+    '/api/analytics/live': {
+      get: {
+        operationId: 'getLiveAnalytics',
+        tags: ['analytics'],
+        summary: 'Active nodes and recent completions',
+        responses: {
+          200: ok(success({
+            timestamp: { type: 'string', format: 'date-time' },
+            live: { type: 'object' }
+          }, ['live'])),
+          ...errors()
+        }
+      }
+    },
+    '/api/analytics/node/{deviceId}': {
+      get: {
+        operationId: 'getNodeAnalytics',
+        tags: ['analytics'],
+        summary: 'Trust, earnings and capabilities for a single node',
+        parameters: [deviceParam],
+        responses: {
+          200: ok(success({
+            node: { type: 'object' },
+            capabilities: { type: 'object', nullable: true },
+            weeklyEarnings: { type: 'array', items: { type: 'object' } }
+          }, ['node'])),
+          ...errors(400, 404)
+        }
+      }
+    },
+    '/api/data/export': {
+      get: {
+        operationId: 'exportData',
+        tags: ['analytics'],
+        summary: 'Network data export for research; every format streams, csv carries one section per request',
+        parameters: [
+          { name: 'format', in: 'query', required: false, schema: { type: 'string', enum: ['json', 'csv', 'ndjson'], default: 'json' } },
+          { name: 'from', in: 'query', required: false, schema: isoDate, description: 'Window start; defaults to seven days before to' },
+          { name: 'to', in: 'query', required: false, schema: isoDate, description: 'Window end (exclusive); defaults to now' },
+          {
+            name: 'granularity',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', enum: ['hour', 'day', 'week', 'month'], default: 'hour' },
+            description: 'Time series bucket size'
+          },
+          {
+            name: 'sections',
+            in: 'query',
+            required: false,
+            schema: {
+              type: 'string',
+              pattern: '^(summary|tasks|nodes|trust|timeseries)(,(summary|tasks|nodes|trust|timeseries))*$'
+            },
+            description: 'Comma-separated sections; defaults to all (timeseries for csv). nodes and trust are current snapshots'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Success',
+            content: {
+              'application/json': {
+                schema: success({
+                  exportedAt: { type: 'string', format: 'date-time' },
+                  network: { type: 'object' },
+                  timeSeries: { type: 'object', description: 'Buckets keyed hourly, daily, weekly or monthly' },
+                  meta: { type: 'object' }
+                })
+              },
+              'text/csv': { schema: { type: 'string' } },
+              'application/x-ndjson': { schema: { type: 'string', description: 'A meta line, then one record per line tagged with its section' } }
+            }
+          },
+          ...errors(400)
+        }
+      }
+    },
+    '/api/feed/realtime': {
+      get: {
+        operationId: 'getActivityFeed',
+        tags: ['feed'],
+        summary: 'Last ten minutes of completed tasks and claims',
+        responses: {
+          200: ok(success({
+            timestamp: { type: 'string', format: 'date-time' },
+            live: { type: 'object' },
+            feed: { type: 'array', items: ref('FeedEvent') }
+          }, ['feed'])),
+          ...errors()
+        }
+      }
+    },
+    '/api/feed/stream': {
+      get: {
+        operationId: 'streamActivityFeed',
+        tags: ['feed'],
+        summary: 'Server-Sent Events stream of network activity',
+        parameters: [
+          { name: 'Last-Event-ID', in: 'header', required: false, schema: { type: 'string', pattern: '^\\d+$' } },
+          { name: 'lastEventId', in: 'query', required: false, schema: { type: 'string', pattern: '^\\d+$' } }
+        ],
+        responses: {
+          200: {
+            description: 'task_completed, claim_completed, node_online and stats events',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          },
+          ...errors()
+        }
+      }
+    },
+    '/api/admin/nodes': {
+      get: {
+        operationId: 'adminListNodes',
+        tags: ['admin'],
+        summary: 'List and search nodes with trust info (viewer)',
+        security: adminKey,
+        parameters: [
+          { name: 'q', in: 'query', required: false, schema: { type: 'string', maxLength: 64 }, description: 'Device ID or wallet substring' },
+          { name: 'banned', in: 'query', required: false, schema: { type: 'string', enum: ['true', 'false'] } },
+          { name: 'minTrust', in: 'query', required: false, schema: trustScore },
+          { name: 'maxTrust', in: 'query', required: false, schema: trustScore },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+          { name: 'offset', in: 'query', required: false, schema: { type: 'integer', minimum: 0, default: 0 } }
+        ],
+        responses: {
+          200: ok(success({
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            nodes: { type: 'array', items: ref('AdminNode') }
+          }, ['nodes'])),
+          ...errors(400, 401, 403)
+        }
+      }
+    },
+    '/api/admin/nodes/{deviceId}': {
+      get: {
+        operationId: 'adminGetNode',
+        tags: ['admin'],
+        summary: 'Node detail with trust record and capabilities (viewer)',
+        security: adminKey,
+        parameters: [deviceParam],
+        responses: {
+          200: ok(success({
+            node: ref('AdminNode'),
+            trust: { type: 'object' },
+            capabilities: { type: 'object', nullable: true },
+            connected: { type: 'boolean' }
+          }, ['node'])),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/admin/nodes/{deviceId}/anomalies': {
+      get: {
+        operationId: 'adminGetNodeAnomalies',
+        tags: ['admin'],
+        summary: 'Anomaly report for the last 24 hours of work (viewer)',
+        security: adminKey,
+        parameters: [deviceParam],
+        responses: {
+          200: ok(success({
+            deviceId: { type: 'string' },
+            anomalies: { type: 'array', items: { type: 'object' } },
+            confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+            stats: { type: 'object' }
+          }, ['anomalies'])),
+          ...errors(400, 401, 403)
+        }
+      }
+    },
+    '/api/admin/nodes/{deviceId}/ban': {
+      post: {
+        operationId: 'adminBanNode',
+        tags: ['admin'],
+        summary: 'Ban a node and drop its task connection (operator)',
+        security: adminKey,
+        parameters: [deviceParam],
+        requestBody: body({ type: 'object', required: ['reason'], properties: { reason } }),
+        responses: {
+          200: ok(success({ deviceId: { type: 'string' }, banned: { type: 'boolean' } })),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/admin/nodes/{deviceId}/unban': {
+      post: {
+        operationId: 'adminUnbanNode',
+        tags: ['admin'],
+        summary: 'Lift a ban and reset canary failures (operator)',
+        security: adminKey,
+        parameters: [deviceParam],
+        requestBody: body({
+          type: 'object',
+          required: ['reason'],
+          properties: {
+            reason,
+            trustScore: { ...trustScore, description: 'Defaults to the minimum score needed to receive tasks' }
+          }
+        }),
+        responses: {
+          200: ok(success({ deviceId: { type: 'string' }, banned: { type: 'boolean' } })),
+          ...errors(400, 401, 403, 404, 409)
+        }
+      }
+    },
+    '/api/admin/nodes/{deviceId}/trust': {
+      post: {
+        operationId: 'adminSetTrustScore',
+        tags: ['admin'],
+        summary: 'Set a node trust score (operator)',
+        security: adminKey,
+        parameters: [deviceParam],
+        requestBody: body({
+          type: 'object',
+          required: ['trustScore', 'reason'],
+          properties: { trustScore, reason }
+        }),
+        responses: {
+          200: ok(success({
+            deviceId: { type: 'string' },
+            previousTrustScore: { type: 'number' },
+            trustScore: { type: 'number' }
+          })),
+          ...errors(400, 401, 403, 404)
+        }
+      }
+    },
+    '/api/admin/integrity-check': {
+      post: {
+        operationId: 'adminRunIntegrityCheck',
+        tags: ['admin'],
+        summary: 'Flag low-trust nodes with poor verification records (operator)',
+        security: adminKey,
+        responses: {
+          200: ok(success({
+            ranAt: { type: 'string', format: 'date-time' },
+            checked_nodes: { type: 'integer' },
+            flagged_nodes: { type: 'integer' },
+            flagged: { type: 'array', items: { type: 'object' } }
+          }, ['flagged'])),
+          ...errors(401, 403)
+        }
+      }
+    },
+    '/api/admin/wallets/{wallet}/adjust': {
+      post: {
+        operationId: 'adminAdjustBalance',
+        tags: ['admin'],
+        summary: 'Credit or debit a wallet claimable balance through the ledger (admin)',
+        security: adminKey,
+        parameters: [walletParam],
+        requestBody: body({
+          type: 'object',
+          required: ['amount', 'reason'],
+          properties: {
+            amount: { type: 'number', minimum: -1000000, maximum: 1000000, description: 'Negative to debit' },
+            reason
+          }
+        }),
+        responses: {
+          200: ok(success({
+            wallet: { type: 'string' },
+            transactionId: { type: 'string' },
+            balances: ref('LedgerBalances')
+          }, ['transactionId'])),
+          ...errors(400, 401, 403, 404, 409)
+        }
+      }
+    },
+    '/api/admin/reconciliation': {
+      get: {
+        operationId: 'adminGetReconciliation',
+        tags: ['admin'],
+        summary: 'Recent reconciliation runs and balance drift reports (viewer)',
+        security: adminKey,
+        parameters: [
+          { name: 'runId', in: 'query', required: false, schema: { type: 'integer', minimum: 1 } },
+          { name: 'wallet', in: 'query', required: false, schema: ref('WalletAddress') },
+          { name: 'uncorrected', in: 'query', required: false, schema: { type: 'string', enum: ['true', 'false'] } },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 } }
+        ],
+        responses: {
+          200: ok(success({
+            runs: { type: 'array', items: ref('ReconciliationRun') },
+            reports: { type: 'array', items: ref('BalanceDrift') }
+          }, ['runs', 'reports'])),
+          ...errors(400, 401, 403)
+        }
+      }
+    },
+    '/api/admin/reconciliation/run': {
+      post: {
+        operationId: 'adminRunReconciliation',
+        tags: ['admin'],
+        summary: 'Run balance reconciliation now (operator)',
+        security: adminKey,
+        requestBody: {
+          required: false,
+          ...json({
+            type: 'object',
+            properties: {
+              autoCorrect: { type: 'boolean', description: 'Defaults to RECONCILE_AUTO_CORRECT' }
+            }
+          })
+        },
+        responses: {
+          200: ok(success({ run: ref('ReconciliationRun') }, ['run'])),
+          ...errors(400, 401, 403, 409)
+        }
+      }
+    },
+    '/api/admin/emission/epochs/{epochId}/settle': {
+      post: {
+        operationId: 'adminSettleEmissionEpoch',
+        tags: ['admin'],
+        summary: 'Settle a closed emission epoch now; settling twice returns the first result (operator)',
+        security: adminKey,
+        parameters: [pathParam('epochId', { type: 'integer', minimum: 1 })],
+        responses: {
+          200: ok(success({ epoch: ref('EmissionEpoch') }, ['epoch'])),
+          ...errors(400, 401, 403, 404, 409)
+        }
+      }
+    },
+    '/api/admin/drain': {
+      get: {
+        operationId: 'adminGetDrainStatus',
+        tags: ['admin'],
+        summary: 'Drain state of the replica serving the request (viewer)',
+        security: adminKey,
+        responses: {
+          200: ok(success({ lifecycle: ref('LifecycleStatus') }, ['lifecycle'])),
+          ...errors(401, 403)
+        }
+      },
+      post: {
+        operationId: 'adminDrain',
+        tags: ['admin'],
+        summary: 'Put this replica in drain mode without exiting: no new tasks, nodes told to back off, schedulers and workers stopped (operator)',
+        security: adminKey,
+        responses: {
+          200: ok(success({ lifecycle: ref('LifecycleStatus') }, ['lifecycle'])),
+          ...errors(401, 403, 409)
+        }
+      }
+    },
+    '/api/admin/resume': {
+      post: {
+        operationId: 'adminResume',
+        tags: ['admin'],
+        summary: 'Leave drain mode and restart schedulers and workers (operator)',
+        security: adminKey,
+        responses: {
+          200: ok(success({ lifecycle: ref('LifecycleStatus') }, ['lifecycle'])),
+          ...errors(401, 403, 409)
+        }
+      }
+    },
+    '/api/admin/audit': {
+      get: {
+        operationId: 'adminListAuditLog',
+        tags: ['admin'],
+        summary: 'Admin action history, newest first (admin)',
+        security: adminKey,
+        parameters: [
+          { name: 'actor', in: 'query', required: false, schema: { type: 'string', maxLength: 100 } },
+          { name: 'action', in: 'query', required: false, schema: { type: 'string', maxLength: 50 } },
+          { name: 'target', in: 'query', required: false, schema: { type: 'string', maxLength: 128 } },
+          { name: 'before', in: 'query', required: false, schema: { type: 'integer', minimum: 1 }, description: 'Entries with a smaller id (paging)' },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 } }
+        ],
+        responses: {
+          200: ok(success({
+            entries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  actor: { type: 'string' },
+                  role: { type: 'string' },
+                  action: { type: 'string' },
+                  target: { type: 'string', nullable: true },
+                  details: { type: 'object', nullable: true },
+                  ip_address: { type: 'string', nullable: true },
+                  created_at: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }, ['entries'])),
+          ...errors(400, 401, 403)
+        }
+      }
+    },
+    '/api/status': {
+      get: {
+        operationId: 'getStatus',
+        tags: ['system'],
+        summary: 'Service status summarised from the readiness checks (see /readyz for details)',
+        responses: {
+          200: ok(success({
+            status: { type: 'string', enum: ['operational', 'degraded'] },
+            version: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            services: {
+              type: 'object',
+              properties: {
+                database: { type: 'string', enum: ['connected', 'unavailable'] },
+                taskQueue: { type: 'string', enum: ['active', 'low'] },
+                solana: { type: 'string', enum: ['connected', 'unreachable', 'disabled'] }
+              }
+            }
+          }, ['status'])),
+          ...errors(503)
+        }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        tags: ['system'],
+        summary: 'This document',
+        responses: { 200: ok({ type: 'object' }, 'OpenAPI 3 document') }
+      }
+    }
+  }
+};
+
+module.exports = spec;
@@ -9,50 +9,112 @@ const router = express.Router();
 const db = require('../utils/database');
 const config = require('../utils/config');
 const crypto = require('../utils/crypto');
+const { writeChunk } = require('../utils/streaming');
 const taskQueue = require('../queue/taskQueue');
 const taskGenerator = require('../compute/taskGenerator');
 const verifier = require('../verification/verifier');
+const walletAuth = require('../auth/walletAuth');
+const deviceAuth = require('../auth/deviceAuth');
+const rateLimiter = require('../ratelimit/rateLimiter');
+const activityFeed = require('../realtime/activityFeed');
+const validator = require('./validation');
+const payoutWorker = require('../payouts/payoutWorker');
+const ledger = require('../ledger/ledger');
+const rewardPolicy = require('../rewards/rewardPolicy');
+const emission = require('../rewards/emission');
+const referrals = require('../rewards/referrals');
+const earningsHistory = require('../rewards/earningsHistory');
+const devices = require('../devices/devices');
+const walletChanges = require('../wallets/walletChanges');
+const nodeSocket = require('../realtime/nodeSocket');
+const metrics = require('../metrics/metrics');
+const logger = require('../utils/logger');
+const health = require('../health/health');
+const lifecycle = require('../lifecycle/lifecycle');
+const { LedgerError } = ledger;
+const { DeviceError } = devices;
+const { WalletChangeError } = walletChanges;
+
+const requireSession = walletAuth.requireSession();
+const requireWalletSession = walletAuth.requireSession({ walletParam: 'wallet' });
+const requireSignedRequest = deviceAuth.requireSignedRequest();
+
+const claimOutcomes = metrics.counter('orius_claim_outcomes_total', 'Claims by lifecycle outcome', ['outcome']);
 
 // ============================================
-// USER & DEVICE MANAGEMENT
+// WALLET AUTHENTICATION
 // ============================================
 
-router.post('/register', async (req, res) => {
+router.post('/auth/challenge', rateLimiter.limit('auth'), validator.validate('createAuthChallenge'), async (req, res) => {
   try {
     const { walletAddress, deviceId } = req.body;
+
+    const challenge = await walletAuth.createChallenge(walletAddress, deviceId);
+
+    res.json({
+      success: true,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt
+    });
+  } catch (error) {
+    logger.error('Auth challenge error', { error });
+    res.status(500).json({ success: false, error: 'Failed to create challenge' });
+  }
+});
+
+router.post('/auth/verify', rateLimiter.limit('auth'), validator.validate('verifyAuthChallenge'), async (req, res) => {
+  try {
+    const { walletAddress, deviceId, nonce, signature } = req.body;
+
+    const session = await walletAuth.verifyChallenge(walletAddress, deviceId, nonce, signature);
     
-    if (!walletAddress || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
-      return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    if (session.error) {
+      return res.status(401).json({ success: false, error: session.error });
     }
+
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    logger.error('Auth verify error', { error });
+    res.status(500).json({ success: false, error: 'Verification failed' });
+  }
+});
+
+router.post('/auth/logout', validator.validate('logout'), async (req, res) => {
+  try {
+    const token = walletAuth.getBearerToken(req);
     
-    if (!deviceId || deviceId.length < 16) {
-      return res.status(400).json({ success: false, error: 'Device ID required' });
+    if (token) {
+      await walletAuth.revokeSession(token);
     }
 
-    const existingByDevice = await db.query(
-      'SELECT * FROM users WHERE device_id = $1',
-      [deviceId]
-    );
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Auth logout error', { error });
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
 
-    if (existingByDevice.rows.length > 0) {
-      const existingUser = existingByDevice.rows[0];
-      
-      if (existingUser.wallet_address !== walletAddress) {
-        return res.status(409).json({ 
-          success: false, 
-          error: 'Device already bound to another wallet',
-          boundWallet: existingUser.wallet_address.slice(0, 4) + '...' + existingUser.wallet_address.slice(-4)
-        });
-      }
-      
-      return res.json({
-        success: true,
-        message: 'Device already registered',
-        balance: {
-          claimableBalance: parseFloat(existingUser.claimable_balance) || 0,
-          totalEarned: parseFloat(existingUser.total_earned) || 0,
-          computeCredits: parseFloat(existingUser.total_compute_credits) || 0
-        }
+// ============================================
+// USER & DEVICE MANAGEMENT
+// ============================================
+
+router.post('/register', rateLimiter.limit('register', { keys: ['ip'] }), validator.validate('register'), requireSession, rateLimiter.limit('register', { keys: ['wallet', 'device'] }), async (req, res) => {
+  try {
+    const { walletAddress, deviceId, referrer, deviceFingerprint } = req.body;
+
+    const existingDevice = await devices.find(deviceId);
+    const boundHere = existingDevice && existingDevice.status === 'active';
+
+    if (boundHere && existingDevice.wallet_address !== walletAddress) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Device already bound to another wallet',
+        boundWallet: existingDevice.wallet_address.slice(0, 4) + '...' + existingDevice.wallet_address.slice(-4)
       });
     }
 
@@ -63,61 +125,71 @@ router.post('/register', async (req, res) => {
 
     if (existingByWallet.rows.length > 0) {
       const existingUser = existingByWallet.rows[0];
+      const balance = {
+        claimableBalance: parseFloat(existingUser.claimable_balance) || 0,
+        totalEarned: parseFloat(existingUser.total_earned) || 0,
+        computeCredits: parseFloat(existingUser.total_compute_credits) || 0
+      };
       
-      if (existingUser.device_id && existingUser.device_id !== deviceId) {
-        return res.status(409).json({
-          success: false,
-          error: 'Wallet already bound to another device'
-        });
+      if (boundHere) {
+        return res.json({ success: true, message: 'Device already registered', balance });
       }
       
-      await db.query(
-        'UPDATE users SET device_id = $1, device_bound_at = NOW() WHERE wallet_address = $2',
-        [deviceId, walletAddress]
-      );
+      await db.transaction(client => devices.bind(client, {
+        userId: existingUser.id,
+        deviceId,
+        fingerprint: deviceFingerprint,
+        ip: req.ip
+      }));
       
-      return res.json({
-        success: true,
-        message: 'Device bound to existing wallet',
-        balance: {
-          claimableBalance: parseFloat(existingUser.claimable_balance) || 0,
-          totalEarned: parseFloat(existingUser.total_earned) || 0,
-          computeCredits: parseFloat(existingUser.total_compute_credits) || 0
-        }
-      });
+      return res.json({ success: true, message: 'Device bound to existing wallet', balance });
     }
 
-    await db.query(`
-      INSERT INTO users (wallet_address, device_id, device_bound_at, created_at)
-      VALUES ($1, $2, NOW(), NOW())
-    `, [walletAddress, deviceId]);
-
-    await db.query(`
-      INSERT INTO node_trust (device_id, trust_score)
-      VALUES ($1, 100)
-      ON CONFLICT (device_id) DO NOTHING
-    `, [deviceId]);
+    // A referrer is only captured when the wallet first registers
+    const { userId, referral } = await db.transaction(async (client) => {
+      const { rows: created } = await client.query(`
+        INSERT INTO users (wallet_address, created_at, registration_ip, last_ip)
+        VALUES ($1, NOW(), $2, $2)
+        RETURNING id
+      `, [walletAddress, req.ip]);
+
+      await devices.bind(client, { userId: created[0].id, deviceId, fingerprint: deviceFingerprint, ip: req.ip });
+
+      return {
+        userId: created[0].id,
+        referral: referrer
+          ? await referrals.attribute(client, { refereeId: created[0].id, code: referrer, ip: req.ip, fingerprint: deviceFingerprint })
+          : null
+      };
+    });
 
     res.json({
       success: true,
       message: 'Registered successfully',
-      balance: { claimableBalance: 0, totalEarned: 0, computeCredits: 0 }
+      balance: { claimableBalance: 0, totalEarned: 0, computeCredits: 0 },
+      referralCode: await referrals.ensureCode(userId),
+      referral
     });
 
   } catch (error) {
-    console.error('Register error:', error);
+    if (error instanceof DeviceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Register error', { error });
     res.status(500).json({ success: false, error: 'Registration failed' });
   }
 });
 
-router.get('/device/:deviceId', async (req, res) => {
+router.get('/device/:deviceId', validator.validate('getDevice'), async (req, res) => {
   try {
     const { deviceId } = req.params;
     
-    const { rows } = await db.query(
-      'SELECT wallet_address, claimable_balance, total_earned, total_compute_credits FROM users WHERE device_id = $1',
-      [deviceId]
-    );
+    const { rows } = await db.query(`
+      SELECT u.wallet_address, u.claimable_balance, u.total_earned, u.total_compute_credits, d.name
+      FROM devices d
+      JOIN users u ON u.id = d.user_id
+      WHERE d.device_id = $1 AND d.status = 'active'
+    `, [deviceId]);
     
     if (rows.length === 0) {
       return res.json({ success: true, bound: false, wallet: null });
@@ -127,6 +199,7 @@ router.get('/device/:deviceId', async (req, res) => {
       success: true,
       bound: true,
       wallet: rows[0].wallet_address,
+      name: rows[0].name || null,
       balance: {
         claimableBalance: parseFloat(rows[0].claimable_balance) || 0,
         totalEarned: parseFloat(rows[0].total_earned) || 0,
@@ -134,22 +207,325 @@ router.get('/device/:deviceId', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Device check error:', error);
+    logger.error('Device check error', { error });
     res.status(500).json({ success: false, error: 'Check failed' });
   }
 });
 
+router.post('/device/key', validator.validate('registerDeviceKey'), requireSession, async (req, res) => {
+  try {
+    const { walletAddress, deviceId, publicKey, algorithm } = req.body;
+
+    const device = await devices.findActive(deviceId);
+    
+    if (!device || device.wallet_address !== walletAddress) {
+      return res.status(404).json({ success: false, error: 'Device not registered to this wallet' });
+    }
+
+    const result = await deviceAuth.registerKey(deviceId, publicKey, algorithm || 'ECDSA-P256');
+    
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: result.existing ? 'Device key already registered' : 'Device key registered'
+    });
+  } catch (error) {
+    logger.error('Device key error', { error });
+    res.status(500).json({ success: false, error: 'Failed to register device key' });
+  }
+});
+
+router.get('/wallets/:wallet/devices', validator.validate('listDevices'), requireWalletSession, async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [req.params.wallet]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const list = await devices.list(rows[0].id);
+
+    res.json({
+      success: true,
+      wallet: req.params.wallet,
+      maxDevices: config.MAX_DEVICES_PER_WALLET,
+      devices: list.map(device => ({ ...device, current: device.deviceId === req.auth.deviceId }))
+    });
+  } catch (error) {
+    logger.error('Device list error', { error });
+    res.status(500).json({ success: false, error: 'Failed to list devices' });
+  }
+});
+
+router.post('/wallets/:wallet/devices/:deviceId/rename', validator.validate('renameDevice'), requireWalletSession, async (req, res) => {
+  try {
+    const { wallet, deviceId } = req.params;
+
+    const device = await devices.find(deviceId);
+    if (!device || device.wallet_address !== wallet) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    const renamed = await devices.rename(device.user_id, deviceId, req.body.name.trim());
+    res.json({ success: true, device: renamed });
+  } catch (error) {
+    logger.error('Device rename error', { error });
+    res.status(500).json({ success: false, error: 'Failed to rename device' });
+  }
+});
+
+router.post('/wallets/:wallet/devices/:deviceId/revoke', validator.validate('revokeDevice'), requireWalletSession, async (req, res) => {
+  try {
+    const { wallet, deviceId } = req.params;
+
+    const device = await devices.find(deviceId);
+    if (!device || device.wallet_address !== wallet) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    const revoked = await devices.revoke(device.user_id, deviceId, { ip: req.ip });
+    if (!revoked) {
+      return res.status(409).json({ success: false, error: 'Device already revoked' });
+    }
+
+    nodeSocket.disconnect(deviceId, 'Device revoked');
+
+    res.json({ success: true, device: revoked });
+  } catch (error) {
+    logger.error('Device revoke error', { error });
+    res.status(500).json({ success: false, error: 'Failed to revoke device' });
+  }
+});
+
+router.get('/wallets/:wallet/devices/events', validator.validate('listDeviceEvents'), requireWalletSession, async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [req.params.wallet]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const events = await devices.listEvents(rows[0].id, limit);
+
+    res.json({ success: true, wallet: req.params.wallet, events });
+  } catch (error) {
+    logger.error('Device events error', { error });
+    res.status(500).json({ success: false, error: 'Failed to list device events' });
+  }
+});
+
+// Recovery: the wallet signs a challenge naming the new device and the one it replaces
+router.post('/device/recover/challenge', rateLimiter.limit('auth'), validator.validate('createRecoveryChallenge'), async (req, res) => {
+  try {
+    const { walletAddress, deviceId, replacesDeviceId } = req.body;
+
+    const replaced = await devices.findActive(replacesDeviceId);
+    if (!replaced || replaced.wallet_address !== walletAddress) {
+      return res.status(404).json({ success: false, error: 'Device to replace is not active on this wallet' });
+    }
+
+    const challenge = await walletAuth.createChallenge(walletAddress, deviceId, {
+      purpose: 'recovery',
+      replacesDeviceId
+    });
+
+    res.json({
+      success: true,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt
+    });
+  } catch (error) {
+    logger.error('Recovery challenge error', { error });
+    res.status(500).json({ success: false, error: 'Failed to create recovery challenge' });
+  }
+});
+
+router.post('/device/recover', rateLimiter.limit('auth'), validator.validate('recoverDevice'), async (req, res) => {
+  try {
+    const { walletAddress, deviceId, nonce, signature, deviceFingerprint } = req.body;
+
+    const challenge = await walletAuth.consumeChallenge(walletAddress, deviceId, nonce, signature, 'recovery');
+    if (challenge.error) {
+      return res.status(401).json({ success: false, error: challenge.error });
+    }
+
+    const { rows } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [walletAddress]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const recovery = await db.transaction(client => devices.recover(client, {
+      userId: rows[0].id,
+      deviceId,
+      replacesDeviceId: challenge.replacesDeviceId,
+      fingerprint: deviceFingerprint,
+      ip: req.ip
+    }));
+
+    nodeSocket.disconnect(challenge.replacesDeviceId, 'Device replaced');
+    logger.info('Device recovered', { wallet: walletAddress, replacedDeviceId: challenge.replacesDeviceId });
+
+    // The signed challenge doubles as a sign-in for the new device
+    const session = await walletAuth.createSession(walletAddress, deviceId);
+
+    res.json({
+      success: true,
+      device: recovery.device,
+      replaced: recovery.replaced,
+      claimsAllowedAt: recovery.claimsAllowedAt,
+      token: session.token,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    if (error instanceof DeviceError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Device recovery error', { error });
+    res.status(500).json({ success: false, error: 'Device recovery failed' });
+  }
+});
+
+// ============================================
+// PAYOUT WALLET CHANGES
+// ============================================
+
+router.get('/wallets/:wallet/payout-wallet', validator.validate('getWalletChange'), requireWalletSession, async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [req.params.wallet]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const history = await walletChanges.list(rows[0].id);
+
+    res.json({
+      success: true,
+      wallet: req.params.wallet,
+      pending: history.find(change => change.status === 'pending') || null,
+      freezeHours: config.WALLET_CHANGE_FREEZE_HOURS,
+      history
+    });
+  } catch (error) {
+    logger.error('Wallet change lookup error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get wallet changes' });
+  }
+});
+
+// The current wallet signs a message naming the new payout wallet
+router.post('/wallets/:wallet/payout-wallet/challenge', rateLimiter.limit('auth'), validator.validate('createWalletChangeChallenge'), async (req, res) => {
+  try {
+    const { wallet } = req.params;
+    const { deviceId, newWalletAddress } = req.body;
+
+    const device = await devices.findActive(deviceId);
+    if (!device || device.wallet_address !== wallet) {
+      return res.status(403).json({ success: false, error: 'Device mismatch' });
+    }
+
+    const challenge = await walletAuth.createChallenge(wallet, deviceId, {
+      purpose: 'wallet_change',
+      newWalletAddress
+    });
+
+    res.json({
+      success: true,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt
+    });
+  } catch (error) {
+    logger.error('Wallet change challenge error', { error });
+    res.status(500).json({ success: false, error: 'Failed to create wallet change challenge' });
+  }
+});
+
+router.post('/wallets/:wallet/payout-wallet', rateLimiter.limit('auth'), validator.validate('requestWalletChange'), async (req, res) => {
+  try {
+    const { wallet } = req.params;
+    const { deviceId, nonce, signature } = req.body;
+
+    const challenge = await walletAuth.consumeChallenge(wallet, deviceId, nonce, signature, 'wallet_change');
+    if (challenge.error) {
+      return res.status(401).json({ success: false, error: challenge.error });
+    }
+
+    const { rows } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [wallet]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const change = await walletChanges.request({
+      userId: rows[0].id,
+      newWalletAddress: challenge.newWalletAddress,
+      deviceId,
+      ip: req.ip
+    });
+
+    logger.info('Wallet change requested', { wallet, newWallet: change.newWallet, effectiveAt: change.effectiveAt });
+
+    res.json({ success: true, change });
+  } catch (error) {
+    if (error instanceof WalletChangeError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Wallet change error', { error });
+    res.status(500).json({ success: false, error: 'Failed to request wallet change' });
+  }
+});
+
+router.post('/wallets/:wallet/payout-wallet/cancel', validator.validate('cancelWalletChange'), requireWalletSession, async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [req.params.wallet]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const change = await walletChanges.cancel(rows[0].id);
+    if (!change) {
+      return res.status(404).json({ success: false, error: 'No pending wallet change' });
+    }
+
+    res.json({ success: true, change });
+  } catch (error) {
+    logger.error('Wallet change cancel error', { error });
+    res.status(500).json({ success: false, error: 'Failed to cancel wallet change' });
+  }
+});
+
 // ============================================
 // COMPUTE TASK ENDPOINTS
 // ============================================
 
-router.post('/compute/capabilities', async (req, res) => {
+router.post('/compute/capabilities', rateLimiter.limit('compute', { keys: ['ip'] }), validator.validate('registerCapabilities'), requireSignedRequest, rateLimiter.limit('compute', { keys: ['device'] }), async (req, res) => {
   try {
     const { deviceId, capabilities } = req.body;
-    
-    if (!deviceId) {
-      return res.status(400).json({ success: false, error: 'Device ID required' });
-    }
 
     const result = await taskQueue.registerNodeCapabilities(deviceId, capabilities);
     
@@ -159,18 +535,14 @@ router.post('/compute/capabilities', async (req, res) => {
 
     res.json({ success: true, message: 'Capabilities registered' });
   } catch (error) {
-    console.error('Capabilities error:', error);
+    logger.error('Capabilities error', { error });
     res.status(500).json({ success: false, error: 'Failed to register capabilities' });
   }
 });
 
-router.post('/compute/task/request', async (req, res) => {
+router.post('/compute/task/request', lifecycle.rejectWhileDraining(), rateLimiter.limit('compute', { keys: ['ip'] }), validator.validate('requestTask'), requireSignedRequest, rateLimiter.limit('compute', { keys: ['device'] }), async (req, res) => {
   try {
     const { deviceId, capabilities } = req.body;
-    
-    if (!deviceId) {
-      return res.status(400).json({ success: false, error: 'Device ID required' });
-    }
 
     const banned = await verifier.isNodeBanned(deviceId);
     if (banned) {
@@ -189,18 +561,14 @@ router.post('/compute/task/request', async (req, res) => {
 
     res.json({ success: true, task });
   } catch (error) {
-    console.error('Task request error:', error);
+    logger.error('Task request error', { error });
     res.status(500).json({ success: false, error: 'Failed to get task' });
   }
 });
 
-router.post('/compute/task/submit', async (req, res) => {
+router.post('/compute/task/submit', rateLimiter.limit('compute', { keys: ['ip'] }), validator.validate('submitTaskResult'), requireSignedRequest, rateLimiter.limit('compute', { keys: ['device'] }), async (req, res) => {
   try {
     const { deviceId, taskUuid, result, executionTimeMs } = req.body;
-    
-    if (!deviceId || !taskUuid || result === undefined) {
-      return res.status(400).json({ success: false, error: 'Missing required fields' });
-    }
 
     const timeCheck = await verifier.verifyExecutionTime(
       result.task_type || 'unknown',
@@ -216,17 +584,17 @@ router.post('/compute/task/submit', async (req, res) => {
     
     res.json(submission);
   } catch (error) {
-    console.error('Task submit error:', error);
+    logger.error('Task submit error', { error });
     res.status(500).json({ success: false, error: 'Failed to submit result' });
   }
 });
 
-router.get('/compute/queue/stats', async (req, res) => {
+router.get('/compute/queue/stats', validator.validate('getQueueStats'), async (req, res) => {
   try {
     const stats = await taskQueue.getQueueStats();
     res.json({ success: true, stats });
   } catch (error) {
-    console.error('Queue stats error:', error);
+    logger.error('Queue stats error', { error });
     res.status(500).json({ success: false, error: 'Failed to get stats' });
   }
 });
@@ -235,13 +603,29 @@ router.get('/compute/queue/stats', async (req, res) => {
 // HEARTBEAT & ONLINE REWARDS
 // ============================================
 
-router.post('/heartbeat', async (req, res) => {
+// Counts toward the daily cap: earnings, or accrued work units while an emission budget is in force.
+// The cap is per wallet and resets at UTC midnight, in line with daily emission epochs; pass deviceId
+// only to report one device's share.
+async function getEarnedToday(userId, now = new Date(), deviceId = null) {
+  const todayStart = new Date(now);
+  todayStart.setUTCHours(0, 0, 0, 0);
+
+  if (emission.isEnabled(now)) {
+    return emission.getUnitsSince(userId, todayStart, deviceId);
+  }
+
+  const { rows } = await db.query(`
+    SELECT COALESCE(SUM(earned_amount), 0) as total
+    FROM earnings
+    WHERE user_id = $1 AND created_at >= $2 AND ($3::text IS NULL OR device_id = $3)
+  `, [userId, todayStart, deviceId]);
+
+  return parseFloat(rows[0].total) || 0;
+}
+
+router.post('/heartbeat', rateLimiter.limit('heartbeat', { keys: ['ip'] }), validator.validate('heartbeat'), requireSession, rateLimiter.limit('heartbeat', { keys: ['device', 'wallet'] }), async (req, res) => {
   try {
     const { walletAddress, deviceId, sessionId } = req.body;
-    
-    if (!walletAddress || !deviceId) {
-      return res.status(400).json({ success: false, error: 'Missing required fields' });
-    }
 
     const { rows } = await db.query(
       'SELECT * FROM users WHERE wallet_address = $1 FOR UPDATE',
@@ -253,35 +637,33 @@ router.post('/heartbeat', async (req, res) => {
     }
     
     const user = rows[0];
+    const device = await devices.findActive(deviceId);
     
-    if (user.device_id !== deviceId) {
+    if (!device || device.user_id !== user.id) {
       return res.status(403).json({ success: false, error: 'Device mismatch' });
     }
     
     const now = new Date();
-    const lastHeartbeat = user.last_heartbeat_at ? new Date(user.last_heartbeat_at) : null;
+    const lastHeartbeat = device.last_heartbeat_at ? new Date(device.last_heartbeat_at) : null;
     const timeSinceLastHeartbeat = lastHeartbeat ? (now - lastHeartbeat) / 1000 : null;
     
-    if (timeSinceLastHeartbeat !== null && timeSinceLastHeartbeat < 8) {
+    if (timeSinceLastHeartbeat !== null && timeSinceLastHeartbeat * 1000 < config.HEARTBEAT_RATE_LIMIT_MS) {
       return res.status(429).json({ success: false, error: 'Rate limited' });
     }
 
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
+    const reward = rewardPolicy.onlineReward(now);
+    const budgeted = emission.isEnabled(now);
+    const earnedToday = await getEarnedToday(user.id, now);
     
-    const { rows: todayEarnings } = await db.query(`
-      SELECT COALESCE(SUM(earned_amount), 0) as total
-      FROM earnings
-      WHERE user_id = $1 AND created_at >= $2
-    `, [user.id, todayStart]);
-    
-    const earnedToday = parseFloat(todayEarnings[0].total) || 0;
-    
-    if (earnedToday >= config.DAILY_CAP) {
+    if (earnedToday >= reward.dailyCap) {
       await db.query(`
-        UPDATE users SET last_heartbeat_at = NOW(), last_active = NOW(), is_active = true
+        UPDATE users SET last_heartbeat_at = NOW(), last_active = NOW(), is_active = true, last_ip = $2
         WHERE id = $1
-      `, [user.id]);
+      `, [user.id, req.ip]);
+      await db.query(
+        'UPDATE devices SET last_heartbeat_at = NOW(), last_seen_at = NOW() WHERE device_id = $1',
+        [deviceId]
+      );
       
       return res.json({
         success: true,
@@ -290,57 +672,93 @@ router.post('/heartbeat', async (req, res) => {
           claimableBalance: parseFloat(user.claimable_balance),
           totalEarned: parseFloat(user.total_earned),
           earnedToday,
-          dailyCap: config.DAILY_CAP
+          dailyCap: reward.dailyCap
         },
         message: 'Daily cap reached'
       });
     }
 
-    const { min, max } = config.ONLINE_REWARD_PER_HEARTBEAT;
-    let earned = min + Math.random() * (max - min);
-    earned = Math.round(earned * 100) / 100;
+    let earned = reward.amount;
     
-    if (earnedToday + earned > config.DAILY_CAP) {
-      earned = config.DAILY_CAP - earnedToday;
+    if (earnedToday + earned > reward.dailyCap) {
+      earned = Math.round((reward.dailyCap - earnedToday) * 1e6) / 1e6;
     }
 
+    let accrual = null;
     await db.transaction(async (client) => {
       await client.query(`
         UPDATE users 
-        SET claimable_balance = claimable_balance + $1,
-            total_earned = total_earned + $1,
-            total_online_seconds = total_online_seconds + 10,
+        SET total_online_seconds = total_online_seconds + $2,
             last_heartbeat_at = NOW(),
             last_active = NOW(),
             last_seen_at = NOW(),
-            is_active = true
-        WHERE id = $2
-      `, [earned, user.id]);
+            is_active = true,
+            last_ip = $3
+        WHERE id = $1
+      `, [user.id, reward.heartbeatSeconds, req.ip]);
       
       await client.query(`
-        INSERT INTO earnings (user_id, session_id, earned_amount, earning_type, online_seconds)
-        VALUES ($1, $2, $3, 'online_time', 10)
-      `, [user.id, sessionId || crypto.generateSessionId(), earned]);
+        UPDATE devices
+        SET total_online_seconds = total_online_seconds + $2,
+            last_heartbeat_at = NOW(),
+            last_seen_at = NOW()
+        WHERE device_id = $1
+      `, [deviceId, reward.heartbeatSeconds]);
+      
+      // Under an emission budget the heartbeat accrues units; earnings are paid at settlement
+      if (budgeted) {
+        accrual = earned > 0
+          ? await emission.accrue(client, { userId: user.id, unitType: 'online', units: earned, deviceId, at: now })
+          : null;
+        return;
+      }
+
+      const { rows: earning } = await client.query(`
+        INSERT INTO earnings (user_id, session_id, earned_amount, earning_type, online_seconds, policy_version, policy_epoch, device_id)
+        VALUES ($1, $2, $3, 'online_time', $4, $5, $6, $7)
+        RETURNING id
+      `, [user.id, sessionId || crypto.generateSessionId(), earned, reward.heartbeatSeconds, reward.version, reward.epoch, deviceId]);
+      
+      if (earned > 0) {
+        await ledger.post(client, 'online_reward', {
+          userId: user.id,
+          amount: earned,
+          referenceType: 'earning',
+          referenceId: earning[0].id
+        });
+      }
     });
 
     const { rows: updated } = await db.query(
       'SELECT claimable_balance, total_earned FROM users WHERE id = $1',
       [user.id]
     );
+    
+    const lastSeen = device.last_seen_at ? new Date(device.last_seen_at) : null;
+    if (!lastSeen || now - lastSeen > config.NODE_OFFLINE_AFTER_MS) {
+      await activityFeed.recordNodeOnline(user.wallet_address);
+    }
 
-    res.json({
+    const response = {
       success: true,
       earned,
       balance: {
         claimableBalance: parseFloat(updated[0].claimable_balance),
         totalEarned: parseFloat(updated[0].total_earned),
         earnedToday: earnedToday + earned,
-        dailyCap: config.DAILY_CAP
+        dailyCap: reward.dailyCap
       }
-    });
+    };
+
+    if (budgeted) {
+      response.provisional = true;
+      response.emissionEpochId = accrual ? accrual.epochId : null;
+    }
+
+    res.json(response);
 
   } catch (error) {
-    console.error('Heartbeat error:', error);
+    logger.error('Heartbeat error', { error });
     res.status(500).json({ success: false, error: 'Heartbeat failed' });
   }
 });
@@ -349,7 +767,7 @@ router.post('/heartbeat', async (req, res) => {
 // BALANCE & CLAIMS
 // ============================================
 
-router.get('/balance/:wallet', async (req, res) => {
+router.get('/balance/:wallet', validator.validate('getBalance'), async (req, res) => {
   try {
     const { wallet } = req.params;
     const { deviceId } = req.query;
@@ -364,44 +782,34 @@ router.get('/balance/:wallet', async (req, res) => {
     }
     
     const user = rows[0];
+    const device = deviceId ? await devices.findActive(deviceId) : null;
     
-    if (deviceId && user.device_id !== deviceId) {
+    if (deviceId && (!device || device.user_id !== user.id)) {
       return res.status(403).json({ success: false, error: 'Device mismatch' });
     }
 
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    
-    const { rows: todayEarnings } = await db.query(`
-      SELECT COALESCE(SUM(earned_amount), 0) as total
-      FROM earnings
-      WHERE user_id = $1 AND created_at >= $2
-    `, [user.id, todayStart]);
-
     res.json({
       success: true,
       balance: {
         claimableBalance: parseFloat(user.claimable_balance) || 0,
         totalEarned: parseFloat(user.total_earned) || 0,
         computeCredits: parseFloat(user.total_compute_credits) || 0,
-        earnedToday: parseFloat(todayEarnings[0].total) || 0,
+        earnedToday: await getEarnedToday(user.id),
+        deviceEarnedToday: device ? await getEarnedToday(user.id, new Date(), deviceId) : undefined,
         totalOnlineSeconds: user.total_online_seconds || 0,
-        dailyCap: config.DAILY_CAP
+        dailyCap: rewardPolicy.dailyCap(),
+        claimsAllowedAt: user.claims_allowed_at && new Date(user.claims_allowed_at) > new Date() ? user.claims_allowed_at : null
       }
     });
   } catch (error) {
-    console.error('Balance error:', error);
+    logger.error('Balance error', { error });
     res.status(500).json({ success: false, error: 'Failed to get balance' });
   }
 });
 
-router.post('/claim', async (req, res) => {
+router.post('/claim', rateLimiter.limit('claim', { keys: ['ip'] }), validator.validate('createClaim'), requireSession, rateLimiter.limit('claim', { keys: ['wallet', 'device'] }), async (req, res) => {
   try {
     const { walletAddress, amount, deviceId } = req.body;
-    
-    if (!walletAddress || !deviceId) {
-      return res.status(400).json({ success: false, error: 'Missing required fields' });
-    }
 
     const claimAmount = parseFloat(amount);
     if (isNaN(claimAmount) || claimAmount < config.MIN_CLAIM_AMOUNT) {
@@ -428,10 +836,28 @@ router.post('/claim', async (req, res) => {
     }
     
     const user = rows[0];
+    const device = await devices.findActive(deviceId);
     
-    if (user.device_id !== deviceId) {
+    if (!device || device.user_id !== user.id) {
       return res.status(403).json({ success: false, error: 'Device mismatch' });
     }
+
+    const pendingChange = await walletChanges.getPending(user.id);
+    if (pendingChange) {
+      return res.status(429).json({
+        success: false,
+        error: 'Claims are frozen while a payout wallet change is pending',
+        claimsAllowedAt: pendingChange.effectiveAt
+      });
+    }
+
+    if (user.claims_allowed_at && new Date(user.claims_allowed_at) > new Date()) {
+      return res.status(429).json({
+        success: false,
+        error: 'Claims are paused after a new device was added to this wallet',
+        claimsAllowedAt: user.claims_allowed_at
+      });
+    }
     
     if (parseFloat(user.claimable_balance) < claimAmount) {
       return res.status(400).json({ success: false, error: 'Insufficient balance' });
@@ -449,15 +875,27 @@ router.post('/claim', async (req, res) => {
       });
     }
 
-    const { rows: claim } = await db.query(`
-      INSERT INTO claims (user_id, amount, status)
-      VALUES ($1, $2, 'processing')
-      RETURNING id
-    `, [user.id, claimAmount]);
+    const claim = await db.transaction(async (client) => {
+      const { rows } = await client.query(`
+        INSERT INTO claims (user_id, amount, status, payout_address)
+        VALUES ($1, $2, 'processing', $3)
+        RETURNING id
+      `, [user.id, claimAmount, user.wallet_address]);
+
+      await ledger.post(client, 'claim_hold', {
+        userId: user.id,
+        amount: claimAmount,
+        referenceType: 'claim',
+        referenceId: rows[0].id
+      });
+
+      return rows;
+    });
 
-    await db.query(`
-      UPDATE users SET claimable_balance = claimable_balance - $1 WHERE id = $2
-    `, [claimAmount, user.id]);
+    logger.bind({ claimId: claim[0].id });
+    logger.info('Claim requested', { amount: claimAmount });
+    claimOutcomes.inc({ outcome: 'requested' });
+    payoutWorker.wake();
 
     res.json({
       success: true,
@@ -468,12 +906,15 @@ router.post('/claim', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Claim error:', error);
+    if (error instanceof LedgerError) {
+      return res.status(400).json({ success: false, error: 'Insufficient balance' });
+    }
+    logger.error('Claim error', { error });
     res.status(500).json({ success: false, error: 'Claim failed' });
   }
 });
 
-router.get('/claims/:wallet', async (req, res) => {
+router.get('/claims/:wallet', validator.validate('listClaims'), async (req, res) => {
   try {
     const { wallet } = req.params;
     
@@ -496,21 +937,169 @@ router.get('/claims/:wallet', async (req, res) => {
     
     res.json({ success: true, claims });
   } catch (error) {
-    console.error('Claims history error:', error);
+    logger.error('Claims history error', { error });
     res.status(500).json({ success: false, error: 'Failed to get claims' });
   }
 });
 
+router.get('/earnings/:wallet', validator.validate('getEarningsHistory'), async (req, res) => {
+  try {
+    const { wallet } = req.params;
+    const format = req.query.format || 'json';
+    const filters = {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      types: req.query.type ? req.query.type.split(',') : null
+    };
+    
+    const { rows: user } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [wallet]
+    );
+    
+    if (user.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    if (format === 'json') {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const before = req.query.cursor ? parseInt(req.query.cursor) : null;
+      const earnings = await earningsHistory.getPage(user[0].id, filters, { limit, before });
+      
+      return res.json({
+        success: true,
+        wallet,
+        earnings,
+        nextCursor: earnings.length === limit ? String(earnings[earnings.length - 1].id) : null
+      });
+    }
+    
+    // csv and ndjson stream the whole filtered history, oldest first
+    const csv = format === 'csv';
+    res.setHeader('Content-Type', csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="earnings-${wallet}.${csv ? 'csv' : 'ndjson'}"`);
+    
+    if (csv) {
+      res.write(earningsHistory.toCsvHeader());
+    }
+    
+    await earningsHistory.each(user[0].id, filters, async (batch) => {
+      const chunk = batch.map(earning => csv ? earningsHistory.toCsvRow(earning) : JSON.stringify(earning) + '\n').join('');
+      return writeChunk(res, chunk);
+    });
+    
+    res.end();
+  } catch (error) {
+    logger.error('Earnings history error', { error });
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: 'Failed to get earnings' });
+  }
+});
+
+router.get('/rewards/policy', validator.validate('getRewardPolicy'), (req, res) => {
+  try {
+    res.json({ success: true, policy: rewardPolicy.describe() });
+  } catch (error) {
+    logger.error('Reward policy error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get reward policy' });
+  }
+});
+
+router.get('/ledger/:wallet', validator.validate('getLedgerStatement'), async (req, res) => {
+  try {
+    const { wallet } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const before = req.query.before ? parseInt(req.query.before) : null;
+    
+    const { rows: user } = await db.query(
+      'SELECT id FROM users WHERE wallet_address = $1',
+      [wallet]
+    );
+    
+    if (user.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const balances = await ledger.getBalances(user[0].id);
+    const entries = await ledger.getStatement(user[0].id, { limit, before });
+    
+    res.json({
+      success: true,
+      wallet,
+      balances,
+      entries,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].id : null
+    });
+  } catch (error) {
+    logger.error('Ledger statement error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get ledger statement' });
+  }
+});
+
+router.get('/referrals/:wallet', validator.validate('getReferrals'), async (req, res) => {
+  try {
+    const { rows } = await db.query(
+      'SELECT id, referral_code FROM users WHERE wallet_address = $1',
+      [req.params.wallet]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const referral = await referrals.getStats(rows[0]);
+    res.json({ success: true, wallet: req.params.wallet, ...referral });
+  } catch (error) {
+    logger.error('Referrals error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get referrals' });
+  }
+});
+
+router.get('/emission/epochs', validator.validate('listEmissionEpochs'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 30, 200);
+    const epochs = await emission.listEpochs(limit);
+
+    res.json({ success: true, epochs });
+  } catch (error) {
+    logger.error('Emission epochs error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get emission epochs' });
+  }
+});
+
+router.get('/emission/epochs/:epoch', validator.validate('getEmissionEpoch'), async (req, res) => {
+  try {
+    const current = req.params.epoch === 'current';
+
+    if (current && !emission.isEnabled()) {
+      return res.status(404).json({ success: false, error: 'No emission budget in force' });
+    }
+
+    const epoch = await emission.getEpoch(current ? null : parseInt(req.params.epoch), req.query.wallet || null);
+
+    if (!epoch) {
+      return res.status(404).json({ success: false, error: 'Emission epoch not found' });
+    }
+
+    res.json({ success: true, epoch });
+  } catch (error) {
+    logger.error('Emission epoch error', { error });
+    res.status(500).json({ success: false, error: 'Failed to get emission epoch' });
+  }
+});
+
 // ============================================
 // NETWORK ANALYTICS (for ai.orius.io)
 // ============================================
 
-router.get('/analytics/network', async (req, res) => {
+router.get('/analytics/network', validator.validate('getNetworkAnalytics'), async (req, res) => {
   try {
     const { rows: overview } = await db.query(`
       SELECT 
-        COUNT(*) as total_nodes,
-        COUNT(CASE WHEN is_active AND last_seen_at > NOW() - INTERVAL '5 minutes' THEN 1 END) as active_nodes,
+        (SELECT COUNT(*) FROM devices WHERE status = 'active') as total_nodes,
+        (SELECT COUNT(*) FROM devices WHERE status = 'active' AND last_seen_at > NOW() - INTERVAL '5 minutes') as active_nodes,
         COALESCE(SUM(total_earned), 0) as total_tokens_distributed,
         COALESCE(SUM(total_compute_credits), 0) as total_compute_credits,
         COALESCE(SUM(total_online_seconds), 0) as total_compute_seconds
@@ -546,7 +1135,12 @@ router.get('/analytics/network', async (req, res) => {
         u.total_online_seconds,
         nt.trust_score
       FROM users u
-      LEFT JOIN node_trust nt ON u.device_id = nt.device_id
+      LEFT JOIN LATERAL (
+        SELECT AVG(nt.trust_score) as trust_score
+        FROM devices d
+        JOIN node_trust nt ON nt.device_id = d.device_id
+        WHERE d.user_id = u.id AND d.status = 'active'
+      ) nt ON true
       ORDER BY u.total_compute_credits DESC
       LIMIT 10
     `);
@@ -581,12 +1175,12 @@ router.get('/analytics/network', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Network analytics error:', error);
+    logger.error('Network analytics error', { error });
     res.status(500).json({ success: false, error: 'Failed to get analytics' });
   }
 });
 
-router.get('/analytics/live', async (req, res) => {
+router.get('/analytics/live', validator.validate('getLiveAnalytics'), async (req, res) => {
   try {
     const { rows: liveNodes } = await db.query(`
       SELECT 
@@ -622,20 +1216,22 @@ router.get('/analytics/live', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Live analytics error:', error);
+    logger.error('Live analytics error', { error });
     res.status(500).json({ success: false, error: 'Failed to get live stats' });
   }
 });
 
-router.get('/analytics/node/:deviceId', async (req, res) => {
+router.get('/analytics/node/:deviceId', validator.validate('getNodeAnalytics'), async (req, res) => {
   try {
     const { deviceId } = req.params;
 
     const { rows: user } = await db.query(`
-      SELECT u.*, nt.trust_score, nt.total_tasks_completed, nt.successful_tasks
-      FROM users u
-      LEFT JOIN node_trust nt ON u.device_id = nt.device_id
-      WHERE u.device_id = $1
+      SELECT u.*, d.total_online_seconds as device_online_seconds,
+             nt.trust_score, nt.total_tasks_completed, nt.successful_tasks
+      FROM devices d
+      JOIN users u ON u.id = d.user_id
+      LEFT JOIN node_trust nt ON nt.device_id = d.device_id
+      WHERE d.device_id = $1
     `, [deviceId]);
 
     if (user.length === 0) {
@@ -653,10 +1249,10 @@ router.get('/analytics/node/:deviceId', async (req, res) => {
         SUM(earned_amount) as earned,
         COUNT(*) as tasks
       FROM earnings
-      WHERE user_id = $1 AND created_at > NOW() - INTERVAL '7 days'
+      WHERE user_id = $1 AND device_id = $2 AND created_at > NOW() - INTERVAL '7 days'
       GROUP BY date_trunc('day', created_at)
       ORDER BY day DESC
-    `, [user[0].id]);
+    `, [user[0].id, deviceId]);
 
     res.json({
       success: true,
@@ -665,7 +1261,7 @@ router.get('/analytics/node/:deviceId', async (req, res) => {
         trustScore: parseFloat(user[0].trust_score) || 100,
         totalEarned: parseFloat(user[0].total_earned) || 0,
         computeCredits: parseFloat(user[0].total_compute_credits) || 0,
-        onlineHours: Math.round((user[0].total_online_seconds || 0) / 3600),
+        onlineHours: Math.round((user[0].device_online_seconds || 0) / 3600),
         tasksCompleted: parseInt(user[0].total_tasks_completed) || 0,
         successRate: user[0].total_tasks_completed > 0 
           ? Math.round((user[0].successful_tasks / user[0].total_tasks_completed) * 100)
@@ -680,33 +1276,42 @@ router.get('/analytics/node/:deviceId', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Node analytics error:', error);
+    logger.error('Node analytics error', { error });
     res.status(500).json({ success: false, error: 'Failed to get node stats' });
   }
 });
 
-router.get('/status', async (req, res) => {
+// Summary of the /readyz report; use /readyz for per-check details
+router.get('/status', validator.validate('getStatus'), async (req, res) => {
   try {
-    await db.query('SELECT 1');
+    const { ready, status, checks } = await health.readiness();
+    const payouts = checks.payoutBackend;
+    const services = {
+      database: checks.database.status === 'ok' ? 'connected' : 'unavailable',
+      taskQueue: checks.taskPool.status === 'ok' ? 'active' : 'low',
+      solana: !payouts.configured ? 'disabled' : payouts.status === 'ok' ? 'connected' : 'unreachable'
+    };
+    
+    if (!ready) {
+      const error = checks.lifecycle.status === 'fail' ? 'Server is draining' : 'Service not ready';
+      return res.status(503).json({ success: false, status: 'unavailable', error, services });
+    }
     
     res.json({
       success: true,
-      status: 'operational',
+      status: status === 'ok' ? 'operational' : 'degraded',
       version: '2.0.0',
       timestamp: new Date().toISOString(),
-      services: {
-        database: 'connected',
-        taskQueue: 'active',
-        solana: process.env.TREASURY_PRIVATE_KEY ? 'connected' : 'disabled'
-      }
+      services
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      status: 'degraded',
-      error: error.message
-    });
+    logger.error('Status error', { error });
+    res.status(500).json({ success: false, status: 'degraded', error: 'Status check failed' });
   }
 });
 
+router.get('/openapi.json', (req, res) => {
+  res.json(validator.getDocument());
+});
+
 module.exports = router;
@@ -0,0 +1,194 @@
+/**
+ * Orius Compute Network - Request Validation
+ * Validates requests and responses against the OpenAPI document
+ * Developed by Orius Team
+ */
+
+const Ajv = require('ajv');
+const config = require('../utils/config');
+const spec = require('./openapi');
+
+const SPEC_ID = 'openapi';
+
+function pointer(...segments) {
+  return segments
+    .map(s => '/' + String(s).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .map(s => s.replace(/[{}]/g, encodeURIComponent))
+    .join('');
+}
+
+class RequestValidator {
+  constructor() {
+    const options = { allErrors: true, strict: false, validateFormats: false };
+    this.ajv = new Ajv(options);
+    this.ajv.addSchema(spec, SPEC_ID);
+    // Path and query values are always strings; coerce copies so integer/boolean schemas apply
+    this.paramsAjv = new Ajv({ ...options, coerceTypes: true });
+    this.paramsAjv.addSchema(spec, SPEC_ID);
+    this.operations = new Map();
+    this.compiled = new Map();
+
+    for (const [path, methods] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        this.operations.set(operation.operationId, { path, method, operation });
+      }
+    }
+  }
+
+  ref(...segments) {
+    return { $ref: `${SPEC_ID}#${pointer(...segments)}` };
+  }
+
+  // Path and query parameters are folded into one object schema per location
+  compileParameters(path, method, operation, location) {
+    const properties = {};
+    const required = [];
+
+    (operation.parameters || []).forEach((param, index) => {
+      if (param.in !== location) return;
+      properties[param.name] = this.ref('paths', path, method, 'parameters', index, 'schema');
+      if (param.required) required.push(param.name);
+    });
+
+    if (Object.keys(properties).length === 0) return null;
+    return this.paramsAjv.compile({ type: 'object', properties, required });
+  }
+
+  compile(operationId) {
+    if (this.compiled.has(operationId)) return this.compiled.get(operationId);
+
+    const entry = this.operations.get(operationId);
+    if (!entry) {
+      throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+    }
+
+    const { path, method, operation } = entry;
+    const validators = {
+      params: this.compileParameters(path, method, operation, 'path'),
+      query: this.compileParameters(path, method, operation, 'query'),
+      body: null,
+      responses: {}
+    };
+
+    if (operation.requestBody?.content?.['application/json']) {
+      validators.body = this.ajv.compile(
+        this.ref('paths', path, method, 'requestBody', 'content', 'application/json', 'schema')
+      );
+    }
+
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      if (response.content?.['application/json']) {
+        validators.responses[status] = this.ajv.compile(
+          this.ref('paths', path, method, 'responses', status, 'content', 'application/json', 'schema')
+        );
+      }
+    }
+
+    this.compiled.set(operationId, validators);
+    return validators;
+  }
+
+  formatErrors(location, errors) {
+    const fields = new Map();
+
+    for (const error of errors) {
+      const segments = error.instancePath.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+      let message = error.message;
+
+      if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+        message = 'is required';
+      } else if (error.keyword === 'pattern') {
+        message = 'has an invalid format';
+      } else if (error.keyword === 'oneOf' || error.keyword === 'anyOf') {
+        message = 'does not match any accepted shape';
+      }
+
+      const field = [location, ...segments].join('.');
+      if (!fields.has(field) || error.keyword === 'oneOf' || error.keyword === 'anyOf') {
+        fields.set(field, { field, message });
+      }
+    }
+
+    return [...fields.values()];
+  }
+
+  check(operationId, req) {
+    const validators = this.compile(operationId);
+    const fields = [];
+
+    if (validators.params && !validators.params({ ...req.params })) {
+      fields.push(...this.formatErrors('params', validators.params.errors));
+    }
+
+    if (validators.query && !validators.query({ ...req.query })) {
+      fields.push(...this.formatErrors('query', validators.query.errors));
+    }
+
+    if (validators.body && !validators.body(req.body === undefined ? {} : req.body)) {
+      fields.push(...this.formatErrors('body', validators.body.errors));
+    }
+
+    return fields;
+  }
+
+  checkResponse(operationId, status, payload) {
+    const validators = this.compile(operationId);
+    const validate = validators.responses[status] || validators.responses.default;
+    if (!validate) return;
+
+    // Validate what the client will actually receive (Dates become strings, etc.)
+    const serialized = JSON.parse(JSON.stringify(payload));
+    if (!validate(serialized)) {
+      const fields = this.formatErrors('response', validate.errors);
+      console.warn(`Response for ${operationId} (${status}) does not match spec:`,
+        fields.map(f => `${f.field} ${f.message}`).join('; '));
+    }
+  }
+
+  // For payloads that arrive outside HTTP, e.g. results pushed over the node WebSocket
+  checkSchema(name, data, location) {
+    const key = `#/components/schemas/${name}`;
+    if (!this.compiled.has(key)) {
+      this.compiled.set(key, this.ajv.compile(this.ref('components', 'schemas', name)));
+    }
+
+    const validate = this.compiled.get(key);
+    return validate(data) ? [] : this.formatErrors(location, validate.errors);
+  }
+
+  validate(operationId) {
+    this.compile(operationId);
+
+    return (req, res, next) => {
+      if (config.OPENAPI_VALIDATE_RESPONSES) {
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+          try {
+            this.checkResponse(operationId, res.statusCode, payload);
+          } catch (error) {
+            console.log('Response validation note:', error.message);
+          }
+          return json(payload);
+        };
+      }
+
+      const fields = this.check(operationId, req);
+      if (fields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request: ' + fields.map(f => `${f.field} ${f.message}`).join('; '),
+          fields
+        });
+      }
+
+      next();
+    };
+  }
+
+  getDocument() {
+    return spec;
+  }
+}
+
+module.exports = new RequestValidator();
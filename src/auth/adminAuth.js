@@ -0,0 +1,110 @@
+/**
+ * Orius Compute Network - Admin Authentication
+ * Role-based admin API keys and the admin audit log
+ * Developed by Orius Team
+ */
+
+const nodeCrypto = require('crypto');
+const db = require('../utils/database');
+const config = require('../utils/config');
+const crypto = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+class AdminAuth {
+  constructor() {
+    this.keys = this.parseKeys(config.ADMIN_API_KEYS);
+  }
+
+  parseKeys(value) {
+    const keys = [];
+
+    for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+      const [name, role, ...rest] = entry.split(':');
+      const key = rest.join(':');
+
+      if (!name || !key || !config.ADMIN_ROLES.includes(role)) {
+        logger.warn('Ignoring malformed admin key entry', { admin: name || '?' });
+        continue;
+      }
+
+      keys.push({ name, role, keyHash: Buffer.from(crypto.sha256(key), 'hex') });
+    }
+
+    return keys;
+  }
+
+  authenticate(key) {
+    if (!key) return null;
+
+    const keyHash = Buffer.from(crypto.sha256(key), 'hex');
+    const match = this.keys.find(k => nodeCrypto.timingSafeEqual(k.keyHash, keyHash));
+
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  hasRole(actual, required) {
+    return config.ADMIN_ROLES.indexOf(actual) >= config.ADMIN_ROLES.indexOf(required);
+  }
+
+  requireRole(role) {
+    return (req, res, next) => {
+      const admin = this.authenticate(req.get('X-Admin-Key'));
+
+      if (!admin) {
+        return res.status(401).json({ success: false, error: 'Admin key required' });
+      }
+
+      if (!this.hasRole(admin.role, role)) {
+        return res.status(403).json({ success: false, error: `Requires ${role} role` });
+      }
+
+      req.admin = admin;
+      logger.bind({ admin: admin.name });
+      next();
+    };
+  }
+
+  // Also logged, so admin actions can be traced alongside the request that made them
+  async audit(req, action, target, details = null) {
+    logger.info('Admin action', { action, target, role: req.admin.role, details });
+    await db.query(`
+      INSERT INTO admin_audit_log (actor, role, action, target, details, ip_address)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [req.admin.name, req.admin.role, action, target, details ? JSON.stringify(details) : null, req.ip]);
+  }
+
+  async getAuditLog({ actor, action, target, limit = 100, before }) {
+    const conditions = [];
+    const params = [];
+
+    if (actor) {
+      params.push(actor);
+      conditions.push(`actor = $${params.length}`);
+    }
+    if (action) {
+      params.push(action);
+      conditions.push(`action = $${params.length}`);
+    }
+    if (target) {
+      params.push(target);
+      conditions.push(`target = $${params.length}`);
+    }
+    if (before) {
+      params.push(before);
+      conditions.push(`id < $${params.length}`);
+    }
+
+    params.push(limit);
+    const { rows } = await db.query(`
+      SELECT id, actor, role, action, target, details, ip_address, created_at
+      FROM admin_audit_log
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return rows;
+  }
+}
+
+module.exports = new AdminAuth();
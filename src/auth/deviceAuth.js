@@ -0,0 +1,144 @@
+/**
+ * Orius Compute Network - Device Authentication
+ * Per-device public keys and signed compute requests
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+const crypto = require('../utils/crypto');
+
+class DeviceAuth {
+  async registerKey(deviceId, publicKey, algorithm) {
+    if (!crypto.DEVICE_KEY_ALGORITHMS[algorithm]) {
+      return { error: 'Unsupported key algorithm' };
+    }
+
+    const { rows: existing } = await db.query(
+      'SELECT public_key, algorithm FROM device_keys WHERE device_id = $1 AND revoked_at IS NULL',
+      [deviceId]
+    );
+
+    if (existing.length > 0) {
+      if (existing[0].public_key === publicKey && existing[0].algorithm === algorithm) {
+        return { success: true, existing: true };
+      }
+      return { error: 'Device key already registered', conflict: true };
+    }
+
+    await db.query(`
+      INSERT INTO device_keys (device_id, public_key, algorithm)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (device_id) DO UPDATE SET
+        public_key = EXCLUDED.public_key,
+        algorithm = EXCLUDED.algorithm,
+        revoked_at = NULL,
+        created_at = NOW()
+    `, [deviceId, publicKey, algorithm]);
+
+    return { success: true, existing: false };
+  }
+
+  async getKey(deviceId) {
+    const { rows } = await db.query(
+      'SELECT public_key, algorithm FROM device_keys WHERE device_id = $1 AND revoked_at IS NULL',
+      [deviceId]
+    );
+    return rows[0] || null;
+  }
+
+  async revokeKey(deviceId) {
+    await db.query(
+      'UPDATE device_keys SET revoked_at = NOW() WHERE device_id = $1 AND revoked_at IS NULL',
+      [deviceId]
+    );
+  }
+
+  async consumeNonce(deviceId, nonce) {
+    const result = await db.query(`
+      INSERT INTO device_request_nonces (device_id, nonce)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+    `, [deviceId, nonce]);
+    return result.rowCount === 1;
+  }
+
+  async pruneNonces() {
+    const maxAgeSeconds = Math.ceil(config.DEVICE_SIGNATURE_MAX_AGE_MS / 1000) * 2;
+    const result = await db.query(
+      `DELETE FROM device_request_nonces WHERE created_at < NOW() - ($1 || ' seconds')::interval`,
+      [maxAgeSeconds]
+    );
+    return result.rowCount;
+  }
+
+  async verifySignature({ deviceId, method, path, body, timestamp, nonce, signature }) {
+    if (!deviceId || !timestamp || !nonce || !signature) {
+      return { status: 401, error: 'Signed request required' };
+    }
+
+    const age = Math.abs(Date.now() - parseInt(timestamp, 10));
+    if (isNaN(age) || age > config.DEVICE_SIGNATURE_MAX_AGE_MS) {
+      return { status: 401, error: 'Stale request timestamp' };
+    }
+
+    if (nonce.length < 16 || nonce.length > 64) {
+      return { status: 401, error: 'Invalid nonce' };
+    }
+
+    const key = await this.getKey(deviceId);
+    if (!key) {
+      return { status: 401, error: 'Device key not registered' };
+    }
+
+    const payload = crypto.buildDeviceSigningPayload(method, path, crypto.sha256(body || ''), timestamp, nonce);
+
+    if (!crypto.verifyDeviceSignature(payload, signature, key.public_key, key.algorithm)) {
+      return { status: 401, error: 'Invalid request signature' };
+    }
+
+    if (!await this.consumeNonce(deviceId, nonce)) {
+      return { status: 401, error: 'Replayed request' };
+    }
+
+    return { deviceId };
+  }
+
+  async verifyRequest(req) {
+    const deviceId = req.get('X-Device-ID');
+
+    if (deviceId && req.body?.deviceId && req.body.deviceId !== deviceId) {
+      return { status: 403, error: 'Device ID mismatch' };
+    }
+
+    return this.verifySignature({
+      deviceId,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody ? req.rawBody.toString('utf8') : '',
+      timestamp: req.get('X-Device-Timestamp'),
+      nonce: req.get('X-Device-Nonce'),
+      signature: req.get('X-Device-Signature')
+    });
+  }
+
+  requireSignedRequest() {
+    return async (req, res, next) => {
+      try {
+        const result = await this.verifyRequest(req);
+
+        if (result.error) {
+          return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        req.device = { deviceId: result.deviceId };
+        next();
+      } catch (error) {
+        console.error('Device signature check error:', error);
+        res.status(500).json({ success: false, error: 'Signature verification failed' });
+      }
+    };
+  }
+}
+
+module.exports = new DeviceAuth();
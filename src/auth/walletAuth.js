@@ -0,0 +1,152 @@
+/**
+ * Orius Compute Network - Wallet Authentication
+ * Challenge/response sign-in and session tokens
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+const crypto = require('../utils/crypto');
+
+class WalletAuth {
+  buildChallengeMessage(walletAddress, deviceId, nonce, issuedAt, { replacesDeviceId = null, newWalletAddress = null } = {}) {
+    let lines = ['Sign in to Orius Network', '', `Wallet: ${walletAddress}`, `Device: ${deviceId}`];
+
+    if (replacesDeviceId) {
+      lines = ['Recover a device on Orius Network', '', `Wallet: ${walletAddress}`, `New Device: ${deviceId}`, `Revokes Device: ${replacesDeviceId}`];
+    } else if (newWalletAddress) {
+      lines = ['Change payout wallet on Orius Network', '', `Wallet: ${walletAddress}`, `New Payout Wallet: ${newWalletAddress}`, `Device: ${deviceId}`];
+    }
+
+    return [
+      ...lines,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`
+    ].join('\n');
+  }
+
+  // purpose is 'sign_in', 'recovery' (names the device it revokes) or 'wallet_change' (names the new wallet)
+  async createChallenge(walletAddress, deviceId, { purpose = 'sign_in', replacesDeviceId = null, newWalletAddress = null } = {}) {
+    const nonce = crypto.generateToken(16);
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + config.AUTH_CHALLENGE_TTL_MS);
+    const message = this.buildChallengeMessage(walletAddress, deviceId, nonce, issuedAt, { replacesDeviceId, newWalletAddress });
+
+    await db.query(`
+      INSERT INTO auth_challenges (wallet_address, device_id, nonce, message, expires_at, purpose, replaces_device_id, new_wallet_address)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [walletAddress, deviceId, nonce, message, expiresAt, purpose, replacesDeviceId, newWalletAddress]);
+
+    return { nonce, message, expiresAt };
+  }
+
+  // Marks the challenge used whether or not the signature checks out, so each nonce gets one attempt
+  async consumeChallenge(walletAddress, deviceId, nonce, signature, purpose = 'sign_in') {
+    const { rows } = await db.query(`
+      UPDATE auth_challenges
+      SET used_at = NOW()
+      WHERE nonce = $1 AND wallet_address = $2 AND device_id = $3 AND purpose = $4
+        AND used_at IS NULL AND expires_at > NOW()
+      RETURNING message, replaces_device_id, new_wallet_address
+    `, [nonce, walletAddress, deviceId, purpose]);
+
+    if (rows.length === 0) {
+      return { error: 'Challenge expired or not found' };
+    }
+
+    if (!crypto.verifyWalletSignature(rows[0].message, signature, walletAddress)) {
+      return { error: 'Invalid signature' };
+    }
+
+    return {
+      replacesDeviceId: rows[0].replaces_device_id,
+      newWalletAddress: rows[0].new_wallet_address
+    };
+  }
+
+  async verifyChallenge(walletAddress, deviceId, nonce, signature) {
+    const challenge = await this.consumeChallenge(walletAddress, deviceId, nonce, signature);
+
+    if (challenge.error) {
+      return challenge;
+    }
+
+    return await this.createSession(walletAddress, deviceId);
+  }
+
+  async createSession(walletAddress, deviceId) {
+    const token = crypto.generateToken(32);
+    const expiresAt = new Date(Date.now() + config.AUTH_SESSION_TTL_MS);
+
+    await db.query(`
+      INSERT INTO auth_sessions (token_hash, wallet_address, device_id, expires_at)
+      VALUES ($1, $2, $3, $4)
+    `, [crypto.sha256(token), walletAddress, deviceId, expiresAt]);
+
+    return { token, expiresAt };
+  }
+
+  async validateSession(token) {
+    if (!token) return null;
+
+    const { rows } = await db.query(`
+      UPDATE auth_sessions
+      SET last_used_at = NOW()
+      WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING wallet_address, device_id, expires_at
+    `, [crypto.sha256(token)]);
+
+    return rows[0] || null;
+  }
+
+  async revokeSession(token) {
+    await db.query(
+      'UPDATE auth_sessions SET revoked_at = NOW() WHERE token_hash = $1',
+      [crypto.sha256(token)]
+    );
+  }
+
+  getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+
+  // Matches the session against walletAddress/deviceId in the body, or against a wallet path
+  // parameter (any of the wallet's devices) when walletParam is given
+  requireSession({ walletParam = null } = {}) {
+    return async (req, res, next) => {
+      try {
+        const session = await this.validateSession(this.getBearerToken(req));
+
+        if (!session) {
+          return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        if (walletParam) {
+          if (req.params[walletParam] !== session.wallet_address) {
+            return res.status(403).json({ success: false, error: 'Session does not match wallet' });
+          }
+        } else {
+          const { walletAddress, deviceId } = req.body || {};
+
+          if (walletAddress !== session.wallet_address || deviceId !== session.device_id) {
+            return res.status(403).json({ success: false, error: 'Session does not match wallet or device' });
+          }
+        }
+
+        req.auth = {
+          walletAddress: session.wallet_address,
+          deviceId: session.device_id,
+          expiresAt: session.expires_at
+        };
+        next();
+      } catch (error) {
+        console.error('Session check error:', error);
+        res.status(500).json({ success: false, error: 'Authentication failed' });
+      }
+    };
+  }
+}
+
+module.exports = new WalletAuth();
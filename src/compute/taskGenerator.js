@@ -4,9 +4,16 @@
  * Developed by Orius Team
  */
 
+const { EventEmitter } = require('events');
 const crypto = require('../utils/crypto');
 const config = require('../utils/config');
 const db = require('../utils/database');
+const rewardPolicy = require('../rewards/rewardPolicy');
+const metrics = require('../metrics/metrics');
+
+const events = new EventEmitter();
+
+const tasksTotal = metrics.counter('orius_tasks_total', 'Compute tasks by type and lifecycle stage', ['task_type', 'stage']);
 
 const TASK_TYPES = {
   MATRIX_MULT: 'matrix_mult',
@@ -14,6 +21,9 @@ const TASK_TYPES = {
   ML_INFERENCE: 'ml_inference'
 };
 
+// Types ensureTaskPool keeps stocked; ML inference is not pooled
+const POOLED_TASK_TYPES = [TASK_TYPES.MATRIX_MULT, TASK_TYPES.HASH_COMPUTE];
+
 async function generateMatrixTask(difficulty = 1) {
   const size = 8 + (difficulty * 4); // 12x12 for diff 1, 16x16 for diff 2, etc
   const seed = Date.now();
@@ -40,7 +50,7 @@ async function generateMatrixTask(difficulty = 1) {
     input_hash: inputHash,
     expected_output_hash: expectedHash,
     input_data: inputData,
-    reward_credits: config.CREDITS_PER_MATRIX_TASK * difficulty,
+    reward_credits: rewardPolicy.taskRate(TASK_TYPES.MATRIX_MULT) * difficulty,
     max_execution_time_ms: 5000 * difficulty,
     requires_gpu: difficulty > 3
   };
@@ -69,7 +79,7 @@ async function generateHashTask(difficulty = 1) {
     input_hash: inputHash,
     expected_output_hash: expectedHash,
     input_data: inputData,
-    reward_credits: config.CREDITS_PER_HASH_TASK * difficulty,
+    reward_credits: rewardPolicy.taskRate(TASK_TYPES.HASH_COMPUTE) * difficulty,
     max_execution_time_ms: 3000 * difficulty,
     requires_gpu: false
   };
@@ -100,7 +110,7 @@ async function generateMLInferenceTask(difficulty = 1) {
     input_data: inputData,
     model_url: inputData.model_url,
     model_hash: inputData.model_hash,
-    reward_credits: config.CREDITS_PER_ML_TASK * difficulty,
+    reward_credits: rewardPolicy.taskRate(TASK_TYPES.ML_INFERENCE) * difficulty,
     max_execution_time_ms: 15000 * difficulty,
     requires_gpu: true
   };
@@ -148,6 +158,8 @@ async function createAndStoreTask(type, difficulty = 1) {
     expiresAt
   ]);
   
+  tasksTotal.inc({ task_type: task.task_type, stage: 'generated' });
+  
   return result.rows[0];
 }
 
@@ -224,7 +236,25 @@ function seedRandom(seed) {
   };
 }
 
+const lastRun = { at: null, generated: 0, error: null };
+
 async function ensureTaskPool(minTasks = 100) {
+  try {
+    const generated = await fillTaskPool(minTasks);
+    Object.assign(lastRun, { at: new Date(), generated, error: null });
+    return generated;
+  } catch (error) {
+    lastRun.error = error.message;
+    throw error;
+  }
+}
+
+// When the pool was last topped up successfully, and the error of any failed run since
+function getLastRun() {
+  return { ...lastRun };
+}
+
+async function fillTaskPool(minTasks) {
   const { rows } = await db.query(`
     SELECT task_type, COUNT(*) as count 
     FROM compute_tasks 
@@ -237,7 +267,7 @@ async function ensureTaskPool(minTasks = 100) {
   
   const tasks = [];
   
-  for (const type of [TASK_TYPES.MATRIX_MULT, TASK_TYPES.HASH_COMPUTE]) {
+  for (const type of POOLED_TASK_TYPES) {
     const current = counts[type] || 0;
     const needed = Math.max(0, minTasks - current);
     
@@ -250,6 +280,7 @@ async function ensureTaskPool(minTasks = 100) {
   if (tasks.length > 0) {
     await Promise.all(tasks);
     console.log(`Generated ${tasks.length} new tasks`);
+    events.emit('tasksGenerated', tasks.length);
   }
   
   return tasks.length;
@@ -257,12 +288,15 @@ async function ensureTaskPool(minTasks = 100) {
 
 module.exports = {
   TASK_TYPES,
+  POOLED_TASK_TYPES,
+  events,
   generateMatrixTask,
   generateHashTask,
   generateMLInferenceTask,
   createAndStoreTask,
   createCanaryTask,
   ensureTaskPool,
+  getLastRun,
   multiplyMatrices,
   computeIterativeHash
 };
@@ -0,0 +1,217 @@
+/**
+ * Orius Compute Network - Device Registry
+ * Many devices per wallet: binding with per-wallet limits, renaming, revocation and recovery
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+
+class DeviceError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'DeviceError';
+    this.status = status;
+  }
+}
+
+function formatEvent(row) {
+  return {
+    deviceId: row.device_id,
+    event: row.event,
+    relatedDeviceId: row.related_device_id || null,
+    ip: row.ip || null,
+    createdAt: row.created_at
+  };
+}
+
+function formatDevice(row) {
+  return {
+    deviceId: row.device_id,
+    name: row.name || null,
+    status: row.status,
+    boundAt: row.bound_at,
+    revokedAt: row.revoked_at || null,
+    lastSeenAt: row.last_seen_at || null,
+    onlineSeconds: row.total_online_seconds || 0,
+    earned: row.earned !== undefined ? parseFloat(row.earned) : undefined
+  };
+}
+
+class Devices {
+  async find(deviceId, client = db) {
+    const { rows } = await client.query(`
+      SELECT d.*, u.wallet_address
+      FROM devices d
+      JOIN users u ON u.id = d.user_id
+      WHERE d.device_id = $1
+    `, [deviceId]);
+    return rows[0] || null;
+  }
+
+  async findActive(deviceId, client = db) {
+    const device = await this.find(deviceId, client);
+    return device && device.status === 'active' ? device : null;
+  }
+
+  /**
+   * Binds a device to a wallet inside the caller's transaction. A device revoked elsewhere can be bound again;
+   * one still active on another wallet cannot. The wallet row lock keeps concurrent binds within the limit.
+   * A device joining a wallet that has had other devices freezes claims for the whole wallet for
+   * NEW_DEVICE_CLAIM_COOLDOWN_HOURS, so a stolen session cannot add a device and cash out at once.
+   */
+  async bind(client, { userId, deviceId, fingerprint = null, name = null, ip = null, event = 'bound', relatedDeviceId = null }) {
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const { rows: bound } = await client.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'active' AND device_id <> $2) as active,
+        COUNT(*) FILTER (WHERE device_id <> $2) as others,
+        COALESCE(BOOL_OR(device_id = $2 AND status = 'active'), false) as already_active
+      FROM devices
+      WHERE user_id = $1
+    `, [userId, deviceId]);
+    if (parseInt(bound[0].active) >= config.MAX_DEVICES_PER_WALLET) {
+      throw new DeviceError(`Device limit reached (${config.MAX_DEVICES_PER_WALLET} per wallet)`);
+    }
+
+    const { rows } = await client.query(`
+      INSERT INTO devices (device_id, user_id, name, fingerprint, status, bound_at, last_seen_at)
+      VALUES ($1, $2, $3, $4, 'active', NOW(), NOW())
+      ON CONFLICT (device_id) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        status = 'active',
+        revoked_at = NULL,
+        bound_at = CASE WHEN devices.status = 'active' THEN devices.bound_at ELSE NOW() END,
+        fingerprint = COALESCE(EXCLUDED.fingerprint, devices.fingerprint)
+      WHERE devices.status = 'revoked' OR devices.user_id = EXCLUDED.user_id
+      RETURNING *
+    `, [deviceId, userId, name, fingerprint]);
+
+    if (rows.length === 0) {
+      throw new DeviceError('Device already bound to another wallet');
+    }
+
+    if (parseInt(bound[0].others) > 0 && !bound[0].already_active) {
+      await client.query(`
+        UPDATE users SET claims_allowed_at = GREATEST(claims_allowed_at, NOW() + make_interval(hours => $2))
+        WHERE id = $1
+      `, [userId, config.NEW_DEVICE_CLAIM_COOLDOWN_HOURS]);
+    }
+
+    await client.query(`
+      INSERT INTO node_trust (device_id, trust_score)
+      VALUES ($1, 100)
+      ON CONFLICT (device_id) DO NOTHING
+    `, [deviceId]);
+
+    await this.recordEvent(client, { userId, deviceId, event, relatedDeviceId, ip });
+
+    return rows[0];
+  }
+
+  /**
+   * Replaces a lost device (e.g. after a reinstall generated a new device ID) inside the caller's transaction.
+   * The caller has already checked a recovery challenge signed by the wallet. The old device is revoked before
+   * the new one is bound, so a wallet at its device limit can still recover. Binding starts the wallet's claim
+   * cooldown like any other new device.
+   */
+  async recover(client, { userId, deviceId, replacesDeviceId, fingerprint = null, ip = null }) {
+    if (deviceId === replacesDeviceId) {
+      throw new DeviceError('A device cannot replace itself', 400);
+    }
+
+    const revoked = await this.revoke(userId, replacesDeviceId, { client, ip, relatedDeviceId: deviceId });
+    if (!revoked) {
+      throw new DeviceError('Device to replace is not active on this wallet', 404);
+    }
+
+    const device = await this.bind(client, { userId, deviceId, fingerprint, ip, event: 'recovered', relatedDeviceId: replacesDeviceId });
+
+    const { rows } = await client.query('SELECT claims_allowed_at FROM users WHERE id = $1', [userId]);
+
+    return { device: formatDevice(device), replaced: revoked, claimsAllowedAt: rows[0].claims_allowed_at };
+  }
+
+  async recordEvent(client, { userId, deviceId, event, relatedDeviceId = null, ip = null }) {
+    await client.query(`
+      INSERT INTO device_events (user_id, device_id, event, related_device_id, ip)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [userId, deviceId, event, relatedDeviceId, ip]);
+  }
+
+  async listEvents(userId, limit = 100) {
+    const { rows } = await db.query(
+      'SELECT * FROM device_events WHERE user_id = $1 ORDER BY id DESC LIMIT $2',
+      [userId, limit]
+    );
+    return rows.map(formatEvent);
+  }
+
+  // Earnings are attributed per device and rolled up to the wallet
+  async list(userId) {
+    const { rows } = await db.query(`
+      SELECT d.*, COALESCE(e.total, 0) as earned
+      FROM devices d
+      LEFT JOIN (
+        SELECT device_id, SUM(earned_amount) as total
+        FROM earnings
+        WHERE user_id = $1 AND device_id IS NOT NULL
+        GROUP BY device_id
+      ) e ON e.device_id = d.device_id
+      WHERE d.user_id = $1
+      ORDER BY d.status, d.bound_at
+    `, [userId]);
+    return rows.map(formatDevice);
+  }
+
+  async rename(userId, deviceId, name) {
+    const { rows } = await db.query(
+      'UPDATE devices SET name = $3 WHERE user_id = $1 AND device_id = $2 RETURNING *',
+      [userId, deviceId, name]
+    );
+    return rows[0] ? formatDevice(rows[0]) : null;
+  }
+
+  // Revocation also drops the device's signing key and wallet sessions, so it can no longer compute or claim
+  async revoke(userId, deviceId, { client = null, ip = null, relatedDeviceId = null } = {}) {
+    const run = async (tx) => {
+      const { rows } = await tx.query(`
+        UPDATE devices SET status = 'revoked', revoked_at = NOW()
+        WHERE user_id = $1 AND device_id = $2 AND status = 'active'
+        RETURNING *
+      `, [userId, deviceId]);
+
+      if (rows.length === 0) return null;
+
+      await tx.query(
+        'UPDATE device_keys SET revoked_at = NOW() WHERE device_id = $1 AND revoked_at IS NULL',
+        [deviceId]
+      );
+      await tx.query(
+        'UPDATE auth_sessions SET revoked_at = NOW() WHERE device_id = $1 AND revoked_at IS NULL',
+        [deviceId]
+      );
+      await this.recordEvent(tx, { userId, deviceId, event: 'revoked', relatedDeviceId, ip });
+      return formatDevice(rows[0]);
+    };
+
+    return client ? run(client) : db.transaction(run);
+  }
+
+  async touch(deviceId) {
+    await db.query(`
+      WITH device AS (
+        UPDATE devices SET last_seen_at = NOW()
+        WHERE device_id = $1 AND status = 'active'
+        RETURNING user_id
+      )
+      UPDATE users SET last_seen_at = NOW(), is_active = true
+      WHERE id IN (SELECT user_id FROM device)
+    `, [deviceId]);
+  }
+}
+
+module.exports = new Devices();
+module.exports.DeviceError = DeviceError;
+module.exports.formatDevice = formatDevice;
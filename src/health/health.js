@@ -0,0 +1,192 @@
+/**
+ * Orius Compute Network - Health Probes
+ * Liveness, and readiness with per-dependency diagnostics and timings
+ * Developed by Orius Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../utils/database');
+const config = require('../utils/config');
+const taskGenerator = require('../compute/taskGenerator');
+const payoutBackend = require('../payouts/payoutBackend');
+const payoutWorker = require('../payouts/payoutWorker');
+const lifecycle = require('../lifecycle/lifecycle');
+
+const SCHEMA_PATH = path.join(__dirname, '../models/schema.sql');
+
+// Tables the schema file creates; a missing one means the schema was not (fully) applied
+const EXPECTED_TABLES = (() => {
+  try {
+    const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
+    return [...schema.matchAll(/CREATE TABLE IF NOT EXISTS (\w+)/gi)].map(match => match[1].toLowerCase());
+  } catch (error) {
+    return [];
+  }
+})();
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class Health {
+  constructor() {
+    this.startedAt = Date.now();
+    // 'fail' makes the replica unready; 'warn' is reported but keeps it in rotation
+    this.checks = {
+      lifecycle: () => this.checkLifecycle(),
+      database: () => this.checkDatabase(),
+      dbPool: () => this.checkDbPool(),
+      schema: () => this.checkSchema(),
+      taskPool: () => this.checkTaskPool(),
+      taskGenerator: () => this.checkTaskGenerator(),
+      payoutBacklog: () => this.checkPayoutBacklog(),
+      payoutBackend: () => this.checkPayoutBackend()
+    };
+  }
+
+  liveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Runs every check in parallel, each bounded by READINESS_CHECK_TIMEOUT_MS. Only drain mode and the
+   * database, pool and schema checks can fail readiness: the rest would fail on every replica at once (an
+   * empty task pool, a slow RPC), and pulling them all out of rotation would turn a degraded network into
+   * an outage.
+   */
+  async readiness() {
+    const names = Object.keys(this.checks);
+    const results = await Promise.all(names.map(name => this.run(name)));
+    const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+    const statuses = results.map(result => result.status);
+    const status = statuses.includes('fail') ? 'fail' : statuses.includes('warn') ? 'degraded' : 'ok';
+
+    return {
+      ready: status !== 'fail',
+      status,
+      timestamp: new Date().toISOString(),
+      checks
+    };
+  }
+
+  async run(name) {
+    const start = process.hrtime.bigint();
+    let result;
+    try {
+      result = await withTimeout(this.checks[name](), config.READINESS_CHECK_TIMEOUT_MS);
+    } catch (error) {
+      result = { status: name === 'database' || name === 'schema' ? 'fail' : 'warn', error: error.message };
+    }
+    return { ...result, durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10 };
+  }
+
+  // A draining replica reports unready so load balancers stop sending it traffic
+  async checkLifecycle() {
+    const { state, reason, since } = lifecycle.status();
+    if (state !== 'running') {
+      return { status: 'fail', state, reason, since, error: 'Draining' };
+    }
+    return { status: 'ok', state };
+  }
+
+  async checkDatabase() {
+    await db.query('SELECT 1');
+    return { status: 'ok' };
+  }
+
+  // Every connection in use with requests queued behind them means queries are waiting on the pool
+  async checkDbPool() {
+    const { totalCount, idleCount, waitingCount } = db.pool;
+    const max = db.pool.options.max;
+    const details = { total: totalCount, idle: idleCount, waiting: waitingCount, max };
+
+    if (waitingCount >= config.READINESS_DB_POOL_WAITING_MAX) {
+      return { status: 'fail', ...details, error: 'Connection pool saturated' };
+    }
+    if (waitingCount > 0 && totalCount >= max) {
+      return { status: 'warn', ...details };
+    }
+    return { status: 'ok', ...details };
+  }
+
+  async checkSchema() {
+    const { appliedAt, error } = db.getSchemaStatus();
+    const { rows } = await db.query(`
+      SELECT name FROM unnest($1::text[]) AS name
+      WHERE to_regclass(name) IS NULL
+    `, [EXPECTED_TABLES]);
+    const missing = rows.map(row => row.name);
+
+    if (missing.length > 0 || error) {
+      return { status: 'fail', appliedAt, missingTables: missing, error: error || 'Schema tables missing' };
+    }
+    return { status: 'ok', appliedAt, tables: EXPECTED_TABLES.length };
+  }
+
+  async checkTaskPool() {
+    const { rows } = await db.query(`
+      SELECT task_type, COUNT(*) as count
+      FROM compute_tasks
+      WHERE status = 'pending' AND expires_at > NOW()
+      GROUP BY task_type
+    `);
+    const counts = Object.fromEntries(rows.map(row => [row.task_type, parseInt(row.count)]));
+
+    const target = config.TASK_POOL_TARGET;
+    const pending = Object.fromEntries(taskGenerator.POOLED_TASK_TYPES.map(type => [type, counts[type] || 0]));
+    const low = Object.keys(pending).filter(type => pending[type] < target / 2);
+
+    return { status: low.length > 0 ? 'warn' : 'ok', target, pending, ...(low.length > 0 && { belowHalfTarget: low }) };
+  }
+
+  async checkTaskGenerator() {
+    const lastRun = taskGenerator.getLastRun();
+    const ageMs = lastRun.at ? Date.now() - lastRun.at.getTime() : null;
+    const stale = ageMs === null || ageMs > config.TASK_GENERATOR_INTERVAL_MS * 3;
+
+    return {
+      status: stale ? 'warn' : 'ok',
+      lastRunAt: lastRun.at,
+      ageMs,
+      generated: lastRun.generated,
+      ...(lastRun.error && { error: lastRun.error })
+    };
+  }
+
+  async checkPayoutBacklog() {
+    if (!config.PAYOUT_WORKER_ENABLED) {
+      return { status: 'ok', enabled: false };
+    }
+
+    const backlog = await payoutWorker.getBacklog();
+    const oldestAgeMs = backlog.oldest ? Date.now() - new Date(backlog.oldest).getTime() : null;
+
+    return {
+      status: oldestAgeMs !== null && oldestAgeMs > config.READINESS_PAYOUT_BACKLOG_WARN_MS ? 'warn' : 'ok',
+      queued: backlog.queued,
+      submitted: backlog.submitted,
+      oldestAgeMs
+    };
+  }
+
+  async checkPayoutBackend() {
+    if (!payoutBackend.isConfigured()) {
+      return { status: 'warn', backend: payoutBackend.name, configured: false };
+    }
+
+    const details = await payoutBackend.checkHealth();
+    return { status: 'ok', backend: payoutBackend.name, configured: true, ...details };
+  }
+}
+
+module.exports = new Health();
@@ -4,28 +4,71 @@
  * Developed by Orius Team
  */
 
+const config = require('./utils/config');
+const configLoader = require('./utils/configLoader');
+const logger = require('./utils/logger');
+
+// Checked before anything else loads, since some modules act on their settings as soon as they are required
+if (process.argv.includes('--print-config')) {
+  process.stdout.write(JSON.stringify(configLoader.describe(), null, 2) + '\n');
+  process.exit(configLoader.errors.length > 0 ? 1 : 0);
+}
+
+if (configLoader.errors.length > 0) {
+  logger.error('Invalid configuration', { profile: configLoader.profile, errors: configLoader.errors });
+  process.exit(1);
+}
+
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { Connection, Keypair, PublicKey, Transaction } = require('@solana/web3.js');
-const { getOrCreateAssociatedTokenAccount, createTransferInstruction, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
-const bs58Module = require('bs58');
-const bs58 = bs58Module.default || bs58Module;
 
-const config = require('./utils/config');
 const db = require('./utils/database');
 const apiRoutes = require('./api/routes');
+const adminRoutes = require('./api/admin');
 const taskGenerator = require('./compute/taskGenerator');
+const deviceAuth = require('./auth/deviceAuth');
+const rateLimiter = require('./ratelimit/rateLimiter');
+const nodeSocket = require('./realtime/nodeSocket');
+const activityFeed = require('./realtime/activityFeed');
+const validator = require('./api/validation');
+const adminAuth = require('./auth/adminAuth');
+const payoutBackend = require('./payouts/payoutBackend');
+const payoutWorker = require('./payouts/payoutWorker');
+const reconciler = require('./ledger/reconciler');
+const emission = require('./rewards/emission');
+const walletChanges = require('./wallets/walletChanges');
+const rewardPolicy = require('./rewards/rewardPolicy');
+const dataExport = require('./analytics/dataExport');
+const { writeChunk } = require('./utils/streaming');
+const metrics = require('./metrics/metrics');
+const health = require('./health/health');
+const lifecycle = require('./lifecycle/lifecycle');
 
 const app = express();
 
+app.set('trust proxy', config.TRUST_PROXY);
+
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID']
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Device-ID', 'X-Request-ID',
+    'X-Device-Timestamp', 'X-Device-Nonce', 'X-Device-Signature', 'X-Admin-Key'
+  ],
+  exposedHeaders: ['X-Request-ID']
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(logger.middleware());
+app.use(metrics.httpMiddleware());
+app.use(lifecycle.trackRequests({ exclude: ['/api/feed/stream'] }));
+
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 app.use(express.static(path.join(__dirname, '..'), {
   setHeaders: (res) => {
@@ -33,230 +76,108 @@ app.use(express.static(path.join(__dirname, '..'), {
   }
 }));
 
-let connection = null;
-let treasuryKeypair = null;
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'popup.html'));
+});
+
+app.get('/metrics', metrics.handler(config.METRICS_TOKEN));
+
+app.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(health.liveness());
+});
 
-function initSolana() {
+app.get('/readyz', async (req, res) => {
   try {
-    if (!config.TREASURY_PRIVATE_KEY) {
-      console.log('Warning: TREASURY_PRIVATE_KEY not set - claim feature disabled');
-      return false;
-    }
-    
-    connection = new Connection(config.RPC_URL, 'confirmed');
-    const secretKey = bs58.decode(config.TREASURY_PRIVATE_KEY);
-    treasuryKeypair = Keypair.fromSecretKey(secretKey);
-    
-    console.log('Solana initialized successfully');
-    console.log('Treasury:', treasuryKeypair.publicKey.toString());
-    console.log('Token Mint:', config.TOKEN_MINT);
-    console.log('RPC:', config.HELIUS_API_KEY ? 'Helius Mainnet' : 'Public Mainnet');
-    
-    return true;
+    const report = await health.readiness();
+    res.set('Cache-Control', 'no-store');
+    res.status(report.ready ? 200 : 503).json(report);
   } catch (error) {
-    console.error('Solana init error:', error.message);
-    return false;
+    logger.error('Readiness check error', { error });
+    res.status(503).json({ ready: false, status: 'fail', error: 'Readiness check failed' });
   }
-}
-
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'popup.html'));
 });
 
-app.use('/api', apiRoutes);
+// Node traffic and session routes are limited by their own policies, per device and wallet once authenticated;
+// a per-IP default in front of them would throttle several nodes sharing one address
+const OWN_POLICY_PATHS = [
+  '/register', '/heartbeat', '/claim',
+  '/compute/capabilities', '/compute/task/request', '/compute/task/submit'
+];
 
-app.post('/api/claim/process', async (req, res) => {
+app.use('/api', rateLimiter.limit('default', { skip: req => OWN_POLICY_PATHS.includes(req.path) }), apiRoutes);
+app.use('/api/admin', adminRoutes);
+
+app.post('/api/claim/process', adminAuth.requireRole('admin'), validator.validate('processClaim'), async (req, res) => {
   try {
     const { claimId } = req.body;
     
-    if (!treasuryKeypair || !connection) {
+    if (!payoutBackend.isConfigured()) {
       return res.status(503).json({ success: false, error: 'Solana not configured' });
     }
 
-    const { rows: claims } = await db.query(`
-      SELECT c.*, u.wallet_address
-      FROM claims c
-      JOIN users u ON c.user_id = u.id
-      WHERE c.id = $1 AND c.status = 'processing'
-    `, [claimId]);
+    const claim = await payoutWorker.processNow(claimId);
 
-    if (claims.length === 0) {
-      return res.status(404).json({ success: false, error: 'Claim not found' });
+    if (!claim) {
+      return res.status(404).json({ success: false, error: 'Claim not found or already being processed' });
     }
 
-    const claim = claims[0];
+    await adminAuth.audit(req, 'claim.process', String(claimId), { status: claim.status, attempts: claim.attempts });
 
-    try {
-      const tokenMint = new PublicKey(config.TOKEN_MINT);
-      const recipientPubkey = new PublicKey(claim.wallet_address);
-      
-      const treasuryATA = await getOrCreateAssociatedTokenAccount(
-        connection,
-        treasuryKeypair,
-        tokenMint,
-        treasuryKeypair.publicKey,
-        false,
-        'confirmed',
-        {},
-        TOKEN_2022_PROGRAM_ID
-      );
-
-      const recipientATA = await getOrCreateAssociatedTokenAccount(
-        connection,
-        treasuryKeypair,
-        tokenMint,
-        recipientPubkey,
-        false,
-        'confirmed',
-        {},
-        TOKEN_2022_PROGRAM_ID
-      );
-
-      const amount = Math.floor(parseFloat(claim.amount) * Math.pow(10, config.TOKEN_DECIMALS));
-
-      const transferIx = createTransferInstruction(
-        treasuryATA.address,
-        recipientATA.address,
-        treasuryKeypair.publicKey,
-        amount,
-        [],
-        TOKEN_2022_PROGRAM_ID
-      );
-
-      const { blockhash } = await connection.getLatestBlockhash();
-      const tx = new Transaction().add(transferIx);
-      tx.recentBlockhash = blockhash;
-      tx.feePayer = treasuryKeypair.publicKey;
-      tx.sign(treasuryKeypair);
-
-      const signature = await connection.sendRawTransaction(tx.serialize());
-      await connection.confirmTransaction(signature, 'confirmed');
-
-      await db.query(`
-        UPDATE claims 
-        SET status = 'completed', tx_signature = $1, completed_at = NOW()
-        WHERE id = $2
-      `, [signature, claimId]);
-
-      res.json({
-        success: true,
-        signature,
-        explorer: `https://solscan.io/tx/${signature}`
-      });
-
-    } catch (txError) {
-      console.error('Transaction error:', txError);
-      
-      await db.query(`
-        UPDATE claims SET status = 'failed', error_message = $1 WHERE id = $2
-      `, [txError.message, claimId]);
-      
-      await db.query(`
-        UPDATE users SET claimable_balance = claimable_balance + $1 WHERE id = $2
-      `, [claim.amount, claim.user_id]);
-
-      res.status(500).json({ success: false, error: 'Transaction failed' });
-    }
+    res.json({
+      success: true,
+      claimId: claim.id,
+      status: claim.status,
+      signature: claim.tx_signature,
+      explorer: claim.tx_signature ? payoutBackend.explorerUrl(claim.tx_signature) : null,
+      attempts: claim.attempts,
+      error: claim.error_message || undefined,
+      nextAttemptAt: claim.next_attempt_at
+    });
 
   } catch (error) {
-    console.error('Claim process error:', error);
+    logger.error('Claim process error', { error });
     res.status(500).json({ success: false, error: 'Processing failed' });
   }
 });
 
-app.get('/api/data/export', async (req, res) => {
+app.get('/api/data/export', validator.validate('exportData'), async (req, res) => {
   try {
-    const { rows: networkStats } = await db.query(`
-      SELECT 
-        COUNT(DISTINCT u.id) as total_nodes,
-        COUNT(DISTINCT CASE WHEN u.is_active AND u.last_seen_at > NOW() - INTERVAL '5 minutes' THEN u.id END) as active_nodes,
-        COALESCE(SUM(u.total_earned), 0) as total_tokens,
-        COALESCE(SUM(u.total_compute_credits), 0) as total_compute,
-        COALESCE(SUM(u.total_online_seconds), 0) / 3600 as total_hours
-      FROM users u
-    `);
-
-    const { rows: taskStats } = await db.query(`
-      SELECT 
-        task_type,
-        COUNT(*) as total,
-        COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
-        COALESCE(AVG(reward_credits), 0) as avg_reward
-      FROM compute_tasks
-      GROUP BY task_type
-    `);
-
-    const { rows: hourlyData } = await db.query(`
-      SELECT 
-        date_trunc('hour', created_at) as timestamp,
-        COUNT(*) as earnings_count,
-        SUM(earned_amount) as tokens_earned,
-        SUM(CASE WHEN earning_type = 'compute' THEN earned_amount ELSE 0 END) as compute_earnings,
-        SUM(CASE WHEN earning_type = 'online_time' THEN earned_amount ELSE 0 END) as online_earnings
-      FROM earnings
-      WHERE created_at > NOW() - INTERVAL '7 days'
-      GROUP BY date_trunc('hour', created_at)
-      ORDER BY timestamp DESC
-    `);
-
-    const { rows: nodeDistribution } = await db.query(`
-      SELECT 
-        CASE 
-          WHEN nc.webgpu_supported THEN 'GPU-Enabled'
-          ELSE 'CPU-Only'
-        END as node_type,
-        COUNT(*) as count,
-        AVG(nc.cpu_cores) as avg_cores,
-        AVG(nc.memory_gb) as avg_memory
-      FROM node_capabilities nc
-      GROUP BY nc.webgpu_supported
-    `);
-
-    const { rows: trustDistribution } = await db.query(`
-      SELECT 
-        CASE 
-          WHEN trust_score >= 90 THEN 'Excellent (90-100)'
-          WHEN trust_score >= 70 THEN 'Good (70-89)'
-          WHEN trust_score >= 50 THEN 'Fair (50-69)'
-          ELSE 'Low (<50)'
-        END as trust_tier,
-        COUNT(*) as count
-      FROM node_trust
-      WHERE banned = false
-      GROUP BY 
-        CASE 
-          WHEN trust_score >= 90 THEN 'Excellent (90-100)'
-          WHEN trust_score >= 70 THEN 'Good (70-89)'
-          WHEN trust_score >= 50 THEN 'Fair (50-69)'
-          ELSE 'Low (<50)'
-        END
-    `);
-
-    res.json({
-      success: true,
-      exportedAt: new Date().toISOString(),
-      network: {
-        summary: networkStats[0],
-        tasksByType: taskStats,
-        nodeTypes: nodeDistribution,
-        trustDistribution
-      },
-      timeSeries: {
-        hourly: hourlyData
-      },
-      meta: {
-        version: '2.0.0',
-        dataRetention: '7 days for hourly data'
-      }
-    });
-
+    const format = req.query.format || 'json';
+    const granularity = req.query.granularity || 'hour';
+    const sections = req.query.sections
+      ? [...new Set(req.query.sections.split(','))]
+      : (format === 'csv' ? ['timeseries'] : dataExport.SECTIONS);
+    
+    if (format === 'csv' && sections.length > 1) {
+      return res.status(400).json({ success: false, error: 'CSV exports one section at a time' });
+    }
+    
+    const range = await dataExport.resolveRange({ from: req.query.from || null, to: req.query.to || null });
+    
+    const type = { json: 'application/json', csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson' }[format];
+    res.setHeader('Content-Type', type);
+    if (format !== 'json') {
+      const name = format === 'csv' ? `network-${sections[0]}.csv` : 'network.ndjson';
+      res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+    }
+    
+    await dataExport.stream({ format, range, granularity, sections }, chunk => writeChunk(res, chunk));
+    
+    res.end();
   } catch (error) {
-    console.error('Data export error:', error);
+    if (error instanceof dataExport.DataExportError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    logger.error('Data export error', { error });
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
     res.status(500).json({ success: false, error: 'Export failed' });
   }
 });
 
-app.get('/api/feed/realtime', async (req, res) => {
+app.get('/api/feed/realtime', validator.validate('getActivityFeed'), async (req, res) => {
   try {
     const { rows: recentActivity } = await db.query(`
       SELECT 
@@ -310,24 +231,37 @@ app.get('/api/feed/realtime', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Realtime feed error:', error);
+    logger.error('Realtime feed error', { error });
     res.status(500).json({ success: false, error: 'Feed failed' });
   }
 });
 
+app.get('/api/feed/stream', validator.validate('streamActivityFeed'), async (req, res) => {
+  try {
+    await activityFeed.subscribe(req, res);
+  } catch (error) {
+    logger.error('Feed stream error', { error });
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Feed failed' });
+    } else {
+      res.end();
+    }
+  }
+});
+
 async function startTaskGenerator() {
-  console.log('Starting task generator...');
+  logger.info('Starting task generator');
   
   async function generateTasks() {
     try {
-      await taskGenerator.ensureTaskPool(50);
+      await taskGenerator.ensureTaskPool(config.TASK_POOL_TARGET);
     } catch (error) {
-      console.error('Task generation error:', error);
+      logger.error('Task generation error', { error });
     }
   }
   
   await generateTasks();
-  setInterval(generateTasks, 60000);
+  lifecycle.schedule('taskGenerator', generateTasks, config.TASK_GENERATOR_INTERVAL_MS);
 }
 
 async function recordHourlyStats() {
@@ -356,44 +290,68 @@ async function recordHourlyStats() {
       parseInt(stats[0].avg_time) || 0
     ]);
   } catch (error) {
-    console.log('Stats recording note:', error.message);
+    logger.warn('Stats recording failed', { error: error.message });
   }
 }
 
 async function startServer() {
   try {
+    const policy = rewardPolicy.load();
+    logger.info('Reward policy loaded', { version: policy.version, epoch: rewardPolicy.epochAt().id });
+    
     await db.initializeSchema();
-    console.log('Database connected');
+    logger.info('Database connected');
+    
+    payoutBackend.init();
     
-    initSolana();
+    await activityFeed.start();
+    
+    if (config.PAYOUT_WORKER_ENABLED) {
+      lifecycle.worker('payoutWorker', payoutWorker);
+    }
+    
+    if (config.RECONCILE_ENABLED) {
+      lifecycle.worker('reconciler', reconciler);
+    }
+    
+    // Also settles epochs left open after the policy dropped its emission section
+    lifecycle.worker('emission', emission);
+    
+    lifecycle.worker('walletChanges', walletChanges);
     
     await startTaskGenerator();
     
-    setInterval(recordHourlyStats, 3600000);
+    lifecycle.schedule('hourlyStats', recordHourlyStats, 3600000);
+    lifecycle.schedule('noncePrune', () => deviceAuth.pruneNonces().catch(err => {
+      logger.warn('Nonce prune failed', { error: err.message });
+    }), 600000);
+    
+    lifecycle.schedule('rateLimitPrune', () => rateLimiter.prune().catch(err => {
+      logger.warn('Rate limit prune failed', { error: err.message });
+    }), 3600000);
     
-    app.listen(config.PORT, '0.0.0.0', () => {
-      console.log('\n=== Orius Compute Network ===');
-      console.log(`Server: http://0.0.0.0:${config.PORT}`);
-      console.log('Mode:', config.NODE_ENV);
-      console.log('\nAPI Endpoints:');
-      console.log('  POST /api/register         - Register wallet');
-      console.log('  POST /api/heartbeat        - Report activity');
-      console.log('  GET  /api/balance/:wallet  - Get balance');
-      console.log('  POST /api/claim            - Claim tokens');
-      console.log('  \nCompute Endpoints:');
-      console.log('  POST /api/compute/capabilities  - Register node');
-      console.log('  POST /api/compute/task/request  - Get task');
-      console.log('  POST /api/compute/task/submit   - Submit result');
-      console.log('  \nAnalytics (for ai.orius.io):');
-      console.log('  GET  /api/analytics/network     - Network stats');
-      console.log('  GET  /api/analytics/live        - Live activity');
-      console.log('  GET  /api/data/export           - Full data export');
-      console.log('  GET  /api/feed/realtime         - Activity feed');
-      console.log('=============================\n');
+    const server = app.listen(config.PORT, '0.0.0.0', () => {
+      logger.info('Orius Compute Network listening', {
+        url: `http://0.0.0.0:${config.PORT}`,
+        mode: config.NODE_ENV,
+        wsPath: config.WS_PATH,
+        openapi: '/api/openapi.json',
+        metrics: '/metrics',
+        probes: ['/healthz', '/readyz']
+      });
     });
     
+    nodeSocket.attach(server);
+    
+    lifecycle.on('drain', () => nodeSocket.drain(config.DRAIN_RETRY_AFTER_MS));
+    lifecycle.on('resume', () => nodeSocket.resume());
+    lifecycle.on('close', () => nodeSocket.close());
+    lifecycle.on('close', () => activityFeed.stop());
+    lifecycle.on('close', () => db.pool.end());
+    lifecycle.handleSignals(server);
+    
   } catch (error) {
-    console.error('Server start error:', error);
+    logger.error('Server start error', { error });
     process.exit(1);
   }
 }
@@ -0,0 +1,178 @@
+/**
+ * Orius Compute Network - Balance Ledger
+ * Double-entry record of every balance movement; user balance columns are a cache of it
+ * Developed by Orius Team
+ */
+
+const crypto = require('crypto');
+const db = require('../utils/database');
+
+// Each movement debits one account and credits another by the same amount.
+// User accounts: 'available' (claimable) and 'held' (claimed, awaiting payout).
+// System accounts: 'rewards' (emission), 'payouts' (sent on-chain), 'adjustments', 'opening'.
+const ENTRY_TYPES = {
+  online_reward: {
+    debit: { system: 'rewards' },
+    credit: { user: 'available' },
+    cache: { claimable_balance: 1, total_earned: 1 }
+  },
+  compute_reward: {
+    debit: { system: 'rewards' },
+    credit: { user: 'available' },
+    cache: { claimable_balance: 1, total_earned: 1, total_compute_credits: 1 }
+  },
+  referral_bonus: {
+    debit: { system: 'rewards' },
+    credit: { user: 'available' },
+    cache: { claimable_balance: 1, total_earned: 1 }
+  },
+  claim_hold: {
+    debit: { user: 'available' },
+    credit: { user: 'held' },
+    cache: { claimable_balance: -1 }
+  },
+  claim_payout: {
+    debit: { user: 'held' },
+    credit: { system: 'payouts' },
+    cache: {}
+  },
+  claim_refund: {
+    debit: { user: 'held' },
+    credit: { user: 'available' },
+    cache: { claimable_balance: 1 }
+  },
+  admin_adjustment: {
+    debit: { system: 'adjustments' },
+    credit: { user: 'available' },
+    cache: { claimable_balance: 1, total_earned: 1 },
+    signed: true
+  },
+  reconciliation: {
+    debit: { system: 'adjustments' },
+    credit: { user: 'available' },
+    cache: { claimable_balance: 1 },
+    signed: true
+  }
+};
+
+class LedgerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LedgerError';
+  }
+}
+
+function round(amount) {
+  return Math.round(parseFloat(amount) * 1e6) / 1e6;
+}
+
+class Ledger {
+  /**
+   * Records one movement as a balanced pair of entries and updates the cached user balances.
+   * Must run inside the caller's transaction so the entries commit with the change they describe.
+   * Only adjustments (admin and reconciliation) may be negative, i.e. a debit from the user.
+   */
+  async post(client, type, { userId, amount, referenceType = null, referenceId = null, memo = null }) {
+    const definition = ENTRY_TYPES[type];
+    if (!definition) {
+      throw new LedgerError(`Unknown ledger entry type: ${type}`);
+    }
+
+    const value = round(amount);
+    if (!Number.isFinite(value) || value === 0 || (value < 0 && !definition.signed)) {
+      throw new LedgerError(`Invalid ${type} amount: ${amount}`);
+    }
+
+    const updated = await this.updateCache(client, userId, definition.cache, value);
+    if (!updated) {
+      throw new LedgerError('Insufficient balance');
+    }
+
+    const transactionId = crypto.randomUUID();
+    const legs = [
+      { side: definition.debit, amount: -value },
+      { side: definition.credit, amount: value }
+    ];
+
+    const { rows } = await client.query(`
+      INSERT INTO ledger_entries (transaction_id, user_id, account, entry_type, amount, reference_type, reference_id, memo)
+      VALUES
+        ($1, $2, $3, $4, $5, $6, $7, $8),
+        ($1, $9, $10, $4, $11, $6, $7, $8)
+      RETURNING id
+    `, [
+      transactionId,
+      legs[0].side.user ? userId : null, legs[0].side.user || legs[0].side.system, type, legs[0].amount,
+      referenceType, referenceId !== null ? String(referenceId) : null, memo,
+      legs[1].side.user ? userId : null, legs[1].side.user || legs[1].side.system, legs[1].amount
+    ]);
+
+    return { transactionId, entryIds: rows.map(r => r.id) };
+  }
+
+  // Applies the cached column deltas, refusing anything that would take the claimable balance below zero
+  async updateCache(client, userId, cache, value) {
+    const columns = Object.keys(cache);
+    if (columns.length === 0) return true;
+
+    const assignments = columns.map(column => `${column} = ${column} + ($2::numeric * ${cache[column]})`);
+    const { rowCount } = await client.query(`
+      UPDATE users
+      SET ${assignments.join(', ')}
+      WHERE id = $1 AND claimable_balance + ($2::numeric * $3::int) >= 0
+    `, [userId, value, cache.claimable_balance || 0]);
+
+    return rowCount === 1;
+  }
+
+  // Balances derived from entries alone, independent of the cached columns
+  async getBalances(userId, client = db) {
+    const { rows } = await client.query(`
+      SELECT
+        COALESCE(SUM(CASE WHEN account = 'available' THEN amount END), 0) as available,
+        COALESCE(SUM(CASE WHEN account = 'held' THEN amount END), 0) as held,
+        COALESCE(SUM(CASE WHEN account = 'available' AND entry_type IN ('online_reward', 'compute_reward', 'referral_bonus', 'admin_adjustment') THEN amount END), 0) as earned,
+        COALESCE(SUM(CASE WHEN account = 'held' AND entry_type = 'claim_payout' THEN -amount END), 0) as paid_out
+      FROM ledger_entries
+      WHERE user_id = $1
+    `, [userId]);
+
+    return {
+      available: parseFloat(rows[0].available),
+      held: parseFloat(rows[0].held),
+      earned: parseFloat(rows[0].earned),
+      paidOut: parseFloat(rows[0].paid_out)
+    };
+  }
+
+  // Newest first; balanceAfter is the running balance of that entry's account
+  async getStatement(userId, { limit = 50, before = null } = {}) {
+    const { rows } = await db.query(`
+      SELECT * FROM (
+        SELECT id, transaction_id, account, entry_type, amount, reference_type, reference_id, memo, created_at,
+               SUM(amount) OVER (PARTITION BY account ORDER BY id) as balance_after
+        FROM ledger_entries
+        WHERE user_id = $1
+      ) statement
+      WHERE ($2::bigint IS NULL OR id < $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `, [userId, before, limit]);
+
+    return rows.map(row => ({
+      id: parseInt(row.id),
+      transactionId: row.transaction_id,
+      account: row.account,
+      type: row.entry_type,
+      amount: parseFloat(row.amount),
+      balanceAfter: parseFloat(row.balance_after),
+      reference: row.reference_type ? { type: row.reference_type, id: row.reference_id } : null,
+      memo: row.memo,
+      createdAt: row.created_at
+    }));
+  }
+}
+
+module.exports = new Ledger();
+module.exports.LedgerError = LedgerError;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
@@ -0,0 +1,226 @@
+/**
+ * Orius Compute Network - Balance Reconciler
+ * Scheduled check of cached and ledger balances against earnings and claims
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+const ledger = require('./ledger');
+const logger = require('../utils/logger');
+
+const RECONCILE_LOCK_KEY = 7410231; // pg advisory lock so only one replica runs at a time
+
+// Expected claimable balance: everything earned, plus admin adjustments, minus claims that were not refunded.
+// Reconciliation entries are left out so a correction does not move the target it corrected towards.
+const MEASURE_SQL = `
+  SELECT u.id as user_id, u.wallet_address,
+         u.claimable_balance as cached_balance,
+         COALESCE(l.available, 0) as ledger_balance,
+         COALESCE(e.total, 0) + COALESCE(a.total, 0) - COALESCE(c.total, 0) as expected_balance
+  FROM users u
+  LEFT JOIN (
+    SELECT user_id, SUM(earned_amount) as total FROM earnings GROUP BY user_id
+  ) e ON e.user_id = u.id
+  LEFT JOIN (
+    SELECT user_id, SUM(amount) as total FROM claims WHERE status <> 'failed' GROUP BY user_id
+  ) c ON c.user_id = u.id
+  LEFT JOIN (
+    SELECT user_id, SUM(amount) as total FROM ledger_entries
+    WHERE account = 'available' AND entry_type = 'admin_adjustment'
+    GROUP BY user_id
+  ) a ON a.user_id = u.id
+  LEFT JOIN (
+    SELECT user_id, SUM(amount) as available FROM ledger_entries
+    WHERE account = 'available'
+    GROUP BY user_id
+  ) l ON l.user_id = u.id
+  WHERE ($1::int IS NULL OR u.id = $1)
+`;
+
+function differs(a, b) {
+  return Math.abs(parseFloat(a) - parseFloat(b)) >= 0.000001;
+}
+
+class Reconciler {
+  constructor() {
+    this.timer = null;
+    this.current = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run('schedule').catch(error => {
+        logger.error('Reconciliation error', { error });
+      });
+    }, config.RECONCILE_INTERVAL_MS);
+    logger.info('Balance reconciliation scheduled', { intervalMs: config.RECONCILE_INTERVAL_MS });
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.current) {
+      await this.current.catch(() => {});
+    }
+  }
+
+  // Resolves null without starting a run if one is already in progress here or on another replica
+  run(triggeredBy = 'schedule', { autoCorrect = config.RECONCILE_AUTO_CORRECT } = {}) {
+    if (this.current) return Promise.resolve(null);
+
+    this.current = this.reconcile(triggeredBy, autoCorrect).finally(() => {
+      this.current = null;
+    });
+    return this.current;
+  }
+
+  // Returns the run summary, or null when another replica holds the lock
+  async reconcile(triggeredBy, autoCorrect) {
+    const lockClient = await db.getClient();
+    try {
+      const { rows: lock } = await lockClient.query('SELECT pg_try_advisory_lock($1) as acquired', [RECONCILE_LOCK_KEY]);
+      if (!lock[0].acquired) return null;
+
+      try {
+        return await this.reconcileAll(triggeredBy, autoCorrect);
+      } finally {
+        await lockClient.query('SELECT pg_advisory_unlock($1)', [RECONCILE_LOCK_KEY]);
+      }
+    } finally {
+      lockClient.release();
+    }
+  }
+
+  async reconcileAll(triggeredBy, autoCorrect) {
+    const tolerance = config.RECONCILE_TOLERANCE;
+    const { rows: run } = await db.query(`
+      INSERT INTO reconciliation_runs (triggered_by, auto_correct, tolerance)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `, [triggeredBy, autoCorrect, tolerance]);
+    const runId = run[0].id;
+
+    try {
+      const { rows: drifted } = await db.query(`
+        SELECT * FROM (${MEASURE_SQL}) m
+        WHERE cached_balance <> expected_balance OR ledger_balance <> expected_balance
+      `, [null]);
+
+      let corrected = 0;
+      for (const row of drifted) {
+        const report = await this.report(runId, row, autoCorrect, tolerance);
+        if (report.corrected) corrected++;
+      }
+
+      const { rows: summary } = await db.query(`
+        UPDATE reconciliation_runs
+        SET finished_at = NOW(),
+            users_checked = (SELECT COUNT(*) FROM users),
+            drifted = $2,
+            corrected = $3
+        WHERE id = $1
+        RETURNING *
+      `, [runId, drifted.length, corrected]);
+
+      if (drifted.length > 0) {
+        logger.warn('Reconciliation found drifted balances', { runId, drifted: drifted.length, corrected });
+      }
+      return summary[0];
+    } catch (error) {
+      await db.query(
+        'UPDATE reconciliation_runs SET finished_at = NOW(), error_message = $2 WHERE id = $1',
+        [runId, error.message]
+      );
+      throw error;
+    }
+  }
+
+  isWithinTolerance(row, tolerance) {
+    const expected = parseFloat(row.expected_balance);
+    return Math.abs(parseFloat(row.cached_balance) - expected) <= tolerance &&
+      Math.abs(parseFloat(row.ledger_balance) - expected) <= tolerance;
+  }
+
+  async report(runId, row, autoCorrect, tolerance) {
+    let correction = { corrected: false, transactionId: null, note: null };
+
+    if (autoCorrect && this.isWithinTolerance(row, tolerance)) {
+      try {
+        correction = await this.correct(row.user_id, runId);
+      } catch (error) {
+        correction.note = `Correction failed: ${error.message}`;
+      }
+    } else if (autoCorrect) {
+      correction.note = 'Outside tolerance';
+    }
+
+    await db.query(`
+      INSERT INTO balance_drift_reports
+        (run_id, user_id, wallet_address, cached_balance, ledger_balance, expected_balance, drift,
+         corrected, correction_transaction_id, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $4::numeric - $6::numeric, $7, $8, $9)
+    `, [
+      runId, row.user_id, row.wallet_address, row.cached_balance, row.ledger_balance, row.expected_balance,
+      correction.corrected, correction.transactionId, correction.note
+    ]);
+
+    return correction;
+  }
+
+  // Re-measures under the user row lock (rewards and claims hold it too), then aligns the cache
+  // with the ledger and posts a reconciliation entry for any gap between the ledger and expected
+  async correct(userId, runId) {
+    return db.transaction(async (client) => {
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const { rows } = await client.query(MEASURE_SQL, [userId]);
+      const row = rows[0];
+
+      if (!row || (!differs(row.cached_balance, row.ledger_balance) && !differs(row.ledger_balance, row.expected_balance))) {
+        return { corrected: false, transactionId: null, note: 'Resolved before correction' };
+      }
+
+      await client.query(
+        'UPDATE users SET claimable_balance = $2 WHERE id = $1',
+        [userId, row.ledger_balance]
+      );
+
+      let transactionId = null;
+      if (differs(row.expected_balance, row.ledger_balance)) {
+        ({ transactionId } = await ledger.post(client, 'reconciliation', {
+          userId,
+          amount: parseFloat(row.expected_balance) - parseFloat(row.ledger_balance),
+          referenceType: 'reconciliation',
+          referenceId: runId,
+          memo: `Ledger ${row.ledger_balance}, expected ${row.expected_balance}`
+        }));
+      }
+
+      return { corrected: true, transactionId, note: null };
+    });
+  }
+
+  async getRuns(limit = 20) {
+    const { rows } = await db.query(
+      'SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT $1',
+      [limit]
+    );
+    return rows;
+  }
+
+  async getReports({ runId = null, wallet = null, uncorrected = false, limit = 100 } = {}) {
+    const { rows } = await db.query(`
+      SELECT * FROM balance_drift_reports
+      WHERE ($1::int IS NULL OR run_id = $1)
+        AND ($2::text IS NULL OR wallet_address = $2)
+        AND (NOT $3 OR corrected = false)
+      ORDER BY id DESC
+      LIMIT $4
+    `, [runId, wallet, uncorrected, limit]);
+    return rows;
+  }
+}
+
+module.exports = new Reconciler();
@@ -0,0 +1,237 @@
+/**
+ * Orius Compute Network - Lifecycle
+ * Drain mode and graceful shutdown: schedulers, background workers and in-flight requests
+ * Developed by Orius Team
+ */
+
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+// Resolves true if the promise settled in time, false if the timeout won
+function settleWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+class Lifecycle {
+  constructor() {
+    this.state = 'running'; // running -> draining -> stopping; draining can go back to running
+    this.reason = null;
+    this.since = new Date();
+    this.schedules = new Map();
+    this.workers = new Map();
+    this.hooks = { drain: [], resume: [], close: [] };
+    this.inFlight = 0;
+    this.idleWaiters = [];
+    this.settling = null;
+    this.settled = null;
+    this.server = null;
+  }
+
+  isDraining() {
+    return this.state !== 'running';
+  }
+
+  /**
+   * Runs fn every intervalMs while the server is running. A run still going when the next tick comes is
+   * not overlapped, and drain waits for it to finish.
+   */
+  schedule(name, fn, intervalMs) {
+    const entry = { fn, intervalMs, timer: null, current: null };
+    this.schedules.set(name, entry);
+    if (this.state === 'running') this.startSchedule(name, entry);
+  }
+
+  startSchedule(name, entry) {
+    entry.timer = setInterval(() => {
+      if (entry.current) return;
+      entry.current = Promise.resolve()
+        .then(entry.fn)
+        .catch(error => logger.error('Scheduled job error', { job: name, error }))
+        .finally(() => {
+          entry.current = null;
+        });
+    }, entry.intervalMs);
+  }
+
+  // Background workers with start() and async stop(); stop() must wait for the worker's in-flight run
+  worker(name, worker) {
+    this.workers.set(name, worker);
+    if (this.state === 'running') worker.start();
+  }
+
+  // drain hooks may return a promise for work to wait on; close hooks run in order once it has settled
+  on(event, fn) {
+    this.hooks[event].push(fn);
+  }
+
+  // Counts requests until their response closes. Long-lived streams (SSE) are excluded or drain would never settle.
+  trackRequests({ exclude = [] } = {}) {
+    return (req, res, next) => {
+      if (exclude.includes(req.path)) return next();
+
+      this.inFlight++;
+      res.once('close', () => {
+        this.inFlight--;
+        if (this.inFlight === 0) {
+          this.idleWaiters.forEach(resolve => resolve());
+          this.idleWaiters = [];
+        }
+      });
+      next();
+    };
+  }
+
+  waitForRequests() {
+    if (this.inFlight === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  rejectWhileDraining() {
+    return (req, res, next) => {
+      if (!this.isDraining()) return next();
+
+      res.set('Retry-After', String(Math.ceil(config.DRAIN_RETRY_AFTER_MS / 1000)));
+      res.status(503).json({ success: false, error: 'Server is draining', retryAfterMs: config.DRAIN_RETRY_AFTER_MS });
+    };
+  }
+
+  /**
+   * Stops taking on new work and waits, up to SHUTDOWN_TIMEOUT_MS, for what is already running: scheduled
+   * jobs, worker runs (payout transactions included), drain hooks and in-flight requests. Resolves true
+   * if everything settled in time. Draining again while draining returns the same promise.
+   */
+  drain(reason = 'admin') {
+    if (this.state !== 'running') return this.settling;
+
+    this.state = 'draining';
+    this.reason = reason;
+    this.since = new Date();
+    this.settled = null;
+    logger.info('Draining', { reason, inFlightRequests: this.inFlight });
+
+    this.settling = this.settle();
+    return this.settling;
+  }
+
+  async settle() {
+    const start = Date.now();
+
+    for (const entry of this.schedules.values()) {
+      clearInterval(entry.timer);
+      entry.timer = null;
+    }
+
+    const work = [
+      ...[...this.schedules.values()].map(entry => entry.current),
+      ...[...this.workers].map(([name, worker]) => worker.stop().catch(error => {
+        logger.error('Worker stop error', { worker: name, error });
+      })),
+      ...this.hooks.drain.map(fn => Promise.resolve().then(fn).catch(error => {
+        logger.error('Drain hook error', { error });
+      })),
+      this.waitForRequests()
+    ].filter(Boolean);
+
+    const settled = await settleWithin(Promise.all(work), config.SHUTDOWN_TIMEOUT_MS);
+    this.settled = settled;
+
+    if (settled) {
+      logger.info('Drained', { durationMs: Date.now() - start });
+    } else {
+      logger.warn('Drain timed out with work still in flight', {
+        timeoutMs: config.SHUTDOWN_TIMEOUT_MS,
+        inFlightRequests: this.inFlight
+      });
+    }
+    return settled;
+  }
+
+  // Leaves drain mode; not possible once shutdown has begun
+  resume() {
+    if (this.state !== 'draining') return false;
+
+    this.state = 'running';
+    this.reason = null;
+    this.since = new Date();
+
+    for (const [name, entry] of this.schedules) {
+      if (!entry.timer) this.startSchedule(name, entry);
+    }
+    for (const worker of this.workers.values()) {
+      worker.start();
+    }
+    this.hooks.resume.forEach(fn => fn());
+
+    logger.info('Resumed');
+    return true;
+  }
+
+  status() {
+    return {
+      state: this.state,
+      reason: this.reason,
+      since: this.since.toISOString(),
+      inFlightRequests: this.inFlight,
+      settled: this.state === 'running' ? null : this.settled
+    };
+  }
+
+  /**
+   * Drains, stops listening, runs the close hooks (node sockets, SSE clients, the database pool) and
+   * exits. The listener closes straight away; keep-alive connections already open can still finish
+   * their requests. A second signal, or a drain that overruns its timeout by more than a few seconds,
+   * exits immediately.
+   */
+  async shutdown(signal) {
+    if (this.state === 'stopping') {
+      logger.warn('Shutdown forced', { signal });
+      process.exit(1);
+    }
+
+    const settling = this.drain(signal);
+    this.state = 'stopping';
+    logger.info('Shutting down', { signal });
+
+    const force = setTimeout(() => {
+      logger.error('Shutdown timed out, exiting');
+      process.exit(1);
+    }, config.SHUTDOWN_TIMEOUT_MS + 5000);
+    force.unref();
+
+    if (this.server) {
+      this.server.close();
+      this.server.closeIdleConnections();
+    }
+
+    await settling;
+
+    for (const fn of this.hooks.close) {
+      try {
+        await fn();
+      } catch (error) {
+        logger.error('Shutdown hook error', { error });
+      }
+    }
+
+    logger.info('Shutdown complete');
+    process.exit(0);
+  }
+
+  handleSignals(server) {
+    this.server = server;
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, () => {
+        this.shutdown(signal).catch(error => {
+          logger.error('Shutdown error', { error });
+          process.exit(1);
+        });
+      });
+    }
+  }
+}
+
+module.exports = new Lifecycle();
@@ -0,0 +1,226 @@
+/**
+ * Orius Compute Network - Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus text exposition format
+ * Developed by Orius Team
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return '{' + entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order, so label order at the call site never matters
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  key(labels) {
+    return JSON.stringify(this.labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+  }
+
+  labelsFor(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    if (this.labelNames.length === 0) {
+      this.series.set(this.key({}), 0);
+    }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = this.key(labels);
+    this.series.set(key, (this.series.get(key) || 0) + amount);
+  }
+
+  render() {
+    let out = this.header();
+    for (const [key, value] of this.series) {
+      out += `${this.name}${formatLabels(this.labelsFor(key))} ${formatValue(value)}\n`;
+    }
+    return out;
+  }
+}
+
+// A collect callback is read at scrape time, for values owned elsewhere (e.g. the database pool)
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.series.set(this.key(labels), value);
+  }
+
+  render() {
+    if (this.collect) {
+      for (const [labels, value] of this.collect()) {
+        this.set(labels, value);
+      }
+    }
+
+    let out = this.header();
+    for (const [key, value] of this.series) {
+      out += `${this.name}${formatLabels(this.labelsFor(key))} ${formatValue(value)}\n`;
+    }
+    return out;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    let out = this.header();
+    for (const [key, series] of this.series) {
+      const labels = this.labelsFor(key);
+      this.buckets.forEach((bound, i) => {
+        out += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[i]}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}\n`;
+      out += `${this.name}_sum${formatLabels(labels)} ${series.sum}\n`;
+      out += `${this.name}_count${formatLabels(labels)} ${series.count}\n`;
+    }
+    return out;
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.metrics = new Map();
+    this.startedAt = Date.now();
+
+    this.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => [
+      [{}, process.memoryUsage().rss]
+    ]);
+    this.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds', [], () => [
+      [{}, Math.floor(this.startedAt / 1000)]
+    ]);
+    this.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', [], () => [
+      [{}, process.memoryUsage().heapUsed]
+    ]);
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      const existing = this.metrics.get(metric.name);
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric ${metric.name} already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = [], collect = null) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const parts = [];
+    for (const metric of this.metrics.values()) {
+      try {
+        parts.push(metric.render());
+      } catch (error) {
+        console.log(`Metric ${metric.name} note:`, error.message);
+      }
+    }
+    return parts.join('');
+  }
+
+  /**
+   * Counts requests and their latency per route. Routes are labelled by their pattern (/api/balance/:wallet),
+   * never the raw URL, so the number of series stays bounded; requests no route matched share 'unmatched'.
+   */
+  httpMiddleware() {
+    const requests = this.counter('orius_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+    const duration = this.histogram('orius_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+
+    return (req, res, next) => {
+      const start = process.hrtime.bigint();
+      res.on('finish', () => {
+        const route = req.route ? (req.baseUrl || '') + req.route.path : 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        requests.inc({ method: req.method, route, status: res.statusCode });
+        duration.observe({ method: req.method, route }, seconds);
+      });
+      next();
+    };
+  }
+
+  // Serves the exposition; with a token configured, scrapers must send it as a bearer token
+  handler(token = '') {
+    const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+    return (req, res) => {
+      if (expected) {
+        const header = req.headers.authorization || '';
+        const given = crypto.createHash('sha256').update(header.replace(/^Bearer\s+/i, '')).digest();
+        if (!header.startsWith('Bearer ') || !crypto.timingSafeEqual(given, expected)) {
+          return res.status(401).json({ success: false, error: 'Metrics token required' });
+        }
+      }
+
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.render());
+    };
+  }
+}
+
+module.exports = new Metrics();
@@ -6,7 +6,7 @@
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
   wallet_address VARCHAR(44) UNIQUE NOT NULL,
-  device_id VARCHAR(64) UNIQUE,
+  device_id VARCHAR(64) UNIQUE, -- legacy single-device binding; superseded by the devices table
   device_bound_at TIMESTAMP,
   total_earned DECIMAL(18,6) DEFAULT 0,
   claimable_balance DECIMAL(18,6) DEFAULT 0,
@@ -107,9 +107,14 @@ CREATE TABLE IF NOT EXISTS claims (
   id SERIAL PRIMARY KEY,
   user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
   amount DECIMAL(18,6) NOT NULL,
-  tx_signature VARCHAR(128),
-  status VARCHAR(20) DEFAULT 'pending', -- pending, processing, completed, failed
+  tx_signature VARCHAR(128), -- shared by every claim paid in the same batch transaction
+  status VARCHAR(20) DEFAULT 'pending', -- pending, processing, submitted, completed, failed
   error_message TEXT,
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP,
+  locked_until TIMESTAMP, -- payout worker lease
+  tx_last_valid_height BIGINT, -- transfer can no longer land once the chain passes this height
+  submitted_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT NOW(),
   completed_at TIMESTAMP
 );
@@ -156,6 +161,261 @@ CREATE TABLE IF NOT EXISTS node_trust (
   updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Wallet signature challenges (single use)
+CREATE TABLE IF NOT EXISTS auth_challenges (
+  id SERIAL PRIMARY KEY,
+  wallet_address VARCHAR(44) NOT NULL,
+  device_id VARCHAR(64) NOT NULL,
+  nonce VARCHAR(64) UNIQUE NOT NULL,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Session tokens issued after a verified wallet signature
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id SERIAL PRIMARY KEY,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  wallet_address VARCHAR(44) NOT NULL,
+  device_id VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Device public keys used to sign compute requests
+CREATE TABLE IF NOT EXISTS device_keys (
+  id SERIAL PRIMARY KEY,
+  device_id VARCHAR(64) UNIQUE NOT NULL,
+  public_key TEXT NOT NULL, -- base64 SPKI
+  algorithm VARCHAR(20) NOT NULL DEFAULT 'ECDSA-P256',
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Nonces seen on signed device requests (replay protection)
+CREATE TABLE IF NOT EXISTS device_request_nonces (
+  device_id VARCHAR(64) NOT NULL,
+  nonce VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (device_id, nonce)
+);
+
+-- Shared token buckets for API rate limiting
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  bucket_key VARCHAR(200) PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  last_allowed BOOLEAN DEFAULT TRUE,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Bounded activity event log for the SSE feed (Last-Event-ID resume)
+CREATE TABLE IF NOT EXISTS activity_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_type VARCHAR(30) NOT NULL, -- 'task_completed', 'claim_completed', 'node_online'
+  payload JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Admin actions (who did what, to which node, and when)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor VARCHAR(100) NOT NULL, -- admin key name
+  role VARCHAR(20) NOT NULL,
+  action VARCHAR(50) NOT NULL, -- 'node.ban', 'node.unban', 'node.trust', 'integrity.run', ...
+  target VARCHAR(128), -- device ID when the action concerns a node
+  details JSONB,
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Double-entry balance ledger: every movement is a pair of rows sharing a transaction_id that sum to zero
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  transaction_id VARCHAR(64) NOT NULL,
+  user_id INTEGER REFERENCES users(id), -- NULL for system accounts
+  account VARCHAR(20) NOT NULL, -- user: 'available', 'held'; system: 'rewards', 'payouts', 'adjustments', 'opening'
+  entry_type VARCHAR(30) NOT NULL, -- 'online_reward', 'compute_reward', 'referral_bonus', 'claim_hold', 'claim_payout', 'claim_refund', 'admin_adjustment', 'reconciliation', 'opening_balance'
+  amount DECIMAL(18,6) NOT NULL, -- positive credits the account, negative debits it
+  reference_type VARCHAR(30), -- 'earning', 'claim', 'admin'
+  reference_id VARCHAR(64),
+  memo TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION ledger_entries_immutable() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'ledger_entries are append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'ledger_entries_no_change') THEN
+    CREATE TRIGGER ledger_entries_no_change
+      BEFORE UPDATE OR DELETE ON ledger_entries
+      FOR EACH ROW EXECUTE FUNCTION ledger_entries_immutable();
+  END IF;
+END $$;
+
+-- Balance reconciliation runs and the drift each one found
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id SERIAL PRIMARY KEY,
+  triggered_by VARCHAR(100) NOT NULL, -- 'schedule' or the admin key name
+  auto_correct BOOLEAN DEFAULT FALSE,
+  tolerance DECIMAL(18,6) DEFAULT 0,
+  users_checked INTEGER DEFAULT 0,
+  drifted INTEGER DEFAULT 0,
+  corrected INTEGER DEFAULT 0,
+  error_message TEXT,
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS balance_drift_reports (
+  id BIGSERIAL PRIMARY KEY,
+  run_id INTEGER REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  wallet_address VARCHAR(44) NOT NULL,
+  cached_balance DECIMAL(18,6) NOT NULL, -- users.claimable_balance
+  ledger_balance DECIMAL(18,6) NOT NULL, -- sum of the wallet's 'available' ledger entries
+  expected_balance DECIMAL(18,6) NOT NULL, -- earnings + admin adjustments - claims not refunded
+  drift DECIMAL(18,6) NOT NULL, -- cached - expected
+  corrected BOOLEAN DEFAULT FALSE,
+  correction_transaction_id VARCHAR(64), -- ledger transaction of the reconciliation entry
+  note TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Emission epochs: a fixed budget shared pro-rata by the work units accrued in each window
+CREATE TABLE IF NOT EXISTS emission_epochs (
+  id SERIAL PRIMARY KEY,
+  starts_at TIMESTAMP UNIQUE NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  budget DECIMAL(18,6) NOT NULL,
+  max_rate_per_unit DECIMAL(18,6), -- caps the payout per unit when few units were accrued
+  policy_version VARCHAR(40),
+  policy_epoch VARCHAR(40),
+  status VARCHAR(20) DEFAULT 'open', -- open, settled
+  total_units DECIMAL(18,6),
+  rate_per_unit DECIMAL(24,12),
+  distributed DECIMAL(18,6),
+  settled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS work_units (
+  id BIGSERIAL PRIMARY KEY,
+  epoch_id INTEGER REFERENCES emission_epochs(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  unit_type VARCHAR(20) NOT NULL, -- online, compute, referral
+  units DECIMAL(18,6) NOT NULL,
+  task_id INTEGER REFERENCES compute_tasks(id),
+  policy_version VARCHAR(40),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Referrals: one per referee; rejected ones (self-referral) are kept for review but never earn
+CREATE TABLE IF NOT EXISTS referrals (
+  id SERIAL PRIMARY KEY,
+  referrer_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  referee_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  code VARCHAR(16) NOT NULL,
+  status VARCHAR(20) DEFAULT 'active', -- active, rejected
+  reject_reason VARCHAR(30), -- self_referral, same_device, same_ip
+  referee_ip VARCHAR(64),
+  referee_fingerprint VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Devices bound to a wallet; a wallet can run several, up to MAX_DEVICES_PER_WALLET active at once
+CREATE TABLE IF NOT EXISTS devices (
+  id SERIAL PRIMARY KEY,
+  device_id VARCHAR(64) UNIQUE NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(64),
+  fingerprint VARCHAR(64), -- hash of browser and hardware traits
+  status VARCHAR(20) DEFAULT 'active', -- active, revoked
+  bound_at TIMESTAMP DEFAULT NOW(),
+  revoked_at TIMESTAMP,
+  last_heartbeat_at TIMESTAMP,
+  last_seen_at TIMESTAMP,
+  total_online_seconds INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Binding history per wallet: binds, revocations and recoveries
+CREATE TABLE IF NOT EXISTS device_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  device_id VARCHAR(64) NOT NULL,
+  event VARCHAR(20) NOT NULL, -- bound, revoked, recovered
+  related_device_id VARCHAR(64), -- for recovery: the device replaced, or the one replacing it
+  ip VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Payout wallet changes: pending until the claim freeze ends, then the account moves to the new address
+CREATE TABLE IF NOT EXISTS wallet_changes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  old_wallet_address VARCHAR(44) NOT NULL,
+  new_wallet_address VARCHAR(44) NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending', -- pending, applied, cancelled, failed
+  requested_by_device VARCHAR(64),
+  requested_ip VARCHAR(64),
+  effective_at TIMESTAMP NOT NULL,
+  applied_at TIMESTAMP,
+  cancelled_at TIMESTAMP,
+  failure_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Columns added after the initial release
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP;
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS tx_last_valid_height BIGINT;
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP;
+ALTER TABLE earnings ADD COLUMN IF NOT EXISTS policy_version VARCHAR(40); -- reward policy that priced this row
+ALTER TABLE earnings ADD COLUMN IF NOT EXISTS policy_epoch VARCHAR(40);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code VARCHAR(16) UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS registration_ip VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_ip VARCHAR(64);
+ALTER TABLE earnings ADD COLUMN IF NOT EXISTS emission_epoch_id INTEGER REFERENCES emission_epochs(id); -- set by settlement
+ALTER TABLE earnings ADD COLUMN IF NOT EXISTS device_id VARCHAR(64); -- device that did the work; NULL for bonuses
+ALTER TABLE work_units ADD COLUMN IF NOT EXISTS device_id VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS claims_allowed_at TIMESTAMP; -- claim freeze after a new device joins the wallet
+ALTER TABLE auth_challenges ADD COLUMN IF NOT EXISTS purpose VARCHAR(20) DEFAULT 'sign_in'; -- sign_in, recovery, wallet_change
+ALTER TABLE auth_challenges ADD COLUMN IF NOT EXISTS replaces_device_id VARCHAR(64);
+ALTER TABLE auth_challenges ADD COLUMN IF NOT EXISTS new_wallet_address VARCHAR(44);
+ALTER TABLE claims ADD COLUMN IF NOT EXISTS payout_address VARCHAR(44); -- wallet at claim time; NULL for older claims
+
+-- Devices bound before the devices table existed
+INSERT INTO devices (device_id, user_id, bound_at, last_heartbeat_at, last_seen_at, total_online_seconds)
+SELECT device_id, id, COALESCE(device_bound_at, created_at), last_heartbeat_at, last_seen_at, total_online_seconds
+FROM users
+WHERE device_id IS NOT NULL
+ON CONFLICT (device_id) DO NOTHING;
+
+-- Opening ledger balances for wallets that predate the ledger (claimable, plus claims still being paid)
+INSERT INTO ledger_entries (transaction_id, user_id, account, entry_type, amount, memo)
+SELECT 'opening-' || o.id, leg.user_id, leg.account, 'opening_balance', leg.amount, 'Balance before ledger'
+FROM (
+  SELECT u.id, u.claimable_balance as available,
+         COALESCE((SELECT SUM(amount) FROM claims c WHERE c.user_id = u.id AND c.status IN ('pending', 'processing', 'submitted')), 0) as held
+  FROM users u
+  WHERE NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.user_id = u.id)
+) o
+CROSS JOIN LATERAL (VALUES
+  (o.id, 'available', o.available),
+  (o.id, 'held', o.held),
+  (NULL::int, 'opening', -(o.available + o.held))
+) AS leg(user_id, account, amount)
+WHERE o.available + o.held <> 0;
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
 CREATE INDEX IF NOT EXISTS idx_users_wallet ON users(wallet_address);
@@ -166,3 +426,28 @@ CREATE INDEX IF NOT EXISTS idx_assignments_status ON task_assignments(status);
 CREATE INDEX IF NOT EXISTS idx_earnings_user ON earnings(user_id);
 CREATE INDEX IF NOT EXISTS idx_network_stats_hour ON network_stats(hour_timestamp);
 CREATE INDEX IF NOT EXISTS idx_node_trust_device ON node_trust(device_id);
+CREATE INDEX IF NOT EXISTS idx_auth_challenges_wallet ON auth_challenges(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_wallet ON auth_sessions(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_device_nonces_created ON device_request_nonces(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log(target);
+CREATE INDEX IF NOT EXISTS idx_claims_status ON claims(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_claims_signature ON claims(tx_signature);
+CREATE INDEX IF NOT EXISTS idx_ledger_user ON ledger_entries(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_ledger_transaction ON ledger_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_drift_reports_run ON balance_drift_reports(run_id);
+CREATE INDEX IF NOT EXISTS idx_drift_reports_wallet ON balance_drift_reports(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_work_units_epoch ON work_units(epoch_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_work_units_user ON work_units(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_emission_epochs_status ON emission_epochs(status, ends_at);
+DROP INDEX IF EXISTS idx_earnings_emission;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_earnings_emission_device ON earnings(emission_epoch_id, user_id, earning_type, (COALESCE(device_id, ''))) WHERE emission_epoch_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_id);
+CREATE INDEX IF NOT EXISTS idx_devices_user ON devices(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_earnings_device ON earnings(device_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_earnings_created ON earnings(created_at);
+CREATE INDEX IF NOT EXISTS idx_assignments_completed ON task_assignments(completed_at);
+CREATE INDEX IF NOT EXISTS idx_device_events_user ON device_events(user_id, id);
+CREATE INDEX IF NOT EXISTS idx_device_events_device ON device_events(device_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_changes_pending ON wallet_changes(user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_wallet_changes_due ON wallet_changes(status, effective_at);
@@ -0,0 +1,76 @@
+/**
+ * Orius Compute Network - Payout Adapter Interface
+ * What the payout worker needs from a ledger backend
+ * Developed by Orius Team
+ */
+
+const TRANSIENT_ERROR_PATTERN = /429|too many requests|timed? ?out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up|502|503|504|blockhash not found|node is behind|insufficient funds/i;
+
+class PayoutError extends Error {
+  constructor(message, permanent = false) {
+    super(message);
+    this.name = 'PayoutError';
+    this.permanent = permanent;
+  }
+}
+
+/**
+ * Adapters move tokens from the treasury to wallets. A transfer is built and signed
+ * before it is sent, so its signature can be stored first and checked after a crash.
+ *
+ * buildTransfer(payments) packs [{ walletAddress, amount, ... }] into one transfer and returns
+ *   { transfer: { signature, lastValidBlockHeight, ... } | null, included, remaining, invalid }
+ * confirm(transfer) and getTransferStatus(signature, lastValidBlockHeight) resolve to
+ *   { status: 'confirmed' | 'failed' | 'expired' | 'pending' | 'unknown', error? }
+ * checkHealth() makes one cheap round trip to the backend and resolves to details worth reporting,
+ *   or rejects when it cannot be reached
+ */
+class PayoutAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  init() {
+    return false;
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  async buildTransfer(payments) {
+    throw new Error(`${this.name} adapter does not implement buildTransfer`);
+  }
+
+  async send(transfer) {
+    throw new Error(`${this.name} adapter does not implement send`);
+  }
+
+  // True when the backend definitely refused the transfer, so it can never land
+  wasRejected(error) {
+    return false;
+  }
+
+  async confirm(transfer) {
+    throw new Error(`${this.name} adapter does not implement confirm`);
+  }
+
+  async getTransferStatus(signature, lastValidBlockHeight) {
+    throw new Error(`${this.name} adapter does not implement getTransferStatus`);
+  }
+
+  async checkHealth() {
+    throw new Error(`${this.name} adapter does not implement checkHealth`);
+  }
+
+  isTransientError(error) {
+    if (error instanceof PayoutError) return !error.permanent;
+    return TRANSIENT_ERROR_PATTERN.test(error.message || '');
+  }
+
+  explorerUrl(signature) {
+    return null;
+  }
+}
+
+module.exports = { PayoutAdapter, PayoutError };
@@ -0,0 +1,233 @@
+/**
+ * Orius Compute Network - Mock Ledger Payout Adapter
+ * In-process token ledger so the claim lifecycle runs offline and in tests
+ * Developed by Orius Team
+ */
+
+const crypto = require('crypto');
+const bs58Module = require('bs58');
+const bs58 = bs58Module.default || bs58Module;
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { PayoutAdapter, PayoutError } = require('./base');
+
+const SLOT_MS = 400;
+const BLOCKHASH_VALIDITY = 150; // Blocks a transfer may land in, as on Solana
+
+class SendRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SendTransactionError';
+  }
+}
+
+class MockLedgerAdapter extends PayoutAdapter {
+  constructor({ name = 'mock', treasuryBalance = config.PAYOUT_MOCK_TREASURY_BALANCE, failureRate = config.PAYOUT_MOCK_FAILURE_RATE, maxTransfers = config.PAYOUT_BATCH_MAX_CLAIMS } = {}) {
+    super(name);
+    this.initialTreasuryBalance = treasuryBalance;
+    this.failureRate = failureRate;
+    this.maxTransfers = maxTransfers;
+    this.ready = false;
+    this.reset();
+  }
+
+  init() {
+    this.ready = true;
+    logger.info('Mock ledger payouts enabled - no tokens will move on-chain', {
+      treasuryBalance: this.initialTreasuryBalance
+    });
+    return true;
+  }
+
+  isConfigured() {
+    return this.ready;
+  }
+
+  reset() {
+    this.treasuryBalance = this.toBaseUnits(this.initialTreasuryBalance);
+    this.balances = new Map();
+    this.transactions = new Map();
+    this.recipientFailures = new Map();
+    this.queuedFailures = [];
+    this.genesis = Date.now();
+    this.skippedBlocks = 0;
+  }
+
+  toBaseUnits(amount) {
+    return Math.floor(parseFloat(amount) * Math.pow(10, config.TOKEN_DECIMALS));
+  }
+
+  fromBaseUnits(units) {
+    return units / Math.pow(10, config.TOKEN_DECIMALS);
+  }
+
+  // Advances with wall-clock time like a real cluster; advanceBlocks() skips ahead
+  getBlockHeight() {
+    return Math.floor((Date.now() - this.genesis) / SLOT_MS) + this.skippedBlocks;
+  }
+
+  advanceBlocks(count = BLOCKHASH_VALIDITY + 1) {
+    this.skippedBlocks += count;
+    return this.getBlockHeight();
+  }
+
+  isValidAddress(walletAddress) {
+    try {
+      return bs58.decode(walletAddress).length === 32;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async buildTransfer(payments) {
+    const valid = [];
+    const invalid = [];
+
+    for (const payment of payments) {
+      if (this.isValidAddress(payment.walletAddress)) {
+        valid.push(payment);
+      } else {
+        invalid.push({ payment, error: new PayoutError(`Invalid recipient address: ${payment.walletAddress}`, true) });
+      }
+    }
+
+    if (valid.length === 0) {
+      return { transfer: null, included: [], remaining: [], invalid };
+    }
+
+    const included = valid.slice(0, this.maxTransfers);
+
+    return {
+      transfer: {
+        signature: bs58.encode(crypto.randomBytes(64)),
+        lastValidBlockHeight: this.getBlockHeight() + BLOCKHASH_VALIDITY,
+        payments: included.map(p => ({ walletAddress: p.walletAddress, units: this.toBaseUnits(p.amount) }))
+      },
+      included,
+      remaining: valid.slice(included.length),
+      invalid
+    };
+  }
+
+  async send(transfer) {
+    // The cluster deduplicates by signature, so a rebroadcast is a no-op
+    if (this.transactions.has(transfer.signature)) return;
+
+    if (this.getBlockHeight() > transfer.lastValidBlockHeight) {
+      throw new SendRejectedError('Blockhash not found');
+    }
+
+    const injected = this.queuedFailures.shift() ||
+      (Math.random() < this.failureRate ? { mode: 'drop', message: 'fetch failed' } : null);
+
+    if (injected && injected.mode === 'drop') {
+      throw new Error(injected.message);
+    }
+    if (injected && injected.mode === 'reject') {
+      throw new SendRejectedError(injected.message);
+    }
+    if (injected && injected.mode === 'revert') {
+      return this.record(transfer, injected.message);
+    }
+
+    for (const payment of transfer.payments) {
+      const message = this.recipientFailures.get(payment.walletAddress);
+      if (message) {
+        throw new SendRejectedError(message);
+      }
+    }
+
+    const total = transfer.payments.reduce((sum, p) => sum + p.units, 0);
+    if (total > this.treasuryBalance) {
+      throw new SendRejectedError('Transaction simulation failed: insufficient funds');
+    }
+
+    this.treasuryBalance -= total;
+    for (const payment of transfer.payments) {
+      this.balances.set(payment.walletAddress, (this.balances.get(payment.walletAddress) || 0) + payment.units);
+    }
+
+    this.record(transfer, null);
+  }
+
+  record(transfer, error) {
+    this.transactions.set(transfer.signature, {
+      signature: transfer.signature,
+      payments: transfer.payments,
+      error,
+      blockHeight: this.getBlockHeight()
+    });
+  }
+
+  wasRejected(error) {
+    return !!error && error.name === 'SendTransactionError';
+  }
+
+  async confirm(transfer) {
+    return this.statusOf(transfer.signature, transfer.lastValidBlockHeight, 'unknown');
+  }
+
+  async getTransferStatus(signature, lastValidBlockHeight) {
+    return this.statusOf(signature, lastValidBlockHeight, 'pending');
+  }
+
+  statusOf(signature, lastValidBlockHeight, notFound) {
+    const tx = this.transactions.get(signature);
+    if (tx) {
+      return tx.error ? { status: 'failed', error: tx.error } : { status: 'confirmed' };
+    }
+
+    if (lastValidBlockHeight && this.getBlockHeight() > lastValidBlockHeight) {
+      return { status: 'expired' };
+    }
+
+    return { status: notFound };
+  }
+
+  // ============================================
+  // FAILURE INJECTION & INSPECTION
+  // ============================================
+
+  // Every transfer paying this wallet is rejected until cleared
+  failRecipient(walletAddress, message = 'Transaction simulation failed: invalid account data for instruction') {
+    this.recipientFailures.set(walletAddress, message);
+  }
+
+  // mode: 'reject' (refused by the RPC), 'drop' (outcome unknown, never lands) or 'revert' (lands with an error)
+  failNext(mode = 'reject', message = null) {
+    const defaults = {
+      reject: 'Transaction simulation failed: custom program error',
+      drop: 'fetch failed',
+      revert: '{"InstructionError":[0,{"Custom":1}]}'
+    };
+    this.queuedFailures.push({ mode, message: message || defaults[mode] });
+  }
+
+  clearFailures() {
+    this.recipientFailures.clear();
+    this.queuedFailures = [];
+  }
+
+  getBalance(walletAddress) {
+    return this.fromBaseUnits(this.balances.get(walletAddress) || 0);
+  }
+
+  async checkHealth() {
+    return { blockHeight: this.getBlockHeight(), treasuryBalance: this.getTreasuryBalance() };
+  }
+
+  getTreasuryBalance() {
+    return this.fromBaseUnits(this.treasuryBalance);
+  }
+
+  hasTokenAccount(walletAddress) {
+    return this.balances.has(walletAddress);
+  }
+
+  getTransaction(signature) {
+    return this.transactions.get(signature) || null;
+  }
+}
+
+module.exports = MockLedgerAdapter;
@@ -0,0 +1,219 @@
+/**
+ * Orius Compute Network - Solana Payout Adapter
+ * Builds, sends and tracks Token-2022 transfers from the treasury on a Solana cluster
+ * Developed by Orius Team
+ */
+
+const { Connection, Keypair, PublicKey, Transaction, PACKET_DATA_SIZE } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferInstruction,
+  TOKEN_2022_PROGRAM_ID
+} = require('@solana/spl-token');
+const bs58Module = require('bs58');
+const bs58 = bs58Module.default || bs58Module;
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { PayoutAdapter, PayoutError } = require('./base');
+
+class SolanaAdapter extends PayoutAdapter {
+  // cluster selects the explorer link; label is what the startup log calls the RPC
+  constructor({ name, rpcUrl, cluster = 'mainnet-beta', label }) {
+    super(name);
+    this.rpcUrl = rpcUrl;
+    this.cluster = cluster;
+    this.label = label || rpcUrl;
+    this.connection = null;
+    this.treasury = null;
+    this.mint = null;
+  }
+
+  init() {
+    try {
+      if (!config.TREASURY_PRIVATE_KEY) {
+        logger.warn('TREASURY_PRIVATE_KEY not set - claim feature disabled');
+        return false;
+      }
+
+      if (!this.rpcUrl) {
+        logger.warn('No payout RPC URL - claim feature disabled', { backend: this.name });
+        return false;
+      }
+
+      this.connection = new Connection(this.rpcUrl, 'confirmed');
+      this.treasury = Keypair.fromSecretKey(bs58.decode(config.TREASURY_PRIVATE_KEY));
+      this.mint = new PublicKey(config.TOKEN_MINT);
+
+      logger.info('Solana payouts initialized', {
+        treasury: this.treasury.publicKey.toString(),
+        tokenMint: config.TOKEN_MINT,
+        rpc: this.label
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('Solana init error', { error });
+      return false;
+    }
+  }
+
+  isConfigured() {
+    return !!(this.connection && this.treasury);
+  }
+
+  toBaseUnits(amount) {
+    return Math.floor(parseFloat(amount) * Math.pow(10, config.TOKEN_DECIMALS));
+  }
+
+  recipientAccount(walletAddress) {
+    let owner;
+    try {
+      owner = new PublicKey(walletAddress);
+    } catch (error) {
+      throw new PayoutError(`Invalid recipient address: ${walletAddress}`, true);
+    }
+
+    try {
+      return { owner, ata: getAssociatedTokenAddressSync(this.mint, owner, false, TOKEN_2022_PROGRAM_ID) };
+    } catch (error) {
+      throw new PayoutError(`Recipient cannot own a token account: ${walletAddress}`, true);
+    }
+  }
+
+  // Packs payments (in order) into one transaction until the next would not fit in a packet.
+  // Signs locally so the signature is known (and can be stored) before anything is broadcast.
+  async buildTransfer(payments) {
+    const valid = [];
+    const invalid = [];
+
+    for (const payment of payments) {
+      try {
+        valid.push({ payment, ...this.recipientAccount(payment.walletAddress) });
+      } catch (error) {
+        invalid.push({ payment, error });
+      }
+    }
+
+    if (valid.length === 0) {
+      return { transfer: null, included: [], remaining: [], invalid };
+    }
+
+    const treasuryAta = getAssociatedTokenAddressSync(this.mint, this.treasury.publicKey, false, TOKEN_2022_PROGRAM_ID);
+    const existing = await this.connection.getMultipleAccountsInfo(valid.map(v => v.ata));
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+
+    const tx = new Transaction({ feePayer: this.treasury.publicKey, blockhash, lastValidBlockHeight });
+    const created = new Set();
+    const included = [];
+
+    for (const [index, recipient] of valid.entries()) {
+      const ataKey = recipient.ata.toBase58();
+      const needsAta = !existing[index] && !created.has(ataKey);
+      const instructions = [];
+
+      if (needsAta) {
+        instructions.push(createAssociatedTokenAccountIdempotentInstruction(
+          this.treasury.publicKey,
+          recipient.ata,
+          recipient.owner,
+          this.mint,
+          TOKEN_2022_PROGRAM_ID
+        ));
+      }
+
+      instructions.push(createTransferInstruction(
+        treasuryAta,
+        recipient.ata,
+        this.treasury.publicKey,
+        this.toBaseUnits(recipient.payment.amount),
+        [],
+        TOKEN_2022_PROGRAM_ID
+      ));
+
+      tx.add(...instructions);
+      if (included.length > 0 && this.transactionSize(tx) > PACKET_DATA_SIZE) {
+        tx.instructions.splice(-instructions.length);
+        break;
+      }
+
+      if (needsAta) created.add(ataKey);
+      included.push(recipient.payment);
+    }
+
+    tx.sign(this.treasury);
+
+    return {
+      transfer: {
+        transaction: tx,
+        signature: bs58.encode(tx.signature),
+        blockhash,
+        lastValidBlockHeight
+      },
+      included,
+      remaining: valid.slice(included.length).map(v => v.payment),
+      invalid
+    };
+  }
+
+  transactionSize(tx) {
+    // Compact-array length byte plus the single treasury signature
+    return tx.serializeMessage().length + 1 + 64;
+  }
+
+  async send(transfer) {
+    await this.connection.sendRawTransaction(transfer.transaction.serialize());
+  }
+
+  // An RPC error response (including failed preflight) means the cluster never accepted the transaction
+  wasRejected(error) {
+    return error && error.name === 'SendTransactionError';
+  }
+
+  async confirm(transfer) {
+    try {
+      const { value } = await this.connection.confirmTransaction({
+        signature: transfer.signature,
+        blockhash: transfer.blockhash,
+        lastValidBlockHeight: transfer.lastValidBlockHeight
+      }, 'confirmed');
+
+      return value.err ? { status: 'failed', error: JSON.stringify(value.err) } : { status: 'confirmed' };
+    } catch (error) {
+      if (error.name === 'TransactionExpiredBlockheightExceededError') {
+        return { status: 'expired' };
+      }
+      return { status: 'unknown', error: error.message };
+    }
+  }
+
+  async getTransferStatus(signature, lastValidBlockHeight) {
+    const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    const status = value[0];
+
+    if (status && status.confirmationStatus && status.confirmationStatus !== 'processed') {
+      return status.err ? { status: 'failed', error: JSON.stringify(status.err) } : { status: 'confirmed' };
+    }
+
+    const blockHeight = await this.connection.getBlockHeight('finalized');
+    if (!status && lastValidBlockHeight && blockHeight > lastValidBlockHeight) {
+      return { status: 'expired' };
+    }
+
+    return { status: 'pending' };
+  }
+
+  async checkHealth() {
+    const slot = await this.connection.getSlot('confirmed');
+    return { rpc: this.label, slot };
+  }
+
+  explorerUrl(signature) {
+    if (this.cluster === 'mainnet-beta') return `https://solscan.io/tx/${signature}`;
+    if (this.cluster === 'devnet') return `https://solscan.io/tx/${signature}?cluster=devnet`;
+    return null;
+  }
+}
+
+module.exports = SolanaAdapter;
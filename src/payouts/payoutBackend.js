@@ -0,0 +1,49 @@
+/**
+ * Orius Compute Network - Payout Backend
+ * Selects the payout adapter from PAYOUT_BACKEND
+ * Developed by Orius Team
+ */
+
+const config = require('../utils/config');
+const SolanaAdapter = require('./adapters/solana');
+const MockLedgerAdapter = require('./adapters/mockLedger');
+const { PayoutAdapter, PayoutError } = require('./adapters/base');
+
+function createAdapter(backend, options = {}) {
+  switch (backend) {
+    case 'mainnet':
+      return new SolanaAdapter({
+        name: 'mainnet',
+        rpcUrl: config.RPC_URL,
+        cluster: 'mainnet-beta',
+        label: config.HELIUS_API_KEY ? 'Helius Mainnet' : 'Public Mainnet'
+      });
+
+    case 'devnet':
+      return new SolanaAdapter({
+        name: 'devnet',
+        rpcUrl: config.DEVNET_RPC_URL,
+        cluster: 'devnet',
+        label: config.HELIUS_API_KEY ? 'Helius Devnet' : 'Public Devnet'
+      });
+
+    case 'custom':
+      return new SolanaAdapter({
+        name: 'custom',
+        rpcUrl: options.rpcUrl || config.PAYOUT_RPC_URL,
+        cluster: 'custom',
+        label: 'Custom RPC'
+      });
+
+    case 'mock':
+      return new MockLedgerAdapter(options);
+
+    default:
+      throw new Error(`Unknown payout backend: ${backend}`);
+  }
+}
+
+module.exports = createAdapter(config.PAYOUT_BACKEND);
+module.exports.createAdapter = createAdapter;
+module.exports.PayoutAdapter = PayoutAdapter;
+module.exports.PayoutError = PayoutError;
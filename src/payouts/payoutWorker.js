@@ -0,0 +1,447 @@
+/**
+ * Orius Compute Network - Payout Worker
+ * Durable claim processing with leases, retries and crash recovery
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+const payoutBackend = require('./payoutBackend');
+const { PayoutError } = payoutBackend;
+const activityFeed = require('../realtime/activityFeed');
+const ledger = require('../ledger/ledger');
+const metrics = require('../metrics/metrics');
+const logger = require('../utils/logger');
+
+const claimOutcomes = metrics.counter('orius_claim_outcomes_total', 'Claims by lifecycle outcome', ['outcome']);
+const payoutLatency = metrics.histogram(
+  'orius_payout_latency_seconds',
+  'Time from claim request to confirmed payout',
+  [],
+  [5, 15, 30, 60, 120, 300, 600, 1800, 3600, 7200, 21600]
+);
+
+async function runWithConcurrency(jobs, limit) {
+  const queue = [...jobs];
+  const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      const job = queue.shift();
+      await job().catch(error => {
+        logger.error('Payout job error', { error });
+      });
+    }
+  });
+  await Promise.all(workers);
+}
+
+class PayoutWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.current = null;
+    this.wakeRequested = false;
+    this.backend = payoutBackend; // Swap for another adapter, e.g. a mock ledger in tests
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.wake(), config.PAYOUT_POLL_INTERVAL_MS);
+    this.wake();
+    logger.info('Payout worker started', { concurrency: config.PAYOUT_CONCURRENCY });
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.current) {
+      await this.current;
+    }
+  }
+
+  // Ignored while stopped, so a claim made during drain waits for the next running worker
+  wake() {
+    if (!this.timer || !this.backend.isConfigured()) return;
+
+    if (this.running) {
+      this.wakeRequested = true;
+      return;
+    }
+
+    this.current = this.run().finally(() => {
+      this.current = null;
+    });
+  }
+
+  async run() {
+    this.running = true;
+    try {
+      do {
+        this.wakeRequested = false;
+        const batchSize = config.PAYOUT_BATCHING ? config.PAYOUT_BATCH_MAX_CLAIMS : 1;
+        const limit = config.PAYOUT_CONCURRENCY * batchSize;
+        const claims = await this.acquire(limit);
+
+        const jobs = claims
+          .filter(claim => claim.status === 'submitted')
+          .map(claim => () => this.reconcile(claim));
+
+        const queued = claims.filter(claim => claim.status !== 'submitted');
+        for (let i = 0; i < queued.length; i += batchSize) {
+          const batch = queued.slice(i, i + batchSize);
+          jobs.push(() => this.submit(batch));
+        }
+
+        await runWithConcurrency(jobs, config.PAYOUT_CONCURRENCY);
+        if (claims.length === limit) this.wakeRequested = true;
+      } while (this.wakeRequested && this.timer);
+    } catch (error) {
+      logger.error('Payout worker error', { error });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Leases due claims so concurrent workers (or a restarted one) never handle the same claim at once
+  async acquire(limit, claimId = null) {
+    const { rows } = await db.query(`
+      UPDATE claims c
+      SET locked_until = NOW() + ($2 || ' milliseconds')::interval
+      FROM users u
+      WHERE c.user_id = u.id
+        AND c.id IN (
+          SELECT id FROM claims
+          WHERE status IN ('processing', 'submitted')
+            AND (locked_until IS NULL OR locked_until < NOW())
+            AND ($3::int IS NOT NULL OR next_attempt_at IS NULL OR next_attempt_at <= NOW())
+            AND ($3::int IS NULL OR id = $3)
+          ORDER BY created_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+      RETURNING c.*, c.locked_until::text as lease, COALESCE(c.payout_address, u.wallet_address) as wallet_address
+    `, [limit, config.PAYOUT_LEASE_MS, claimId]);
+
+    return rows;
+  }
+
+  /**
+   * Extends the lease on the claims this worker still holds and returns them with their new lease; a claim
+   * whose lease ran out may already belong to another worker, so it is dropped. Held claims go back to
+   * 'processing': submit() only sees claims never broadcast or whose transfer was rejected or failed.
+   */
+  async renewLease(claims) {
+    const { rows } = await db.query(`
+      UPDATE claims c
+      SET status = 'processing', locked_until = NOW() + ($3 || ' milliseconds')::interval
+      FROM unnest($1::int[], $2::text[]) AS held(id, lease)
+      WHERE c.id = held.id
+        AND c.locked_until = held.lease::timestamp
+        AND c.status IN ('processing', 'submitted')
+      RETURNING c.id, c.locked_until::text as lease
+    `, [claims.map(claim => claim.id), claims.map(claim => claim.lease), config.PAYOUT_LEASE_MS]);
+
+    const leases = new Map(rows.map(row => [row.id, row.lease]));
+    if (leases.size < claims.length) {
+      logger.warn('Payout lease lost, leaving claims to their new owner', {
+        claimIds: claims.filter(claim => !leases.has(claim.id)).map(claim => claim.id)
+      });
+    }
+
+    return claims
+      .filter(claim => leases.has(claim.id))
+      .map(claim => ({ ...claim, status: 'processing', lease: leases.get(claim.id) }));
+  }
+
+  async processNow(claimId) {
+    const [claim] = await this.acquire(1, claimId);
+    if (!claim) return null;
+
+    if (claim.status === 'submitted') {
+      await this.reconcile(claim);
+    } else {
+      await this.submit([claim]);
+    }
+
+    const { rows } = await db.query(
+      'SELECT id, status, tx_signature, attempts, error_message, next_attempt_at FROM claims WHERE id = $1',
+      [claimId]
+    );
+    return rows[0];
+  }
+
+  // Pays claims in as few transactions as fit; resubmissions after a batch split do not count as attempts
+  async submit(leased, countAttempt = true) {
+    const increment = countAttempt ? 1 : 0;
+    const claims = await this.renewLease(leased);
+    if (claims.length === 0) return;
+
+    let built;
+
+    try {
+      built = await this.backend.buildTransfer(claims.map(claim => ({
+        walletAddress: claim.wallet_address,
+        amount: claim.amount,
+        claim
+      })));
+    } catch (error) {
+      await Promise.all(claims.map(claim => this.handleFailure(claim, error, claim.attempts + increment)));
+      return;
+    }
+
+    for (const { payment, error } of built.invalid) {
+      await this.handleFailure(payment.claim, error, payment.claim.attempts + increment);
+    }
+
+    if (built.transfer) {
+      const included = built.included.map(p => p.claim);
+      if (await this.sendBatch(included, built.transfer, increment) === false) {
+        // Some claims changed hands between renewal and marking; rebuild for the ones still held
+        await this.submit(included, countAttempt);
+      }
+    }
+
+    if (built.remaining.length > 0) {
+      await this.submit(built.remaining.map(p => p.claim), countAttempt);
+    }
+  }
+
+  /**
+   * Marks the batch submitted and broadcasts it. The mark only applies to claims still leased by this
+   * worker; if any is not, nothing is marked or sent and this resolves false, since the transfer pays
+   * every claim in the batch.
+   */
+  async sendBatch(batch, transfer, increment) {
+    // Record the signature before broadcasting so a crash after send can be reconciled, not re-paid
+    const { rows: marked } = await db.query(`
+      WITH held AS (
+        SELECT c.id
+        FROM claims c
+        JOIN unnest($1::int[], $6::text[]) AS lease(id, until) ON lease.id = c.id
+        WHERE c.status = 'processing' AND c.locked_until = lease.until::timestamp
+        FOR UPDATE OF c
+      )
+      UPDATE claims c
+      SET status = 'submitted',
+          tx_signature = $2,
+          tx_last_valid_height = $3,
+          submitted_at = NOW(),
+          attempts = c.attempts + $4,
+          error_message = NULL,
+          locked_until = NOW() + ($5 || ' milliseconds')::interval
+      FROM held
+      WHERE c.id = held.id AND (SELECT COUNT(*) FROM held) = cardinality($1::int[])
+      RETURNING c.id, c.locked_until::text as lease
+    `, [
+      batch.map(c => c.id), transfer.signature, transfer.lastValidBlockHeight, increment,
+      config.PAYOUT_LEASE_MS, batch.map(c => c.lease)
+    ]);
+
+    if (marked.length < batch.length) return false;
+
+    const leases = new Map(marked.map(row => [row.id, row.lease]));
+    const claims = batch.map(claim => ({
+      ...claim,
+      status: 'submitted',
+      attempts: claim.attempts + increment,
+      tx_signature: transfer.signature,
+      lease: leases.get(claim.id)
+    }));
+
+    try {
+      await this.backend.send(transfer);
+    } catch (error) {
+      if (this.backend.wasRejected(error)) {
+        return this.handleBatchFailure(claims, error);
+      }
+      logger.warn('Transfer send outcome unknown, will reconcile', {
+        txSignature: transfer.signature,
+        claimIds: claims.map(claim => claim.id),
+        error
+      });
+      await Promise.all(claims.map(claim => this.recheckLater(claim)));
+      return;
+    }
+
+    const outcome = await this.backend.confirm(transfer);
+    if (outcome.status === 'failed') {
+      return this.handleBatchFailure(claims, new Error(`Transfer failed on-chain: ${outcome.error}`));
+    }
+
+    for (const claim of claims) {
+      await this.applyOutcome(claim, outcome);
+    }
+  }
+
+  // One bad recipient fails the whole transaction, so split the batch until it is isolated
+  async handleBatchFailure(claims, error) {
+    if (claims.length > 1 && !this.backend.isTransientError(error)) {
+      logger.info('Batch transfer failed, splitting', { claimIds: claims.map(claim => claim.id), error });
+      const middle = Math.ceil(claims.length / 2);
+      await this.submit(claims.slice(0, middle), false);
+      await this.submit(claims.slice(middle), false);
+      return;
+    }
+
+    await Promise.all(claims.map(claim => this.handleFailure(claim, error, claim.attempts)));
+  }
+
+  async reconcile(claim) {
+    let outcome;
+    try {
+      outcome = await this.backend.getTransferStatus(claim.tx_signature, claim.tx_last_valid_height);
+    } catch (error) {
+      logger.warn('Claim status check failed', { claimId: claim.id, txSignature: claim.tx_signature, error });
+      return this.recheckLater(claim);
+    }
+
+    return this.applyOutcome(claim, outcome);
+  }
+
+  async applyOutcome(claim, outcome) {
+    switch (outcome.status) {
+      case 'confirmed':
+        return this.complete(claim);
+
+      case 'failed':
+        // Landed but reverted: no tokens moved, so a fresh transfer is safe
+        return this.handleFailure(claim, new Error(`Transfer failed on-chain: ${outcome.error}`), claim.attempts);
+
+      case 'expired':
+        // Blockhash expired without the signature landing: it never can now
+        return this.handleFailure(claim, new PayoutError('Transfer expired before confirmation'), claim.attempts);
+
+      default:
+        return this.recheckLater(claim);
+    }
+  }
+
+  async complete(claim) {
+    const completed = await db.transaction(async (client) => {
+      const { rowCount } = await client.query(`
+        UPDATE claims
+        SET status = 'completed', completed_at = NOW(), locked_until = NULL, next_attempt_at = NULL
+        WHERE id = $1 AND locked_until = $2::timestamp AND status IN ('processing', 'submitted')
+      `, [claim.id, claim.lease]);
+
+      if (rowCount === 1) {
+        await ledger.post(client, 'claim_payout', {
+          userId: claim.user_id,
+          amount: claim.amount,
+          referenceType: 'claim',
+          referenceId: claim.id,
+          memo: claim.tx_signature
+        });
+      }
+      return rowCount === 1;
+    });
+
+    if (!completed) {
+      this.leaseLost(claim);
+      return;
+    }
+
+    claimOutcomes.inc({ outcome: 'completed' });
+    payoutLatency.observe({}, (Date.now() - new Date(claim.created_at).getTime()) / 1000);
+
+    logger.info('Claim paid', { claimId: claim.id, txSignature: claim.tx_signature, amount: parseFloat(claim.amount) });
+    await activityFeed.recordClaimCompleted(claim.wallet_address, parseFloat(claim.amount));
+  }
+
+  /**
+   * Outcomes are only written while this worker still holds the claim's lease. Once it runs out (say during
+   * a slow confirm) another worker may have taken the claim over and even completed it, and writing a stale
+   * outcome over that could put a paid claim back in the queue.
+   */
+  leaseLost(claim) {
+    logger.warn('Claim lease lost before its outcome was recorded, leaving it to its new owner', { claimId: claim.id });
+  }
+
+  async recheckLater(claim) {
+    const { rowCount } = await db.query(`
+      UPDATE claims
+      SET locked_until = NULL, next_attempt_at = NOW() + ($2 || ' milliseconds')::interval
+      WHERE id = $1 AND locked_until = $3::timestamp AND status IN ('processing', 'submitted')
+    `, [claim.id, config.PAYOUT_RECHECK_MS, claim.lease]);
+
+    if (rowCount === 0) this.leaseLost(claim);
+  }
+
+  retryDelay(attempts) {
+    return Math.min(config.PAYOUT_RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), config.PAYOUT_RETRY_MAX_MS);
+  }
+
+  async handleFailure(claim, error, attempts) {
+    if (this.backend.isTransientError(error) && attempts < config.PAYOUT_MAX_ATTEMPTS) {
+      const delay = this.retryDelay(attempts);
+      const { rowCount } = await db.query(`
+        UPDATE claims
+        SET status = 'processing',
+            attempts = $2,
+            error_message = $3,
+            locked_until = NULL,
+            next_attempt_at = NOW() + ($4 || ' milliseconds')::interval
+        WHERE id = $1 AND locked_until = $5::timestamp AND status IN ('processing', 'submitted')
+      `, [claim.id, attempts, error.message, delay, claim.lease]);
+
+      if (rowCount === 0) {
+        this.leaseLost(claim);
+        return;
+      }
+
+      logger.warn('Claim payout attempt failed, retrying', { claimId: claim.id, attempts, retryInMs: delay, error });
+      claimOutcomes.inc({ outcome: 'retried' });
+      return;
+    }
+
+    logger.error('Claim failed permanently', { claimId: claim.id, attempts, error });
+    await this.fail(claim, error.message);
+  }
+
+  async fail(claim, message) {
+    const failed = await db.transaction(async (client) => {
+      const { rowCount } = await client.query(`
+        UPDATE claims
+        SET status = 'failed', error_message = $2, locked_until = NULL, next_attempt_at = NULL
+        WHERE id = $1 AND locked_until = $3::timestamp AND status IN ('processing', 'submitted')
+      `, [claim.id, message, claim.lease]);
+
+      if (rowCount === 1) {
+        await ledger.post(client, 'claim_refund', {
+          userId: claim.user_id,
+          amount: claim.amount,
+          referenceType: 'claim',
+          referenceId: claim.id,
+          memo: message
+        });
+      }
+      return rowCount === 1;
+    });
+
+    if (!failed) {
+      this.leaseLost(claim);
+      return;
+    }
+
+    claimOutcomes.inc({ outcome: 'failed' });
+  }
+
+  async getBacklog() {
+    const { rows } = await db.query(`
+      SELECT
+        COUNT(CASE WHEN status = 'processing' THEN 1 END) as queued,
+        COUNT(CASE WHEN status = 'submitted' THEN 1 END) as submitted,
+        MIN(created_at) as oldest
+      FROM claims
+      WHERE status IN ('processing', 'submitted')
+    `);
+
+    return {
+      queued: parseInt(rows[0].queued) || 0,
+      submitted: parseInt(rows[0].submitted) || 0,
+      oldest: rows[0].oldest
+    };
+  }
+}
+
+module.exports = new PayoutWorker();
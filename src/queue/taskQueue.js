@@ -7,6 +7,16 @@
 const db = require('../utils/database');
 const config = require('../utils/config');
 const crypto = require('../utils/crypto');
+const activityFeed = require('../realtime/activityFeed');
+const ledger = require('../ledger/ledger');
+const rewardPolicy = require('../rewards/rewardPolicy');
+const emission = require('../rewards/emission');
+const referrals = require('../rewards/referrals');
+const metrics = require('../metrics/metrics');
+const logger = require('../utils/logger');
+
+const tasksTotal = metrics.counter('orius_tasks_total', 'Compute tasks by type and lifecycle stage', ['task_type', 'stage']);
+const canaryResults = metrics.counter('orius_canary_results_total', 'Canary task submissions by type and result', ['task_type', 'result']);
 
 class TaskQueue {
   constructor() {
@@ -24,7 +34,11 @@ class TaskQueue {
     const isCanary = Math.random() < config.CANARY_TASK_FREQUENCY;
     
     if (isCanary) {
-      return await this.getCanaryTask(capabilities);
+      const canary = await this.getCanaryTask(capabilities);
+      if (canary && canary.is_canary) {
+        logger.debug('Canary task assigned', { deviceId, taskUuid: canary.task_uuid, taskType: canary.task_type });
+      }
+      return canary;
     }
 
     return await this.getRegularTask(deviceId, capabilities);
@@ -64,7 +78,7 @@ class TaskQueue {
       const task = rows[0];
       
       const user = await client.query(
-        'SELECT id FROM users WHERE device_id = $1',
+        "SELECT user_id as id FROM devices WHERE device_id = $1 AND status = 'active'",
         [deviceId]
       );
       
@@ -85,7 +99,10 @@ class TaskQueue {
       
       await client.query('COMMIT');
       
-      const signature = crypto.signTaskManifest(task, process.env.SESSION_SECRET);
+      tasksTotal.inc({ task_type: task.task_type, stage: 'assigned' });
+      logger.debug('Task assigned', { deviceId, taskUuid: task.task_uuid, taskType: task.task_type });
+      
+      const signature = crypto.signTaskManifest(task, config.SESSION_SECRET);
       
       return {
         task_uuid: task.task_uuid,
@@ -103,7 +120,7 @@ class TaskQueue {
       
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Task fetch error:', error);
+      logger.error('Task fetch error', { error, deviceId });
       throw error;
     } finally {
       client.release();
@@ -143,6 +160,7 @@ class TaskQueue {
 
   async submitResult(deviceId, taskUuid, result, executionTimeMs) {
     const resultHash = crypto.hashResult(result);
+    logger.debug('Task result submitted', { deviceId, taskUuid, resultHash, executionTimeMs });
     
     const isCanary = taskUuid.startsWith('canary_');
     
@@ -161,7 +179,7 @@ class TaskQueue {
       
       const { rows: assignments } = await client.query(`
         SELECT ta.*, ct.expected_output_hash, ct.reward_credits, ct.redundancy_count,
-               u.id as user_id, u.wallet_address
+               ct.task_type, ct.difficulty, u.id as user_id, u.wallet_address
         FROM task_assignments ta
         JOIN compute_tasks ct ON ta.task_id = ct.id
         JOIN users u ON ta.user_id = u.id
@@ -196,6 +214,7 @@ class TaskQueue {
       
       let verified = false;
       let creditsAwarded = 0;
+      const provisional = emission.isEnabled();
       
       if (allResults.length > 0) {
         const topResult = allResults[0];
@@ -210,24 +229,56 @@ class TaskQueue {
         }
         
         if (verified) {
-          creditsAwarded = parseFloat(assignment.reward_credits);
+          const { rows: trust } = await client.query(
+            'SELECT trust_score FROM node_trust WHERE device_id = $1',
+            [deviceId]
+          );
+          
+          const reward = rewardPolicy.computeReward({
+            taskType: assignment.task_type,
+            difficulty: assignment.difficulty || 1,
+            trustScore: trust.length > 0 ? trust[0].trust_score : null
+          });
+          creditsAwarded = reward.amount;
           
           await client.query(`
             UPDATE task_assignments SET verified = true, credits_awarded = $1 WHERE id = $2
           `, [creditsAwarded, assignment.id]);
           
-          await client.query(`
-            UPDATE users 
-            SET total_compute_credits = total_compute_credits + $1,
-                claimable_balance = claimable_balance + $1,
-                total_earned = total_earned + $1
-            WHERE id = $2
-          `, [creditsAwarded, assignment.user_id]);
+          if (provisional) {
+            // Paid from the epoch's emission budget at settlement
+            if (creditsAwarded > 0) {
+              await emission.accrue(client, {
+                userId: assignment.user_id,
+                unitType: 'compute',
+                units: creditsAwarded,
+                deviceId,
+                taskId: assignment.task_id
+              });
+            }
+          } else {
+            const { rows: earning } = await client.query(`
+              INSERT INTO earnings (user_id, device_id, earned_amount, earning_type, task_id, policy_version, policy_epoch)
+              VALUES ($1, $2, $3, 'compute', $4, $5, $6)
+              RETURNING id
+            `, [assignment.user_id, deviceId, creditsAwarded, assignment.task_id, reward.version, reward.epoch]);
+            
+            if (creditsAwarded > 0) {
+              await ledger.post(client, 'compute_reward', {
+                userId: assignment.user_id,
+                amount: creditsAwarded,
+                referenceType: 'earning',
+                referenceId: earning[0].id
+              });
+            }
+          }
           
-          await client.query(`
-            INSERT INTO earnings (user_id, earned_amount, earning_type, task_id)
-            VALUES ($1, $2, 'compute', $3)
-          `, [assignment.user_id, creditsAwarded, assignment.task_id]);
+          await referrals.creditBonus(client, {
+            refereeId: assignment.user_id,
+            amount: creditsAwarded,
+            taskId: assignment.task_id,
+            provisional
+          });
           
           await this.updateTrustScore(client, deviceId, true);
         }
@@ -246,16 +297,31 @@ class TaskQueue {
       
       await client.query('COMMIT');
       
+      tasksTotal.inc({ task_type: assignment.task_type, stage: verified ? 'verified' : 'failed' });
+      logger.info(verified ? 'Task result verified' : 'Task result not verified', {
+        deviceId,
+        taskUuid,
+        taskType: assignment.task_type,
+        creditsAwarded,
+        provisional,
+        executionTimeMs
+      });
+      
+      if (verified) {
+        await activityFeed.recordTaskCompleted(assignment.wallet_address, assignment.task_type, creditsAwarded);
+      }
+      
       return {
         success: true,
         verified,
         credits_awarded: creditsAwarded,
+        provisional,
         result_hash: resultHash
       };
       
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Result processing error:', error);
+      logger.error('Result processing error', { error, deviceId, taskUuid });
       throw error;
     } finally {
       client.release();
@@ -313,6 +379,9 @@ class TaskQueue {
       
       await client.query('COMMIT');
       
+      canaryResults.inc({ task_type: canary.task_type, result: passed ? 'pass' : 'fail' });
+      logger.info(passed ? 'Canary passed' : 'Canary failed', { deviceId, taskUuid, taskType: canary.task_type });
+      
       return {
         success: true,
         verified: passed,
@@ -375,7 +444,7 @@ class TaskQueue {
 
   async registerNodeCapabilities(deviceId, capabilities) {
     const { rows: users } = await db.query(
-      'SELECT id FROM users WHERE device_id = $1',
+      "SELECT user_id as id FROM devices WHERE device_id = $1 AND status = 'active'",
       [deviceId]
     );
     
@@ -0,0 +1,117 @@
+/**
+ * Orius Compute Network - API Rate Limiter
+ * Token bucket limits per device, wallet and IP
+ * Developed by Orius Team
+ */
+
+const config = require('../utils/config');
+const { MemoryStore, PostgresStore } = require('./stores');
+
+// Device and wallet keys come only from an authenticated session or device signature; keying on what the
+// request claims would let anyone spend someone else's bucket. Before authentication they yield nothing.
+const KEY_EXTRACTORS = {
+  ip: (req) => req.ip,
+  device: (req) => req.device?.deviceId || req.auth?.deviceId,
+  wallet: (req) => req.auth?.walletAddress
+};
+
+class RateLimiter {
+  constructor() {
+    this.store = config.API_RATE_LIMIT_STORE === 'postgres' ? new PostgresStore() : new MemoryStore();
+  }
+
+  getPolicy(name) {
+    if (name === 'default') {
+      return {
+        max: config.API_RATE_LIMIT_MAX_REQUESTS,
+        windowMs: config.API_RATE_LIMIT_WINDOW_MS,
+        keys: ['ip']
+      };
+    }
+
+    const policy = config.API_RATE_LIMIT_POLICIES[name];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+    return policy;
+  }
+
+  // `maxPerKey` lets one key type allow more than `max`, e.g. an IP shared by several nodes
+  async check(name, req, keys = null) {
+    const policy = this.getPolicy(name);
+    let limiting = null;
+
+    for (const keyType of policy.keys) {
+      if (keys && !keys.includes(keyType)) continue;
+
+      const value = KEY_EXTRACTORS[keyType](req);
+      if (!value) continue;
+
+      const max = policy.maxPerKey?.[keyType] ?? policy.max;
+      const result = await this.store.take(`${name}:${keyType}:${value}`, max, max / policy.windowMs, 1);
+
+      if (!limiting || result.tokens / max < limiting.tokens / limiting.max || !result.allowed) {
+        limiting = { ...result, keyType, max };
+      }
+
+      if (!result.allowed) break;
+    }
+
+    const max = limiting ? limiting.max : policy.max;
+    const refillPerMs = max / policy.windowMs;
+    const tokens = limiting ? Math.max(0, limiting.tokens) : max;
+    const allowed = !limiting || limiting.allowed;
+
+    return {
+      allowed,
+      limit: max,
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((max - tokens) / refillPerMs / 1000),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000),
+      windowSeconds: Math.ceil(policy.windowMs / 1000),
+      keyType: limiting?.keyType
+    };
+  }
+
+  /**
+   * `keys` limits the middleware to some of the policy's keys, so a route can apply the IP part before
+   * authentication and the device and wallet parts after it. `skip(req)` bypasses the limit.
+   */
+  limit(name = 'default', { keys = null, skip = null } = {}) {
+    this.getPolicy(name);
+
+    return async (req, res, next) => {
+      if (skip && skip(req)) return next();
+
+      try {
+        const result = await this.check(name, req, keys);
+
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(result.resetSeconds));
+        res.set('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+
+        if (!result.allowed) {
+          res.set('Retry-After', String(result.retryAfterSeconds));
+          return res.status(429).json({
+            success: false,
+            error: 'Rate limited',
+            retryAfter: result.retryAfterSeconds
+          });
+        }
+
+        next();
+      } catch (error) {
+        // Fail open so a store outage does not take the API down with it
+        console.error('Rate limiter error:', error.message);
+        next();
+      }
+    };
+  }
+
+  async prune() {
+    return this.store.prune();
+  }
+}
+
+module.exports = new RateLimiter();
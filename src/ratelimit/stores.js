@@ -0,0 +1,79 @@
+/**
+ * Orius Compute Network - Rate Limit Stores
+ * Token bucket storage backends (in-memory and PostgreSQL)
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+    this.pruneTimer = setInterval(() => this.prune(), 60000);
+    this.pruneTimer.unref();
+  }
+
+  async take(key, capacity, refillPerMs, cost) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    const allowed = tokens >= cost;
+
+    bucket.tokens = allowed ? tokens - cost : tokens;
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    bucket.refillPerMs = refillPerMs;
+    this.buckets.set(key, bucket);
+
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, bucket] of this.buckets) {
+      const refilled = bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs;
+      if (refilled >= bucket.capacity) {
+        this.buckets.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+// Shares counters between server replicas through the rate_limit_buckets table
+class PostgresStore {
+  async take(key, capacity, refillPerMs, cost) {
+    const { rows } = await db.query(`
+      INSERT INTO rate_limit_buckets (bucket_key, tokens, last_allowed, updated_at)
+      VALUES ($1, $2::double precision - $4::double precision, $2::double precision >= $4::double precision, NOW())
+      ON CONFLICT (bucket_key) DO UPDATE SET
+        tokens = CASE
+          WHEN LEAST($2, rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (NOW() - rate_limit_buckets.updated_at)) * 1000 * $3) >= $4
+          THEN LEAST($2, rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (NOW() - rate_limit_buckets.updated_at)) * 1000 * $3) - $4
+          ELSE LEAST($2, rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (NOW() - rate_limit_buckets.updated_at)) * 1000 * $3)
+        END,
+        last_allowed = LEAST($2, rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (NOW() - rate_limit_buckets.updated_at)) * 1000 * $3) >= $4,
+        updated_at = NOW()
+      RETURNING tokens, last_allowed
+    `, [key, capacity, refillPerMs, cost]);
+
+    return { allowed: rows[0].last_allowed, tokens: parseFloat(rows[0].tokens) };
+  }
+
+  async prune() {
+    const result = await db.query(
+      `DELETE FROM rate_limit_buckets WHERE updated_at < NOW() - INTERVAL '1 day'`
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  PostgresStore
+};
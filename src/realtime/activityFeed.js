@@ -0,0 +1,217 @@
+/**
+ * Orius Compute Network - Activity Feed
+ * Server-Sent Events stream with Last-Event-ID resume
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+function maskWallet(walletAddress) {
+  if (!walletAddress) return null;
+  return walletAddress.slice(0, 4) + '...' + walletAddress.slice(-4);
+}
+
+class ActivityFeed {
+  constructor() {
+    this.clients = new Set();
+    this.lastId = 0;
+    this.recent = new Map(); // id -> when poll delivered it, kept while the id can still be re-read
+    this.timers = [];
+    this.polling = false;
+  }
+
+  async start() {
+    const { rows } = await db.query('SELECT COALESCE(MAX(id), 0) as last_id FROM activity_events');
+    this.lastId = parseInt(rows[0].last_id);
+
+    this.timers.push(setInterval(() => this.poll(), config.FEED_POLL_INTERVAL_MS));
+    this.timers.push(setInterval(() => this.broadcastStats(), config.FEED_STATS_INTERVAL_MS));
+    this.timers.push(setInterval(() => this.keepAlive(), config.FEED_KEEPALIVE_INTERVAL_MS));
+    this.timers.push(setInterval(() => this.prune().catch(err => {
+      logger.warn('Feed prune failed', { error: err });
+    }), 600000));
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  async record(eventType, payload) {
+    try {
+      await db.query(
+        'INSERT INTO activity_events (event_type, payload) VALUES ($1, $2)',
+        [eventType, JSON.stringify(payload)]
+      );
+    } catch (error) {
+      logger.warn('Feed record failed', { eventType, error });
+    }
+  }
+
+  recordTaskCompleted(walletAddress, taskType, amount) {
+    return this.record('task_completed', { taskType, amount, wallet: maskWallet(walletAddress) });
+  }
+
+  recordClaimCompleted(walletAddress, amount) {
+    return this.record('claim_completed', { taskType: 'claim', amount, wallet: maskWallet(walletAddress) });
+  }
+
+  recordNodeOnline(walletAddress) {
+    return this.record('node_online', { wallet: maskWallet(walletAddress) });
+  }
+
+  /**
+   * Every replica tails the shared table, so events reach clients whichever replica recorded them. Ids are
+   * taken at insert but only become visible at commit, so a lower id can show up after higher ones were
+   * sent. Each poll therefore also re-reads the last FEED_LATE_COMMIT_WINDOW_MS of events and sends the
+   * ones not delivered yet.
+   */
+  async poll() {
+    if (this.polling) return;
+
+    this.polling = true;
+    try {
+      const now = Date.now();
+      this.forgetDelivered(this.recent, now);
+      for (const client of this.clients) {
+        this.forgetDelivered(client.replayed, now);
+      }
+
+      const { rows } = await db.query(`
+        SELECT id, event_type, payload, created_at
+        FROM activity_events
+        WHERE (id > $1 OR created_at > NOW() - ($2 || ' milliseconds')::interval)
+          AND NOT (id = ANY($3::bigint[]))
+        ORDER BY id
+        LIMIT $4
+      `, [this.lastId, config.FEED_LATE_COMMIT_WINDOW_MS, [...this.recent.keys()], config.FEED_REPLAY_LIMIT]);
+
+      for (const event of rows) {
+        const id = parseInt(event.id);
+        this.recent.set(id, now);
+        this.lastId = Math.max(this.lastId, id);
+
+        for (const client of this.clients) {
+          if (client.replayed.delete(id)) continue;
+          this.writeEvent(client.res, event);
+        }
+      }
+    } catch (error) {
+      logger.warn('Feed poll failed', { error });
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // An id older than twice the window can no longer come back from the late-commit re-read
+  forgetDelivered(delivered, now) {
+    for (const [id, at] of delivered) {
+      if (now - at > 2 * config.FEED_LATE_COMMIT_WINDOW_MS) delivered.delete(id);
+    }
+  }
+
+  async getLiveStats() {
+    const { rows } = await db.query(`
+      SELECT
+        COUNT(CASE WHEN status = 'active' AND last_seen_at > NOW() - INTERVAL '2 minutes' THEN 1 END) as active_nodes,
+        (SELECT COUNT(*) FROM compute_tasks WHERE status = 'pending') as pending_tasks,
+        (SELECT COUNT(*) FROM task_assignments WHERE completed_at > NOW() - INTERVAL '5 minutes') as recent_completions
+      FROM devices
+    `);
+
+    return {
+      activeNodes: parseInt(rows[0].active_nodes) || 0,
+      pendingTasks: parseInt(rows[0].pending_tasks) || 0,
+      recentCompletions: parseInt(rows[0].recent_completions) || 0
+    };
+  }
+
+  async broadcastStats() {
+    if (this.clients.size === 0) return;
+
+    try {
+      const stats = await this.getLiveStats();
+      for (const client of this.clients) {
+        this.writeStats(client.res, stats);
+      }
+    } catch (error) {
+      logger.warn('Feed stats failed', { error });
+    }
+  }
+
+  keepAlive() {
+    for (const client of this.clients) {
+      client.res.write(': ping\n\n');
+    }
+  }
+
+  writeEvent(res, event) {
+    const data = {
+      ...event.payload,
+      type: event.event_type,
+      timestamp: event.created_at
+    };
+    res.write(`id: ${event.id}\nevent: ${event.event_type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  writeStats(res, stats) {
+    res.write(`event: stats\ndata: ${JSON.stringify({ ...stats, timestamp: new Date().toISOString() })}\n\n`);
+  }
+
+  async subscribe(req, res) {
+    const header = req.get('Last-Event-ID') || req.query.lastEventId;
+    const lastEventId = /^\d+$/.test(header || '') ? parseInt(header) : null;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.FEED_RETRY_MS}\n\n`);
+
+    // Events the replay sends before poll has seen them, so poll does not send them to this client again
+    const replayed = new Map();
+    let cursor = lastEventId !== null ? lastEventId : this.lastId;
+    while (cursor < this.lastId) {
+      const upTo = this.lastId;
+      const { rows } = await db.query(`
+        SELECT id, event_type, payload, created_at
+        FROM activity_events
+        WHERE id > $1 AND id <= $2
+        ORDER BY id
+        LIMIT $3
+      `, [cursor, upTo, config.FEED_REPLAY_LIMIT]);
+
+      rows.forEach(event => {
+        this.writeEvent(res, event);
+        if (!this.recent.has(parseInt(event.id))) replayed.set(parseInt(event.id), Date.now());
+      });
+      cursor = rows.length === config.FEED_REPLAY_LIMIT ? parseInt(rows[rows.length - 1].id) : upTo;
+    }
+
+    const client = { res, replayed };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+
+    this.writeStats(res, await this.getLiveStats());
+  }
+
+  async prune() {
+    const result = await db.query(`
+      DELETE FROM activity_events
+      WHERE id <= (SELECT COALESCE(MAX(id), 0) FROM activity_events) - $1
+    `, [config.FEED_EVENT_LOG_MAX]);
+    return result.rowCount;
+  }
+}
+
+module.exports = new ActivityFeed();
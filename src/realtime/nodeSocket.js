@@ -0,0 +1,319 @@
+/**
+ * Orius Compute Network - Node WebSocket Channel
+ * Pushes tasks to subscribed nodes and receives results and heartbeats
+ * Developed by Orius Team
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../utils/config');
+const taskQueue = require('../queue/taskQueue');
+const taskGenerator = require('../compute/taskGenerator');
+const verifier = require('../verification/verifier');
+const deviceAuth = require('../auth/deviceAuth');
+const devices = require('../devices/devices');
+const activityFeed = require('./activityFeed');
+const validator = require('../api/validation');
+const metrics = require('../metrics/metrics');
+const logger = require('../utils/logger');
+
+class NodeSocketServer {
+  constructor() {
+    this.wss = null;
+    this.nodes = new Map();
+    this.pingTimer = null;
+    this.dispatchTimer = null;
+    this.dispatching = false;
+    this.draining = null;
+    this.pendingResults = new Set();
+
+    metrics.gauge('orius_ws_connected_nodes', 'Nodes connected to the task push channel', [], () => [
+      [{}, this.nodes.size]
+    ]);
+  }
+
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: config.WS_MAX_PAYLOAD_BYTES });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      // Nothing else upgrades connections, so any other path would otherwise hold the socket open
+      if (url.pathname !== config.WS_PATH) {
+        socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      this.authenticate(url.searchParams).then(result => {
+        if (result.error) {
+          socket.write(`HTTP/1.1 ${result.status} Unauthorized\r\nConnection: close\r\n\r\n`);
+          socket.destroy();
+          return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => this.onConnection(ws, result.deviceId));
+      }).catch(error => {
+        logger.error('WebSocket auth error', { error });
+        socket.destroy();
+      });
+    });
+
+    this.pingTimer = setInterval(() => this.pingNodes(), config.WS_HEARTBEAT_INTERVAL);
+    this.dispatchTimer = setInterval(() => this.dispatchToIdleNodes(), config.WS_DISPATCH_INTERVAL_MS);
+    taskGenerator.events.on('tasksGenerated', () => this.dispatchToIdleNodes());
+
+    logger.info('Node WebSocket channel listening', { path: config.WS_PATH });
+  }
+
+  async authenticate(params) {
+    const deviceId = params.get('deviceId');
+
+    const result = await deviceAuth.verifySignature({
+      deviceId,
+      method: 'GET',
+      path: config.WS_PATH,
+      body: '',
+      timestamp: params.get('timestamp'),
+      nonce: params.get('nonce'),
+      signature: params.get('signature')
+    });
+
+    if (result.error) return result;
+
+    if (await verifier.isNodeBanned(deviceId)) {
+      return { status: 403, error: 'Node is banned' };
+    }
+
+    return result;
+  }
+
+  onConnection(ws, deviceId) {
+    const existing = this.nodes.get(deviceId);
+    if (existing) {
+      existing.ws.close(4000, 'Replaced by new connection');
+    }
+
+    const node = {
+      ws,
+      deviceId,
+      capabilities: null,
+      idle: false,
+      busy: false,
+      pongTimer: null
+    };
+    this.nodes.set(deviceId, node);
+
+    ws.on('pong', () => {
+      clearTimeout(node.pongTimer);
+      node.pongTimer = null;
+    });
+
+    ws.on('message', (data) => {
+      this.onMessage(node, data).catch(error => {
+        logger.error('WebSocket message error', { deviceId: node.deviceId, error });
+        this.send(node, { type: 'error', error: 'Message handling failed' });
+      });
+    });
+
+    ws.on('close', () => {
+      clearTimeout(node.pongTimer);
+      if (this.nodes.get(deviceId) === node) {
+        this.nodes.delete(deviceId);
+      }
+    });
+
+    ws.on('error', (error) => {
+      logger.warn('WebSocket error', { deviceId, error });
+    });
+
+    this.send(node, { type: 'welcome', heartbeatInterval: config.WS_HEARTBEAT_INTERVAL });
+    if (this.draining) {
+      this.send(node, { type: 'drain', retryAfterMs: this.draining.retryAfterMs });
+    }
+    this.recordOnline(deviceId).catch(error => {
+      logger.warn('Node online record failed', { deviceId, error });
+    });
+  }
+
+  async recordOnline(deviceId) {
+    const device = await devices.findActive(deviceId);
+    if (!device) return;
+
+    const lastSeen = device.last_seen_at ? new Date(device.last_seen_at) : null;
+    if (!lastSeen || Date.now() - lastSeen > config.NODE_OFFLINE_AFTER_MS) {
+      await activityFeed.recordNodeOnline(device.wallet_address);
+    }
+  }
+
+  async onMessage(node, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(node, { type: 'error', error: 'Invalid JSON' });
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        node.capabilities = message.capabilities || null;
+        node.idle = true;
+        return this.dispatchTo(node);
+
+      case 'ready':
+        node.idle = true;
+        return this.dispatchTo(node);
+
+      case 'result': {
+        const pending = this.handleResult(node, message);
+        this.pendingResults.add(pending);
+        try {
+          return await pending;
+        } finally {
+          this.pendingResults.delete(pending);
+        }
+      }
+
+      case 'heartbeat':
+        await devices.touch(node.deviceId);
+        return this.send(node, { type: 'heartbeat_ack', timestamp: Date.now() });
+
+      default:
+        return this.send(node, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  async handleResult(node, message) {
+    const { taskUuid, result, executionTimeMs } = message;
+
+    if (!taskUuid || result === undefined) {
+      return this.send(node, { type: 'result_ack', taskUuid, success: false, error: 'Missing required fields' });
+    }
+
+    const fields = validator.checkSchema('TaskResult', result, 'result');
+    if (fields.length > 0) {
+      return this.send(node, { type: 'result_ack', taskUuid, success: false, error: 'Invalid result', fields });
+    }
+
+    const timeCheck = await verifier.verifyExecutionTime(
+      result.task_type || 'unknown',
+      executionTimeMs,
+      result.difficulty || 1
+    );
+
+    if (!timeCheck.valid) {
+      return this.send(node, { type: 'result_ack', taskUuid, success: false, error: timeCheck.reason });
+    }
+
+    const submission = await taskQueue.submitResult(node.deviceId, taskUuid, result, executionTimeMs);
+    this.send(node, { type: 'result_ack', taskUuid, ...submission });
+  }
+
+  async dispatchTo(node) {
+    if (this.draining || !node.idle || node.busy || node.ws.readyState !== WebSocket.OPEN) return;
+
+    node.busy = true;
+    try {
+      const task = await taskQueue.getNextTask(node.deviceId, node.capabilities);
+
+      if (task && task.error) {
+        node.idle = false;
+        this.send(node, { type: 'error', error: task.error });
+        return;
+      }
+
+      if (task) {
+        node.idle = false;
+        this.send(node, { type: 'task', task });
+      }
+    } finally {
+      node.busy = false;
+    }
+  }
+
+  async dispatchToIdleNodes() {
+    if (this.dispatching) return;
+
+    this.dispatching = true;
+    try {
+      for (const node of this.nodes.values()) {
+        if (node.idle) {
+          await this.dispatchTo(node).catch(error => {
+            logger.error('Task dispatch error', { deviceId: node.deviceId, error });
+          });
+        }
+      }
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  pingNodes() {
+    for (const node of this.nodes.values()) {
+      if (node.pongTimer) continue;
+
+      node.pongTimer = setTimeout(() => {
+        logger.info('WebSocket ping timeout', { deviceId: node.deviceId });
+        node.ws.terminate();
+      }, config.WS_PING_TIMEOUT);
+
+      node.ws.ping();
+    }
+  }
+
+  send(node, message) {
+    if (node.ws.readyState === WebSocket.OPEN) {
+      node.ws.send(JSON.stringify(message));
+    }
+  }
+
+  broadcast(message) {
+    for (const node of this.nodes.values()) {
+      this.send(node, message);
+    }
+  }
+
+  disconnect(deviceId, reason) {
+    const node = this.nodes.get(deviceId);
+    if (!node) return false;
+
+    this.send(node, { type: 'error', error: reason });
+    node.ws.close(4003, reason);
+    return true;
+  }
+
+  /**
+   * Stops pushing tasks and tells nodes to back off. Nodes stay connected and can still submit results
+   * for tasks they hold; resolves once the submissions in progress have been handled.
+   */
+  drain(retryAfterMs) {
+    this.draining = { retryAfterMs };
+    this.broadcast({ type: 'drain', retryAfterMs });
+    return Promise.allSettled([...this.pendingResults]);
+  }
+
+  // Idle nodes kept sending 'ready' while draining, so they are picked up by the sweep
+  resume() {
+    this.draining = null;
+    this.broadcast({ type: 'resume' });
+    this.dispatchToIdleNodes();
+  }
+
+  close() {
+    clearInterval(this.pingTimer);
+    clearInterval(this.dispatchTimer);
+    for (const node of this.nodes.values()) {
+      clearTimeout(node.pongTimer);
+      node.ws.close(1001, 'Server shutting down');
+    }
+    if (this.wss) this.wss.close();
+  }
+
+  getStats() {
+    let idle = 0;
+    for (const node of this.nodes.values()) {
+      if (node.idle) idle++;
+    }
+    return { connected: this.nodes.size, idle };
+  }
+}
+
+module.exports = new NodeSocketServer();
@@ -0,0 +1,152 @@
+/**
+ * Orius Compute Network - Earnings History
+ * Filtered, paginated earnings with task and claim linkage, in pages or streamed in batches
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const { csvRow } = require('../utils/streaming');
+
+const STREAM_BATCH_SIZE = 1000;
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'earning_type', 'amount', 'task_uuid', 'device_id',
+  'claim_id', 'claim_status', 'policy_version', 'policy_epoch', 'emission_epoch_id'
+];
+
+function formatEarning(row, claim) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    type: row.earning_type,
+    amount: parseFloat(row.earned_amount),
+    taskUuid: row.task_uuid || null,
+    deviceId: row.device_id || null,
+    onlineSeconds: row.online_seconds || 0,
+    policyVersion: row.policy_version || null,
+    policyEpoch: row.policy_epoch || null,
+    emissionEpochId: row.emission_epoch_id || null,
+    claim: claim ? { id: claim.id, status: claim.status } : null
+  };
+}
+
+class EarningsHistory {
+  // Claims that still count (not failed), with the running total each one brings the wallet's payouts to
+  async getClaimTotals(userId) {
+    const { rows } = await db.query(`
+      SELECT id, status, SUM(amount) OVER (ORDER BY id) as claimed_through
+      FROM claims
+      WHERE user_id = $1 AND status <> 'failed'
+      ORDER BY id
+    `, [userId]);
+
+    return rows.map(row => ({ id: row.id, status: row.status, claimedThrough: parseFloat(row.claimed_through) }));
+  }
+
+  /**
+   * Earnings are paid out first in, first out: an earning belongs to the first claim whose running total
+   * covers the running total of earnings up to and including it. Unclaimed earnings have no claim.
+   */
+  linkClaim(claims, earnedThrough) {
+    let low = 0;
+    let high = claims.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (claims[mid].claimedThrough + 1e-6 >= earnedThrough) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return claims[low] || null;
+  }
+
+  filterClause(offset) {
+    return `
+      ($${offset}::timestamp IS NULL OR h.created_at >= $${offset})
+      AND ($${offset + 1}::timestamp IS NULL OR h.created_at < $${offset + 1})
+      AND ($${offset + 2}::text[] IS NULL OR h.earning_type = ANY($${offset + 2}))
+    `;
+  }
+
+  filterParams({ from = null, to = null, types = null }) {
+    return [from, to, types && types.length > 0 ? types : null];
+  }
+
+  // Newest first; pass the last id of a page as `before` for the next one
+  async getPage(userId, filters = {}, { limit = 50, before = null } = {}) {
+    const claims = await this.getClaimTotals(userId);
+
+    const { rows } = await db.query(`
+      SELECT h.*, ct.task_uuid
+      FROM (
+        SELECT e.*, SUM(e.earned_amount) OVER (ORDER BY e.id) as earned_through
+        FROM earnings e
+        WHERE e.user_id = $1
+      ) h
+      LEFT JOIN compute_tasks ct ON ct.id = h.task_id
+      WHERE ($2::int IS NULL OR h.id < $2) AND ${this.filterClause(4)}
+      ORDER BY h.id DESC
+      LIMIT $3
+    `, [userId, before, limit, ...this.filterParams(filters)]);
+
+    return rows.map(row => formatEarning(row, this.linkClaim(claims, parseFloat(row.earned_through))));
+  }
+
+  /**
+   * Oldest first, in batches, so exports of any size stay in bounded memory. The running total carries over
+   * from the last row of the previous batch; rows the filters skip still count toward it.
+   * onBatch may return false to stop early (e.g. the client went away).
+   */
+  async each(userId, filters, onBatch) {
+    const claims = await this.getClaimTotals(userId);
+    let after = 0;
+    let carried = 0;
+
+    for (;;) {
+      const { rows } = await db.query(`
+        SELECT h.*, ct.task_uuid
+        FROM (
+          SELECT e.*, $3::numeric + SUM(e.earned_amount) OVER (ORDER BY e.id) as earned_through
+          FROM earnings e
+          WHERE e.user_id = $1 AND e.id > $2
+        ) h
+        LEFT JOIN compute_tasks ct ON ct.id = h.task_id
+        WHERE ${this.filterClause(5)}
+        ORDER BY h.id
+        LIMIT $4
+      `, [userId, after, carried, STREAM_BATCH_SIZE, ...this.filterParams(filters)]);
+
+      if (rows.length === 0) return;
+
+      const last = rows[rows.length - 1];
+      after = last.id;
+      carried = last.earned_through;
+
+      const batch = rows.map(row => formatEarning(row, this.linkClaim(claims, parseFloat(row.earned_through))));
+      if (await onBatch(batch) === false || rows.length < STREAM_BATCH_SIZE) return;
+    }
+  }
+
+  toCsvHeader() {
+    return CSV_COLUMNS.join(',') + '\n';
+  }
+
+  toCsvRow(earning) {
+    return csvRow([
+      earning.id,
+      earning.createdAt,
+      earning.type,
+      earning.amount,
+      earning.taskUuid,
+      earning.deviceId,
+      earning.claim ? earning.claim.id : null,
+      earning.claim ? earning.claim.status : null,
+      earning.policyVersion,
+      earning.policyEpoch,
+      earning.emissionEpochId
+    ]);
+  }
+}
+
+module.exports = new EarningsHistory();
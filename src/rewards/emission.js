@@ -0,0 +1,338 @@
+/**
+ * Orius Compute Network - Emission Budget
+ * Work units accrue per emission epoch; the epoch budget is settled pro-rata when it closes
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+const ledger = require('../ledger/ledger');
+const rewardPolicy = require('./rewardPolicy');
+const logger = require('../utils/logger');
+
+// How each kind of work unit is paid at settlement
+const UNIT_TYPES = {
+  online: { earningType: 'online_time', entryType: 'online_reward' },
+  compute: { earningType: 'compute', entryType: 'compute_reward' },
+  referral: { earningType: 'bonus', entryType: 'referral_bonus' }
+};
+
+class EmissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmissionError';
+  }
+}
+
+// Rounds down so the sum of shares never exceeds the budget
+function floor6(amount) {
+  return Math.floor(amount * 1e6) / 1e6;
+}
+
+function formatEpoch(row) {
+  return {
+    id: row.id,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    status: row.status,
+    final: row.status === 'settled',
+    budget: parseFloat(row.budget),
+    maxRatePerUnit: row.max_rate_per_unit !== null ? parseFloat(row.max_rate_per_unit) : null,
+    policyVersion: row.policy_version,
+    policyEpoch: row.policy_epoch,
+    settledAt: row.settled_at || null
+  };
+}
+
+class Emission {
+  constructor() {
+    this.timer = null;
+    this.current = null;
+    this.epochIds = new Map();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.settleDue().catch(error => {
+        logger.error('Emission settlement error', { error });
+      });
+    }, config.EMISSION_SETTLE_INTERVAL_MS);
+    logger.info('Emission settlement scheduled', { intervalMs: config.EMISSION_SETTLE_INTERVAL_MS });
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.current) {
+      await this.current.catch(() => {});
+    }
+  }
+
+  isEnabled(at = new Date()) {
+    return !!rewardPolicy.epochAt(at).emission;
+  }
+
+  // Emission epochs are fixed-length windows aligned to the Unix epoch (UTC midnight for daily ones)
+  window(at = new Date()) {
+    const schedule = rewardPolicy.epochAt(at);
+    const length = schedule.emission.epochSeconds * 1000;
+    const start = Math.floor(new Date(at).getTime() / length) * length;
+
+    return {
+      startsAt: new Date(start),
+      endsAt: new Date(start + length),
+      schedule
+    };
+  }
+
+  async epochFor(client, at = new Date()) {
+    const { startsAt, endsAt, schedule } = this.window(at);
+    const key = startsAt.getTime();
+    if (this.epochIds.has(key)) return this.epochIds.get(key);
+
+    const { rows } = await client.query(`
+      INSERT INTO emission_epochs (starts_at, ends_at, budget, max_rate_per_unit, policy_version, policy_epoch)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (starts_at) DO UPDATE SET starts_at = EXCLUDED.starts_at
+      RETURNING id
+    `, [
+      startsAt,
+      endsAt,
+      schedule.emission.budget,
+      schedule.emission.maxRatePerUnit ?? null,
+      rewardPolicy.version,
+      schedule.id
+    ]);
+
+    this.epochIds.set(key, rows[0].id);
+    for (const cached of this.epochIds.keys()) {
+      if (cached < key) this.epochIds.delete(cached);
+    }
+    return rows[0].id;
+  }
+
+  /**
+   * Records work units for the open epoch inside the caller's transaction.
+   * The share lock makes settlement wait for in-flight accruals; returns null once the epoch is settled.
+   */
+  async accrue(client, { userId, unitType, units, deviceId = null, taskId = null, at = new Date() }) {
+    const epochId = await this.epochFor(client, at);
+
+    const { rows } = await client.query(
+      'SELECT status FROM emission_epochs WHERE id = $1 FOR SHARE',
+      [epochId]
+    );
+    if (rows[0].status !== 'open') {
+      logger.warn('Emission epoch already settled, units dropped', { epochId, units, unitType });
+      return null;
+    }
+
+    await client.query(`
+      INSERT INTO work_units (epoch_id, user_id, unit_type, units, device_id, task_id, policy_version)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [epochId, userId, unitType, units, deviceId, taskId, rewardPolicy.version]);
+
+    return { epochId, units };
+  }
+
+  async getUnitsSince(userId, since, deviceId = null) {
+    const { rows } = await db.query(`
+      SELECT COALESCE(SUM(units), 0) as total FROM work_units
+      WHERE user_id = $1 AND created_at >= $2 AND ($3::text IS NULL OR device_id = $3)
+    `, [userId, since, deviceId]);
+    return parseFloat(rows[0].total) || 0;
+  }
+
+  rateFor(epoch, totalUnits) {
+    if (totalUnits <= 0) return 0;
+    const rate = parseFloat(epoch.budget) / totalUnits;
+    return epoch.max_rate_per_unit !== null ? Math.min(rate, parseFloat(epoch.max_rate_per_unit)) : rate;
+  }
+
+  async settleDue() {
+    if (this.current) return this.current;
+
+    this.current = (async () => {
+      const { rows } = await db.query(`
+        SELECT id FROM emission_epochs
+        WHERE status = 'open' AND ends_at <= NOW() - ($1 || ' milliseconds')::interval
+        ORDER BY starts_at
+      `, [config.EMISSION_SETTLE_GRACE_MS]);
+
+      for (const { id } of rows) {
+        const epoch = await this.settle(id);
+        logger.info('Emission epoch settled', {
+          epochId: id,
+          distributed: epoch.distributed,
+          budget: epoch.budget,
+          participants: epoch.participants
+        });
+      }
+    })().finally(() => {
+      this.current = null;
+    });
+    return this.current;
+  }
+
+  /**
+   * Pays each wallet budget * units / total (capped at maxRatePerUnit) into earnings and the ledger.
+   * Idempotent: a settled epoch is returned as is, and earnings are unique per epoch, wallet, type and device.
+   * Returns null for an unknown epoch.
+   */
+  async settle(epochId) {
+    const found = await db.transaction(async (client) => {
+      const { rows } = await client.query('SELECT * FROM emission_epochs WHERE id = $1 FOR UPDATE', [epochId]);
+      const epoch = rows[0];
+      if (!epoch) return false;
+      if (epoch.status === 'settled') return true;
+
+      if (new Date(epoch.ends_at) > new Date()) {
+        throw new EmissionError('Emission epoch has not ended yet');
+      }
+
+      const { rows: totals } = await client.query(`
+        SELECT user_id, unit_type, device_id, SUM(units) as units
+        FROM work_units
+        WHERE epoch_id = $1
+        GROUP BY user_id, unit_type, device_id
+        ORDER BY user_id, unit_type, device_id
+      `, [epochId]);
+
+      const totalUnits = totals.reduce((sum, row) => sum + parseFloat(row.units), 0);
+      const rate = this.rateFor(epoch, totalUnits);
+      let distributed = 0;
+
+      for (const row of totals) {
+        const amount = floor6(parseFloat(row.units) * rate);
+        if (amount <= 0) continue;
+
+        const { earningType, entryType } = UNIT_TYPES[row.unit_type];
+        const { rows: earning } = await client.query(`
+          INSERT INTO earnings (user_id, earned_amount, earning_type, policy_version, policy_epoch, emission_epoch_id, device_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          ON CONFLICT (emission_epoch_id, user_id, earning_type, (COALESCE(device_id, ''))) WHERE emission_epoch_id IS NOT NULL DO NOTHING
+          RETURNING id
+        `, [row.user_id, amount, earningType, epoch.policy_version, epoch.policy_epoch, epochId, row.device_id]);
+
+        if (earning.length === 0) continue;
+
+        await ledger.post(client, entryType, {
+          userId: row.user_id,
+          amount,
+          referenceType: 'earning',
+          referenceId: earning[0].id,
+          memo: `Emission epoch ${epochId}`
+        });
+        distributed += amount;
+      }
+
+      await client.query(`
+        UPDATE emission_epochs
+        SET status = 'settled', total_units = $2, rate_per_unit = $3, distributed = $4, settled_at = NOW()
+        WHERE id = $1
+      `, [epochId, totalUnits, rate, floor6(distributed)]);
+      return true;
+    });
+
+    return found ? this.getEpoch(epochId) : null;
+  }
+
+  // Provisional figures for an open epoch, final ones once settled; null epochId means the current window
+  async getEpoch(epochId = null, walletAddress = null) {
+    let row;
+    if (epochId === null) {
+      const { startsAt } = this.window();
+      ({ rows: [row] } = await db.query('SELECT * FROM emission_epochs WHERE starts_at = $1', [startsAt]));
+
+      if (!row) {
+        const { endsAt, schedule } = this.window();
+        row = {
+          id: null,
+          starts_at: startsAt,
+          ends_at: endsAt,
+          status: 'open',
+          budget: schedule.emission.budget,
+          max_rate_per_unit: schedule.emission.maxRatePerUnit ?? null,
+          policy_version: rewardPolicy.version,
+          policy_epoch: schedule.id
+        };
+      }
+    } else {
+      ({ rows: [row] } = await db.query('SELECT * FROM emission_epochs WHERE id = $1', [epochId]));
+      if (!row) return null;
+    }
+
+    const { rows: totals } = await db.query(`
+      SELECT COALESCE(SUM(units), 0) as units, COUNT(DISTINCT user_id) as participants
+      FROM work_units WHERE epoch_id = $1
+    `, [row.id]);
+
+    const totalUnits = parseFloat(totals[0].units);
+    const settled = row.status === 'settled';
+    const rate = settled ? parseFloat(row.rate_per_unit) : this.rateFor(row, totalUnits);
+
+    const epoch = {
+      ...formatEpoch(row),
+      totalUnits,
+      participants: parseInt(totals[0].participants),
+      ratePerUnit: rate,
+      distributed: settled ? parseFloat(row.distributed) : floor6(totalUnits * rate)
+    };
+
+    if (walletAddress) {
+      epoch.wallet = await this.getWalletShare(row, walletAddress, rate);
+    }
+
+    return epoch;
+  }
+
+  async getWalletShare(row, walletAddress, rate) {
+    const { rows } = await db.query(`
+      SELECT
+        COALESCE(SUM(CASE WHEN wu.unit_type = 'online' THEN wu.units END), 0) as online_units,
+        COALESCE(SUM(CASE WHEN wu.unit_type = 'compute' THEN wu.units END), 0) as compute_units,
+        COALESCE(SUM(CASE WHEN wu.unit_type = 'referral' THEN wu.units END), 0) as referral_units
+      FROM users u
+      LEFT JOIN work_units wu ON wu.user_id = u.id AND wu.epoch_id = $2
+      WHERE u.wallet_address = $1
+    `, [walletAddress, row.id]);
+
+    const units = parseFloat(rows[0].online_units) + parseFloat(rows[0].compute_units) + parseFloat(rows[0].referral_units);
+    let amount = floor6(units * rate);
+
+    if (row.status === 'settled') {
+      const { rows: paid } = await db.query(`
+        SELECT COALESCE(SUM(e.earned_amount), 0) as amount
+        FROM earnings e JOIN users u ON u.id = e.user_id
+        WHERE u.wallet_address = $1 AND e.emission_epoch_id = $2
+      `, [walletAddress, row.id]);
+      amount = parseFloat(paid[0].amount);
+    }
+
+    return {
+      address: walletAddress,
+      onlineUnits: parseFloat(rows[0].online_units),
+      computeUnits: parseFloat(rows[0].compute_units),
+      referralUnits: parseFloat(rows[0].referral_units),
+      amount
+    };
+  }
+
+  async listEpochs(limit = 30) {
+    const { rows } = await db.query(`
+      SELECT * FROM emission_epochs ORDER BY starts_at DESC LIMIT $1
+    `, [limit]);
+
+    return rows.map(row => ({
+      ...formatEpoch(row),
+      totalUnits: row.total_units !== null ? parseFloat(row.total_units) : null,
+      ratePerUnit: row.rate_per_unit !== null ? parseFloat(row.rate_per_unit) : null,
+      distributed: row.distributed !== null ? parseFloat(row.distributed) : null
+    }));
+  }
+}
+
+module.exports = new Emission();
+module.exports.EmissionError = EmissionError;
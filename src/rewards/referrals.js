@@ -0,0 +1,191 @@
+/**
+ * Orius Compute Network - Referrals
+ * Wallet referral codes, attribution at registration and bonus shares of referee compute rewards
+ * Developed by Orius Team
+ */
+
+const crypto = require('crypto');
+const db = require('../utils/database');
+const ledger = require('../ledger/ledger');
+const rewardPolicy = require('./rewardPolicy');
+const emission = require('./emission');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const CODE_LENGTH = 8;
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+function maskWallet(wallet) {
+  return wallet.slice(0, 4) + '...' + wallet.slice(-4);
+}
+
+class Referrals {
+  // Codes are issued on first use; retried on the rare collision
+  async ensureCode(userId) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const { rows } = await db.query(`
+          UPDATE users SET referral_code = COALESCE(referral_code, $2)
+          WHERE id = $1
+          RETURNING referral_code
+        `, [userId, generateCode()]);
+        return rows.length > 0 ? rows[0].referral_code : null;
+      } catch (error) {
+        if (error.code !== '23505') throw error;
+      }
+    }
+    throw new Error('Could not allocate a referral code');
+  }
+
+  /**
+   * Links a newly registered wallet to the owner of a referral code.
+   * Referrals from the same wallet, device fingerprint or IP are recorded as rejected and never earn a bonus.
+   */
+  async attribute(client, { refereeId, code, ip, fingerprint }) {
+    const { rows } = await client.query(`
+      SELECT u.id, u.wallet_address, u.registration_ip, u.last_ip,
+             EXISTS (SELECT 1 FROM devices d WHERE d.user_id = u.id AND d.fingerprint = $2) as same_device
+      FROM users u
+      WHERE u.referral_code = $1
+    `, [code.toUpperCase(), fingerprint || null]);
+
+    if (rows.length === 0) {
+      return { accepted: false, reason: 'unknown_code' };
+    }
+
+    const referrer = rows[0];
+    let reason = null;
+
+    if (referrer.id === refereeId) {
+      reason = 'self_referral';
+    } else if (referrer.same_device) {
+      reason = 'same_device';
+    } else if (ip && (referrer.registration_ip === ip || referrer.last_ip === ip)) {
+      reason = 'same_ip';
+    }
+
+    await client.query(`
+      INSERT INTO referrals (referrer_id, referee_id, code, status, reject_reason, referee_ip, referee_fingerprint)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (referee_id) DO NOTHING
+    `, [referrer.id, refereeId, code.toUpperCase(), reason ? 'rejected' : 'active', reason, ip || null, fingerprint || null]);
+
+    if (reason) {
+      console.log(`Referral rejected (${reason}): ${maskWallet(referrer.wallet_address)} -> user ${refereeId}`);
+    }
+
+    return { accepted: !reason, reason, referrer: maskWallet(referrer.wallet_address) };
+  }
+
+  /**
+   * Credits the referrer's share of a verified compute reward inside the caller's transaction.
+   * Under an emission budget the share accrues as 'referral' work units instead.
+   * Skipped once the referral window has passed or the two wallets now share an IP.
+   */
+  async creditBonus(client, { refereeId, amount, taskId = null, provisional = false, at = new Date() }) {
+    const bonus = rewardPolicy.referralBonus(amount, at);
+    if (bonus.amount <= 0) return null;
+
+    const { rows } = await client.query(`
+      SELECT r.id, r.referrer_id
+      FROM referrals r
+      JOIN users referee ON referee.id = r.referee_id
+      JOIN users referrer ON referrer.id = r.referrer_id
+      WHERE r.referee_id = $1
+        AND r.status = 'active'
+        AND ($2::int IS NULL OR r.created_at > $3::timestamp - make_interval(days => $2::int))
+        AND referee.last_ip IS DISTINCT FROM referrer.last_ip
+    `, [refereeId, bonus.durationDays, at]);
+
+    if (rows.length === 0) return null;
+    const referral = rows[0];
+
+    if (provisional) {
+      await emission.accrue(client, {
+        userId: referral.referrer_id,
+        unitType: 'referral',
+        units: bonus.amount,
+        taskId,
+        at
+      });
+      return { referralId: referral.id, amount: bonus.amount, provisional: true };
+    }
+
+    const { rows: earning } = await client.query(`
+      INSERT INTO earnings (user_id, earned_amount, earning_type, task_id, policy_version, policy_epoch)
+      VALUES ($1, $2, 'bonus', $3, $4, $5)
+      RETURNING id
+    `, [referral.referrer_id, bonus.amount, taskId, bonus.version, bonus.epoch]);
+
+    await ledger.post(client, 'referral_bonus', {
+      userId: referral.referrer_id,
+      amount: bonus.amount,
+      referenceType: 'earning',
+      referenceId: earning[0].id,
+      memo: `Referral ${referral.id}`
+    });
+
+    return { referralId: referral.id, amount: bonus.amount, provisional: false };
+  }
+
+  async getStats(user) {
+    const code = user.referral_code || await this.ensureCode(user.id);
+    const { referral } = rewardPolicy.epochAt();
+
+    const { rows: referred } = await db.query(`
+      SELECT r.status, r.reject_reason, r.created_at, u.wallet_address
+      FROM referrals r
+      JOIN users u ON u.id = r.referee_id
+      WHERE r.referrer_id = $1
+      ORDER BY r.created_at DESC
+      LIMIT 100
+    `, [user.id]);
+
+    const { rows: totals } = await db.query(`
+      SELECT
+        (SELECT COUNT(*) FROM referrals WHERE referrer_id = $1 AND status = 'active') as active,
+        (SELECT COUNT(*) FROM referrals WHERE referrer_id = $1 AND status = 'rejected') as rejected,
+        (SELECT COALESCE(SUM(earned_amount), 0) FROM earnings WHERE user_id = $1 AND earning_type = 'bonus') as bonus_earned,
+        (SELECT COALESCE(SUM(wu.units), 0) FROM work_units wu
+          JOIN emission_epochs ee ON ee.id = wu.epoch_id
+          WHERE wu.user_id = $1 AND wu.unit_type = 'referral' AND ee.status = 'open') as bonus_pending
+    `, [user.id]);
+
+    const { rows: referredBy } = await db.query(`
+      SELECT u.wallet_address, r.status
+      FROM referrals r
+      JOIN users u ON u.id = r.referrer_id
+      WHERE r.referee_id = $1
+    `, [user.id]);
+
+    return {
+      code,
+      bonusShare: referral.bonusShare,
+      durationDays: referral.durationDays,
+      referredBy: referredBy.length > 0
+        ? { wallet: maskWallet(referredBy[0].wallet_address), status: referredBy[0].status }
+        : null,
+      stats: {
+        active: parseInt(totals[0].active),
+        rejected: parseInt(totals[0].rejected),
+        bonusEarned: parseFloat(totals[0].bonus_earned),
+        bonusPending: parseFloat(totals[0].bonus_pending)
+      },
+      referrals: referred.map(row => ({
+        wallet: maskWallet(row.wallet_address),
+        status: row.status,
+        rejectReason: row.reject_reason,
+        joinedAt: row.created_at
+      }))
+    };
+  }
+}
+
+module.exports = new Referrals();
@@ -0,0 +1,246 @@
+/**
+ * Orius Compute Network - Reward Policy
+ * Versioned reward rates, trust-tier multipliers and epoch schedules from a policy file
+ * Developed by Orius Team
+ */
+
+const fs = require('fs');
+const Ajv = require('ajv');
+const config = require('../utils/config');
+
+const rates = {
+  type: 'object',
+  additionalProperties: { type: 'number', minimum: 0 }
+};
+
+const schedule = {
+  taskRates: rates,
+  online: {
+    type: 'object',
+    properties: {
+      rewardPerHeartbeat: { type: 'number', minimum: 0 },
+      heartbeatSeconds: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+  },
+  dailyCap: { type: 'number', minimum: 0 },
+  referral: {
+    type: 'object',
+    properties: {
+      bonusShare: { type: 'number', minimum: 0, maximum: 1 },
+      durationDays: { type: 'integer', minimum: 1 }
+    },
+    additionalProperties: false
+  },
+  emission: {
+    type: 'object',
+    required: ['budget', 'epochSeconds'],
+    properties: {
+      budget: { type: 'number', minimum: 0 },
+      epochSeconds: { type: 'integer', minimum: 60 },
+      maxRatePerUnit: { type: 'number', minimum: 0 }
+    },
+    additionalProperties: false
+  }
+};
+
+const POLICY_SCHEMA = {
+  type: 'object',
+  required: ['version', 'defaults', 'trustTiers', 'epochs'],
+  properties: {
+    version: { type: 'string', minLength: 1, maxLength: 40 },
+    description: { type: 'string' },
+    defaults: {
+      type: 'object',
+      required: ['taskRates', 'online', 'dailyCap'],
+      properties: {
+        ...schedule,
+        online: { ...schedule.online, required: ['rewardPerHeartbeat', 'heartbeatSeconds'] }
+      },
+      additionalProperties: false
+    },
+    trustTiers: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'minTrust', 'multiplier'],
+        properties: {
+          name: { type: 'string' },
+          minTrust: { type: 'number', minimum: 0, maximum: 100 },
+          multiplier: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    epochs: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'startsAt'],
+        properties: {
+          id: { type: 'string', minLength: 1, maxLength: 40 },
+          startsAt: { type: 'string' },
+          ...schedule
+        },
+        additionalProperties: false
+      }
+    }
+  }
+};
+
+const validatePolicy = new Ajv({ allErrors: true, strict: false }).compile(POLICY_SCHEMA);
+
+function round(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+class RewardPolicy {
+  constructor() {
+    this.policy = null;
+    this.file = null;
+  }
+
+  // Throws on an invalid file so a bad policy stops startup instead of paying wrong amounts
+  load(file = config.REWARD_POLICY_FILE) {
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!validatePolicy(policy)) {
+      const details = validatePolicy.errors.map(e => `${e.instancePath || '/'} ${e.message}`).join('; ');
+      throw new Error(`Invalid reward policy ${file}: ${details}`);
+    }
+
+    const epochs = policy.epochs
+      .map(epoch => ({ ...epoch, start: Date.parse(epoch.startsAt) }))
+      .sort((a, b) => a.start - b.start);
+
+    const badEpoch = epochs.find(epoch => Number.isNaN(epoch.start));
+    if (badEpoch) {
+      throw new Error(`Invalid reward policy ${file}: epoch ${badEpoch.id} has an invalid startsAt`);
+    }
+    if (new Set(epochs.map(e => e.id)).size !== epochs.length) {
+      throw new Error(`Invalid reward policy ${file}: epoch ids must be unique`);
+    }
+
+    const trustTiers = [...policy.trustTiers].sort((a, b) => a.minTrust - b.minTrust);
+    if (trustTiers[0].minTrust !== 0) {
+      throw new Error(`Invalid reward policy ${file}: the lowest trust tier must start at 0`);
+    }
+
+    this.policy = { ...policy, epochs, trustTiers };
+    this.file = file;
+    return this.policy;
+  }
+
+  current() {
+    if (!this.policy) this.load();
+    return this.policy;
+  }
+
+  get version() {
+    return this.current().version;
+  }
+
+  // The schedule in force at a moment: the latest epoch started by then, layered over the defaults
+  epochAt(at = new Date()) {
+    const { defaults, epochs } = this.current();
+    const time = new Date(at).getTime();
+
+    let index = -1;
+    for (let i = 0; i < epochs.length; i++) {
+      if (epochs[i].start <= time) index = i;
+    }
+
+    const epoch = index >= 0 ? epochs[index] : null;
+    const next = epochs[index + 1];
+
+    return {
+      id: epoch ? epoch.id : 'default',
+      startsAt: epoch ? epoch.startsAt : null,
+      endsAt: next ? next.startsAt : null,
+      taskRates: { ...defaults.taskRates, ...(epoch && epoch.taskRates) },
+      online: { ...defaults.online, ...(epoch && epoch.online) },
+      dailyCap: epoch && epoch.dailyCap !== undefined ? epoch.dailyCap : defaults.dailyCap,
+      referral: { bonusShare: 0, durationDays: null, ...defaults.referral, ...(epoch && epoch.referral) },
+      emission: (epoch && epoch.emission) || defaults.emission || null
+    };
+  }
+
+  tierFor(trustScore) {
+    const score = trustScore === null || trustScore === undefined ? 100 : parseFloat(trustScore);
+    const tiers = this.current().trustTiers;
+
+    let tier = tiers[0];
+    for (const candidate of tiers) {
+      if (score >= candidate.minTrust) tier = candidate;
+    }
+    return tier;
+  }
+
+  taskRate(taskType, at = new Date()) {
+    const rate = this.epochAt(at).taskRates[taskType];
+    if (rate === undefined) {
+      throw new Error(`No reward rate for task type: ${taskType}`);
+    }
+    return rate;
+  }
+
+  computeReward({ taskType, difficulty = 1, trustScore = null, at = new Date() }) {
+    const epoch = this.epochAt(at);
+    const baseRate = this.taskRate(taskType, at);
+    const tier = this.tierFor(trustScore);
+
+    return {
+      amount: round(baseRate * difficulty * tier.multiplier),
+      baseRate,
+      multiplier: tier.multiplier,
+      tier: tier.name,
+      version: this.version,
+      epoch: epoch.id
+    };
+  }
+
+  // Same amount for every heartbeat within an epoch
+  onlineReward(at = new Date()) {
+    const epoch = this.epochAt(at);
+
+    return {
+      amount: round(epoch.online.rewardPerHeartbeat),
+      heartbeatSeconds: epoch.online.heartbeatSeconds,
+      dailyCap: epoch.dailyCap,
+      version: this.version,
+      epoch: epoch.id
+    };
+  }
+
+  dailyCap(at = new Date()) {
+    return this.epochAt(at).dailyCap;
+  }
+
+  // Share of a referee's verified compute reward credited to the referrer
+  referralBonus(computeAmount, at = new Date()) {
+    const epoch = this.epochAt(at);
+
+    return {
+      amount: round(computeAmount * epoch.referral.bonusShare),
+      bonusShare: epoch.referral.bonusShare,
+      durationDays: epoch.referral.durationDays,
+      version: this.version,
+      epoch: epoch.id
+    };
+  }
+
+  describe(at = new Date()) {
+    const { version, description, trustTiers, epochs } = this.current();
+
+    return {
+      version,
+      description: description || null,
+      current: this.epochAt(at),
+      trustTiers,
+      epochs: epochs.map(epoch => this.epochAt(epoch.start))
+    };
+  }
+}
+
+module.exports = new RewardPolicy();
@@ -1,63 +1,199 @@
 /**
  * Orius Compute Network - Configuration
- * Central configuration for the distributed compute network
+ * Central configuration for the distributed compute network. The values below are defaults; see
+ * configLoader.js for how profiles, a config file and environment variables are layered on top.
  * Developed by Orius Team
  */
 
-module.exports = {
+const path = require('path');
+const configLoader = require('./configLoader');
+const schema = require('./configSchema');
+
+const defaults = {
   // Server
-  PORT: process.env.PORT || 5000,
-  NODE_ENV: process.env.NODE_ENV || 'development',
+  PORT: 5000,
+  NODE_ENV: 'development', // Also selects the profile: development, staging or production
   
   // Database
-  DATABASE_URL: process.env.DATABASE_URL,
+  DATABASE_URL: '',
   
   // Solana
-  HELIUS_API_KEY: process.env.HELIUS_API_KEY,
-  TREASURY_PRIVATE_KEY: process.env.TREASURY_PRIVATE_KEY,
-  TOKEN_MINT: process.env.TOKEN_MINT || '',
-  TREASURY_PUBLIC_KEY: process.env.TREASURY_PUBLIC_KEY || '',
+  HELIUS_API_KEY: '',
+  TREASURY_PRIVATE_KEY: '',
+  TOKEN_MINT: '',
+  TREASURY_PUBLIC_KEY: '',
   TOKEN_DECIMALS: 6,
   
+  // Task manifest signing
+  SESSION_SECRET: '',
+  
+  // Wallet Authentication
+  AUTH_CHALLENGE_TTL_MS: 300000, // 5 minutes to sign a challenge
+  AUTH_SESSION_TTL_MS: 86400000, // Session tokens live for 24 hours
+  
+  // Admin API (comma-separated name:role:key entries; roles are viewer < operator < admin)
+  ADMIN_API_KEYS: '',
+  ADMIN_ROLES: ['viewer', 'operator', 'admin'],
+  
+  // Device Request Signing
+  DEVICE_SIGNATURE_MAX_AGE_MS: 300000, // Reject signed requests older than 5 minutes
+  
+  // Devices
+  MAX_DEVICES_PER_WALLET: 5, // Active bindings; revoked devices don't count
+  NEW_DEVICE_CLAIM_COOLDOWN_HOURS: 24, // Claims frozen wallet-wide after a device joins a wallet that had others
+  
+  // Payout Wallet Changes
+  WALLET_CHANGE_FREEZE_HOURS: 48, // Claims frozen while a change is pending
+  WALLET_CHANGE_APPLY_INTERVAL_MS: 60000,
+  
   // Token Economics
   MIN_CLAIM_AMOUNT: 100,
   MAX_CLAIM_AMOUNT: 10000,
   CLAIM_COOLDOWN_HOURS: 1,
-  DAILY_CAP: 8000,
   
-  // Compute Rewards
-  CREDITS_PER_MATRIX_TASK: 0.5,
-  CREDITS_PER_HASH_TASK: 0.3,
-  CREDITS_PER_ML_TASK: 2.0,
+  // Payout Worker
+  PAYOUT_WORKER_ENABLED: true,
+  PAYOUT_CONCURRENCY: 4, // Claims in flight per worker
+  PAYOUT_POLL_INTERVAL_MS: 5000,
+  PAYOUT_LEASE_MS: 120000, // Another worker may pick a claim up after this
+  PAYOUT_MAX_ATTEMPTS: 5,
+  PAYOUT_RETRY_BASE_MS: 10000, // Doubles per attempt
+  PAYOUT_RETRY_MAX_MS: 600000,
+  PAYOUT_RECHECK_MS: 15000, // Poll interval for submitted transfers awaiting confirmation
+  PAYOUT_BATCHING: false, // Pack several claims into one transaction
+  PAYOUT_BATCH_MAX_CLAIMS: 20, // Upper bound per batch; packet size usually limits it first
+  
+  // Payout Backend ('mainnet', 'devnet', 'custom' or 'mock')
+  PAYOUT_BACKEND: 'mainnet',
+  PAYOUT_RPC_URL: '', // Required for 'custom'
+  PAYOUT_MOCK_TREASURY_BALANCE: 1000000,
+  PAYOUT_MOCK_FAILURE_RATE: 0, // Share of sends dropped as network errors
+  
+  // Balance Reconciliation
+  RECONCILE_ENABLED: true,
+  RECONCILE_INTERVAL_MS: 3600000,
+  RECONCILE_AUTO_CORRECT: false,
+  RECONCILE_TOLERANCE: 1, // Largest drift auto-correct will fix
+  
+  // Rewards (task rates, trust multipliers, online reward and daily cap live in the policy file)
+  REWARD_POLICY_FILE: path.join(__dirname, '../rewards/policy.json'),
   CREDITS_TO_TOKEN_RATIO: 1.0, // 1 credit = 1 token
   
+  // Emission Budget (budget and epoch length live in the policy file's emission section)
+  EMISSION_SETTLE_INTERVAL_MS: 60000,
+  EMISSION_SETTLE_GRACE_MS: 60000, // Wait after an epoch ends so in-flight accruals land first
+  
   // Heartbeat Settings
   HEARTBEAT_INTERVAL_MS: 10000,
   HEARTBEAT_RATE_LIMIT_MS: 8000,
-  ONLINE_REWARD_PER_HEARTBEAT: { min: 0.1, max: 0.3 }, // Reduced since compute pays more
   
   // Task Settings
   TASK_TIMEOUT_MS: 30000,
+  TASK_POOL_TARGET: 50, // Pending tasks the generator keeps per task type
+  TASK_GENERATOR_INTERVAL_MS: 60000,
   TASK_REDUNDANCY: 3, // How many nodes verify same task
   MIN_TRUST_SCORE: 50, // Minimum trust to receive tasks
   CANARY_TASK_FREQUENCY: 0.05, // 5% of tasks are canary (verification)
   
+  // A node counts as coming online after this long without being seen
+  NODE_OFFLINE_AFTER_MS: 300000,
+  
   // Node Requirements
   MIN_CPU_CORES: 2,
   MIN_MEMORY_GB: 2,
   
-  // API Rate Limits
+  // API Rate Limits (token bucket: max tokens refilled over windowMs)
   API_RATE_LIMIT_WINDOW_MS: 60000,
   API_RATE_LIMIT_MAX_REQUESTS: 100,
+  API_RATE_LIMIT_STORE: 'memory', // 'memory' or 'postgres'
+  API_RATE_LIMIT_POLICIES: {
+    auth: { max: 20, windowMs: 60000, keys: ['ip'] },
+    register: { max: 5, windowMs: 3600000, keys: ['ip', 'wallet', 'device'] },
+    claim: { max: 5, windowMs: 3600000, keys: ['ip', 'wallet', 'device'] },
+    heartbeat: { max: 12, windowMs: 60000, keys: ['ip', 'device', 'wallet'], maxPerKey: { ip: 600 } },
+    compute: { max: 120, windowMs: 60000, keys: ['ip', 'device'], maxPerKey: { ip: 2400 } }
+  },
+  TRUST_PROXY: false, // hop count, or e.g. 'loopback'
+  
+  // OpenAPI validation (responses are checked and mismatches logged; off in the production profile)
+  OPENAPI_VALIDATE_RESPONSES: true,
+  
+  // Logging (JSON lines; debug, info, warn or error)
+  LOG_LEVEL: 'info',
+  
+  // Readiness probe (GET /readyz)
+  READINESS_CHECK_TIMEOUT_MS: 2000, // Per check; a slower dependency counts as failed
+  READINESS_DB_POOL_WAITING_MAX: 10, // Queued pool requests before the database counts as saturated
+  READINESS_PAYOUT_BACKLOG_WARN_MS: 3600000, // Oldest unpaid claim age that degrades readiness
+  
+  // Shutdown and drain mode
+  SHUTDOWN_TIMEOUT_MS: 25000, // Longest wait for in-flight requests, payouts and jobs before closing anyway
+  DRAIN_RETRY_AFTER_MS: 60000, // Back-off told to nodes while draining
+  
+  // Metrics (GET /metrics; when set, scrapers send it as a bearer token)
+  METRICS_TOKEN: '',
   
   // WebSocket
+  WS_PATH: '/ws/nodes',
   WS_HEARTBEAT_INTERVAL: 30000,
   WS_PING_TIMEOUT: 10000,
+  WS_DISPATCH_INTERVAL_MS: 5000, // Sweep idle nodes for tasks freed up by other nodes
+  WS_MAX_PAYLOAD_BYTES: 10 * 1024 * 1024,
+  
+  // Activity Feed (SSE)
+  FEED_POLL_INTERVAL_MS: 1000,
+  FEED_STATS_INTERVAL_MS: 15000,
+  FEED_KEEPALIVE_INTERVAL_MS: 20000,
+  FEED_RETRY_MS: 5000,
+  FEED_REPLAY_LIMIT: 500,
+  FEED_LATE_COMMIT_WINDOW_MS: 10000, // Recent events are re-read so ones committed out of id order still go out
+  FEED_EVENT_LOG_MAX: 10000, // Events kept for Last-Event-ID resume
   
   // RPC URL
   get RPC_URL() {
     return this.HELIUS_API_KEY 
       ? `https://mainnet.helius-rpc.com/?api-key=${this.HELIUS_API_KEY}`
       : 'https://api.mainnet-beta.solana.com';
+  },
+  
+  get DEVNET_RPC_URL() {
+    return this.HELIUS_API_KEY
+      ? `https://devnet.helius-rpc.com/?api-key=${this.HELIUS_API_KEY}`
+      : 'https://api.devnet.solana.com';
   }
 };
+
+// Overrides applied on top of the defaults for the profile named by NODE_ENV
+const profiles = {
+  development: {},
+  staging: {
+    PAYOUT_BACKEND: 'devnet'
+  },
+  production: {
+    OPENAPI_VALIDATE_RESPONSES: false
+  }
+};
+
+// Environment variables whose name predates the setting they override
+const aliases = {
+  PAYOUT_WORKER: 'PAYOUT_WORKER_ENABLED',
+  RECONCILE: 'RECONCILE_ENABLED',
+  RATE_LIMIT_STORE: 'API_RATE_LIMIT_STORE',
+  DEVICE_RECOVERY_CLAIM_COOLDOWN_HOURS: 'NEW_DEVICE_CLAIM_COOLDOWN_HOURS'
+};
+
+const secrets = [
+  'DATABASE_URL', 'HELIUS_API_KEY', 'TREASURY_PRIVATE_KEY', 'SESSION_SECRET', 'ADMIN_API_KEYS',
+  'METRICS_TOKEN', 'PAYOUT_RPC_URL'
+];
+
+// Rules spanning several settings, run once the schema passes
+const checks = [
+  c => c.MIN_CLAIM_AMOUNT > c.MAX_CLAIM_AMOUNT && 'MIN_CLAIM_AMOUNT must not exceed MAX_CLAIM_AMOUNT',
+  c => c.PAYOUT_BACKEND === 'custom' && !c.PAYOUT_RPC_URL && 'PAYOUT_RPC_URL is required when PAYOUT_BACKEND is custom',
+  c => c.NODE_ENV === 'production' && c.PAYOUT_BACKEND === 'mock' && 'PAYOUT_BACKEND mock is not allowed in production',
+  c => c.NODE_ENV === 'production' && !c.SESSION_SECRET && 'SESSION_SECRET is required in production',
+  c => c.WS_PING_TIMEOUT >= c.WS_HEARTBEAT_INTERVAL && 'WS_PING_TIMEOUT must be shorter than WS_HEARTBEAT_INTERVAL'
+];
+
+module.exports = configLoader.load({ defaults, schema, profiles, aliases, secrets, checks });
@@ -0,0 +1,237 @@
+/**
+ * Orius Compute Network - Configuration Loader
+ * Layers defaults, a profile, an optional JSON/YAML file and the environment, then validates the result
+ * Developed by Orius Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const REDACTED = '[REDACTED]';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(target, layer) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(layer)) {
+    out[key] = isPlainObject(out[key]) && isPlainObject(value) ? merge(out[key], value) : value;
+  }
+  return out;
+}
+
+// Values that don't parse are passed through as strings so validation reports them against the schema
+function parseEnv(raw, schema) {
+  const type = schema.type || 'auto';
+  const lower = raw.trim().toLowerCase();
+
+  if (type === 'integer' || type === 'number') {
+    const value = Number(raw);
+    return raw.trim() !== '' && Number.isFinite(value) ? value : raw;
+  }
+  if (type === 'boolean' || type === 'auto') {
+    if (['true', 'on', '1'].includes(lower)) return true;
+    if (['false', 'off', '0'].includes(lower)) return false;
+    if (type === 'auto' && /^\d+$/.test(lower)) return parseInt(lower);
+  }
+  return raw;
+}
+
+function argValue(argv, flag) {
+  const index = argv.indexOf(flag);
+  if (index !== -1) return argv[index + 1];
+  const inline = argv.find(arg => arg.startsWith(`${flag}=`));
+  return inline ? inline.slice(flag.length + 1) : undefined;
+}
+
+// Keeps a URL readable but drops its password and query values, which is where credentials end up
+function redactUrl(value) {
+  try {
+    const parsed = new URL(value);
+    if (parsed.password) parsed.password = REDACTED;
+    for (const key of [...parsed.searchParams.keys()]) {
+      parsed.searchParams.set(key, REDACTED);
+    }
+    return decodeURI(parsed.toString());
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+class ConfigLoader {
+  constructor() {
+    this.profile = null;
+    this.file = null;
+    this.sources = {};
+    this.errors = [];
+    this.config = null;
+    this.secrets = [];
+  }
+
+  /**
+   * Builds the effective configuration from, lowest precedence first:
+   *   1. defaults
+   *   2. the built-in profile named by NODE_ENV (development, staging or production)
+   *   3. the config file from --config or CONFIG_FILE, then its `profiles.<profile>` section
+   *   4. environment variables named after each setting (or a legacy alias), parsed by schema type
+   * Nested objects merge key by key; anything else replaces the lower layer. Validation problems are
+   * collected in `errors` rather than thrown, so --print-config can still show what was loaded.
+   */
+  load({ defaults, schema, profiles = {}, aliases = {}, secrets = [], checks = [] }, { env = process.env, argv = process.argv } = {}) {
+    this.sources = {};
+    this.errors = [];
+    this.secrets = secrets;
+
+    let values = {};
+    const accessors = {};
+    for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(defaults))) {
+      if (descriptor.get) {
+        accessors[key] = descriptor;
+      } else {
+        values[key] = descriptor.value;
+      }
+    }
+
+    const file = this.readFile(argValue(argv, '--config') || env.CONFIG_FILE);
+    const { profiles: fileProfiles = {}, ...fileValues } = file ? file.values : {};
+    this.file = file ? file.path : null;
+
+    this.profile = env.NODE_ENV || fileValues.NODE_ENV || values.NODE_ENV;
+
+    const layers = [
+      [profiles[this.profile], `profile ${this.profile}`],
+      [fileValues, file && `file ${file.path}`],
+      [fileProfiles[this.profile], file && `file ${file.path} (profiles.${this.profile})`],
+      ...this.readEnv(env, schema, aliases)
+    ];
+    for (const [layer, source] of layers) {
+      if (!isPlainObject(layer)) continue;
+      values = merge(values, layer);
+      for (const key of Object.keys(layer)) {
+        this.sources[key] = source;
+      }
+    }
+
+    this.validate(values, schema);
+    if (this.errors.length === 0) {
+      for (const check of checks) {
+        const message = check(values);
+        if (message) this.errors.push(message);
+      }
+    }
+
+    this.config = Object.defineProperties(values, accessors);
+    return this.config;
+  }
+
+  readFile(filePath) {
+    if (!filePath) return null;
+
+    const resolved = path.resolve(filePath);
+    try {
+      const text = fs.readFileSync(resolved, 'utf8');
+      const ext = path.extname(resolved).toLowerCase();
+
+      let values;
+      if (ext === '.json') {
+        values = JSON.parse(text);
+      } else if (ext === '.yaml' || ext === '.yml') {
+        values = require('yaml').parse(text);
+      } else {
+        throw new Error('expected a .json, .yaml or .yml file');
+      }
+
+      if (!isPlainObject(values)) {
+        throw new Error('expected an object of settings at the top level');
+      }
+      return { path: resolved, values };
+    } catch (error) {
+      this.errors.push(`Config file ${resolved}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // One single-key layer per variable so each setting records the variable it came from
+  readEnv(env, schema, aliases) {
+    const layers = [];
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (propertySchema.type === 'object' || propertySchema.type === 'array') continue;
+
+      const names = [key, ...Object.keys(aliases).filter(alias => aliases[alias] === key)];
+      const name = names.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+      if (name) {
+        layers.push([{ [key]: parseEnv(env[name], propertySchema) }, `env ${name}`]);
+      }
+    }
+    return layers;
+  }
+
+  validate(values, schema) {
+    const ajv = new Ajv({ allErrors: true, verbose: true });
+    const validate = ajv.compile(schema);
+    if (validate(values)) return;
+
+    for (const error of validate.errors) {
+      // anyOf reports each failed branch too; the anyOf error itself carries the description
+      if (validate.errors.some(other => other.keyword === 'anyOf' && other.instancePath === error.instancePath && other !== error)) {
+        continue;
+      }
+
+      const segments = error.instancePath.split('/').slice(1);
+      let setting = segments.join('.');
+      let message;
+
+      if (error.keyword === 'additionalProperties') {
+        setting = [...segments, error.params.additionalProperty].join('.');
+        message = 'is not a known setting';
+      } else if (error.data === '' && error.keyword === 'pattern') {
+        message = 'is required';
+      } else if ((error.keyword === 'pattern' || error.keyword === 'anyOf') && error.parentSchema.description) {
+        message = `must be ${error.parentSchema.description}`;
+      } else if (error.keyword === 'enum') {
+        message = `must be one of ${error.params.allowedValues.join(', ')}`;
+      } else {
+        message = error.message;
+      }
+
+      const source = this.sources[setting.split('.')[0]];
+      this.errors.push(`${setting} ${message}${source ? ` (from ${source})` : ''}`);
+    }
+  }
+
+  // Secret settings are masked, and their values are scrubbed from derived settings such as RPC_URL
+  redact(config = this.config) {
+    const secretValues = this.secrets
+      .map(key => config[key])
+      .filter(value => typeof value === 'string' && value.length >= 8);
+
+    const out = {};
+    for (const key of Object.keys(Object.getOwnPropertyDescriptors(config))) {
+      const value = config[key];
+      if (this.secrets.includes(key)) {
+        out[key] = !value ? value : /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? redactUrl(value) : REDACTED;
+      } else if (typeof value === 'string') {
+        out[key] = secretValues.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  }
+
+  // What --print-config shows: the effective values, redacted, and where each non-default one came from
+  describe() {
+    return {
+      profile: this.profile,
+      file: this.file,
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      config: this.redact(),
+      sources: this.sources
+    };
+  }
+}
+
+module.exports = new ConfigLoader();
@@ -0,0 +1,156 @@
+/**
+ * Orius Compute Network - Configuration Schema
+ * JSON Schema for the effective configuration, checked once at startup
+ * Developed by Orius Team
+ */
+
+// Pattern failures are reported as "must be <description>", so descriptions read as a noun phrase
+const base58Address = { type: 'string', pattern: '^$|^[1-9A-HJ-NP-Za-km-z]{32,44}$', description: 'a base58 Solana address' };
+const base58Secret = { type: 'string', pattern: '^$|^[1-9A-HJ-NP-Za-km-z]{64,100}$', description: 'a base58-encoded secret key' };
+const url = { type: 'string', pattern: '^$|^https?://\\S+$', description: 'an http(s) URL' };
+const ms = { type: 'integer', minimum: 1 };
+const count = { type: 'integer', minimum: 1 };
+const amount = { type: 'number', minimum: 0 };
+const toggle = { type: 'boolean' };
+
+const ADMIN_KEY_ENTRY = '[^:,\\s]+:(viewer|operator|admin):[^,\\s]+';
+
+module.exports = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    PORT: { type: 'integer', minimum: 1, maximum: 65535 },
+    NODE_ENV: { type: 'string', enum: ['development', 'staging', 'production'] },
+
+    DATABASE_URL: {
+      type: 'string',
+      pattern: '^postgres(ql)?://\\S+$',
+      description: 'a postgres:// connection URL'
+    },
+
+    HELIUS_API_KEY: { type: 'string' },
+    TREASURY_PRIVATE_KEY: base58Secret,
+    TOKEN_MINT: base58Address,
+    TREASURY_PUBLIC_KEY: base58Address,
+    TOKEN_DECIMALS: { type: 'integer', minimum: 0, maximum: 18 },
+
+    SESSION_SECRET: { type: 'string' },
+
+    AUTH_CHALLENGE_TTL_MS: ms,
+    AUTH_SESSION_TTL_MS: ms,
+
+    ADMIN_API_KEYS: {
+      type: 'string',
+      pattern: `^$|^\\s*${ADMIN_KEY_ENTRY}(\\s*,\\s*${ADMIN_KEY_ENTRY})*\\s*,?\\s*$`,
+      description: 'comma-separated name:role:key entries with role viewer, operator or admin'
+    },
+    ADMIN_ROLES: { type: 'array', items: { type: 'string' }, minItems: 1 },
+
+    DEVICE_SIGNATURE_MAX_AGE_MS: ms,
+
+    MAX_DEVICES_PER_WALLET: count,
+    NEW_DEVICE_CLAIM_COOLDOWN_HOURS: { type: 'number', minimum: 0 },
+
+    WALLET_CHANGE_FREEZE_HOURS: { type: 'number', minimum: 0 },
+    WALLET_CHANGE_APPLY_INTERVAL_MS: ms,
+
+    MIN_CLAIM_AMOUNT: amount,
+    MAX_CLAIM_AMOUNT: amount,
+    CLAIM_COOLDOWN_HOURS: { type: 'number', minimum: 0 },
+
+    PAYOUT_WORKER_ENABLED: toggle,
+    PAYOUT_CONCURRENCY: count,
+    PAYOUT_POLL_INTERVAL_MS: ms,
+    PAYOUT_LEASE_MS: ms,
+    PAYOUT_MAX_ATTEMPTS: count,
+    PAYOUT_RETRY_BASE_MS: ms,
+    PAYOUT_RETRY_MAX_MS: ms,
+    PAYOUT_RECHECK_MS: ms,
+    PAYOUT_BATCHING: toggle,
+    PAYOUT_BATCH_MAX_CLAIMS: count,
+
+    PAYOUT_BACKEND: { type: 'string', enum: ['mainnet', 'devnet', 'custom', 'mock'] },
+    PAYOUT_RPC_URL: url,
+    PAYOUT_MOCK_TREASURY_BALANCE: amount,
+    PAYOUT_MOCK_FAILURE_RATE: { type: 'number', minimum: 0, maximum: 1 },
+
+    RECONCILE_ENABLED: toggle,
+    RECONCILE_INTERVAL_MS: ms,
+    RECONCILE_AUTO_CORRECT: toggle,
+    RECONCILE_TOLERANCE: amount,
+
+    REWARD_POLICY_FILE: { type: 'string', minLength: 1 },
+    CREDITS_TO_TOKEN_RATIO: { type: 'number', exclusiveMinimum: 0 },
+
+    EMISSION_SETTLE_INTERVAL_MS: ms,
+    EMISSION_SETTLE_GRACE_MS: { type: 'integer', minimum: 0 },
+
+    HEARTBEAT_INTERVAL_MS: ms,
+    HEARTBEAT_RATE_LIMIT_MS: ms,
+
+    TASK_TIMEOUT_MS: ms,
+    TASK_POOL_TARGET: count,
+    TASK_GENERATOR_INTERVAL_MS: ms,
+    TASK_REDUNDANCY: count,
+    MIN_TRUST_SCORE: { type: 'number', minimum: 0, maximum: 100 },
+    CANARY_TASK_FREQUENCY: { type: 'number', minimum: 0, maximum: 1 },
+
+    NODE_OFFLINE_AFTER_MS: ms,
+
+    MIN_CPU_CORES: count,
+    MIN_MEMORY_GB: { type: 'number', minimum: 0 },
+
+    API_RATE_LIMIT_WINDOW_MS: ms,
+    API_RATE_LIMIT_MAX_REQUESTS: count,
+    API_RATE_LIMIT_STORE: { type: 'string', enum: ['memory', 'postgres'] },
+    API_RATE_LIMIT_POLICIES: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['max', 'windowMs', 'keys'],
+        properties: {
+          max: count,
+          windowMs: ms,
+          keys: { type: 'array', minItems: 1, items: { type: 'string', enum: ['ip', 'wallet', 'device'] } },
+          maxPerKey: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { ip: count, wallet: count, device: count }
+          }
+        }
+      }
+    },
+    TRUST_PROXY: {
+      anyOf: [{ type: 'boolean' }, { type: 'integer', minimum: 0 }, { type: 'string', minLength: 1 }],
+      description: 'a hop count, true/false, or an Express trust proxy setting such as loopback'
+    },
+
+    OPENAPI_VALIDATE_RESPONSES: toggle,
+
+    LOG_LEVEL: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+
+    READINESS_CHECK_TIMEOUT_MS: ms,
+    READINESS_DB_POOL_WAITING_MAX: count,
+    READINESS_PAYOUT_BACKLOG_WARN_MS: ms,
+
+    SHUTDOWN_TIMEOUT_MS: ms,
+    DRAIN_RETRY_AFTER_MS: ms,
+
+    METRICS_TOKEN: { type: 'string' },
+
+    WS_PATH: { type: 'string', pattern: '^/\\S*$', description: 'a path starting with /' },
+    WS_HEARTBEAT_INTERVAL: ms,
+    WS_PING_TIMEOUT: ms,
+    WS_DISPATCH_INTERVAL_MS: ms,
+    WS_MAX_PAYLOAD_BYTES: count,
+
+    FEED_POLL_INTERVAL_MS: ms,
+    FEED_STATS_INTERVAL_MS: ms,
+    FEED_KEEPALIVE_INTERVAL_MS: ms,
+    FEED_RETRY_MS: ms,
+    FEED_REPLAY_LIMIT: count,
+    FEED_LATE_COMMIT_WINDOW_MS: ms,
+    FEED_EVENT_LOG_MAX: count
+  }
+};
@@ -5,6 +5,10 @@
  */
 
 const crypto = require('crypto');
+const bs58Module = require('bs58');
+const bs58 = bs58Module.default || bs58Module;
+
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
 
 function sha256(data) {
   if (typeof data === 'object') {
@@ -109,6 +113,58 @@ function verifyTaskSignature(task, signature, secret) {
   return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
 }
 
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function verifyWalletSignature(message, signature, walletAddress) {
+  try {
+    const publicKey = Buffer.from(bs58.decode(walletAddress));
+    const sig = Buffer.from(bs58.decode(signature));
+    
+    if (publicKey.length !== 32 || sig.length !== 64) {
+      return false;
+    }
+    
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey]),
+      format: 'der',
+      type: 'spki'
+    });
+    
+    return crypto.verify(null, Buffer.from(message, 'utf8'), key, sig);
+  } catch (error) {
+    return false;
+  }
+}
+
+const DEVICE_KEY_ALGORITHMS = {
+  'ECDSA-P256': { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  'Ed25519': { digest: null }
+};
+
+function buildDeviceSigningPayload(method, path, bodyHash, timestamp, nonce) {
+  return [method.toUpperCase(), path, bodyHash, timestamp, nonce].join('\n');
+}
+
+function verifyDeviceSignature(payload, signature, publicKey, algorithm) {
+  const params = DEVICE_KEY_ALGORITHMS[algorithm];
+  if (!params) return false;
+  
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, 'base64'),
+      format: 'der',
+      type: 'spki'
+    });
+    
+    const verifyKey = params.dsaEncoding ? { key, dsaEncoding: params.dsaEncoding } : key;
+    return crypto.verify(params.digest, Buffer.from(payload, 'utf8'), verifyKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
 module.exports = {
   sha256,
   blake3,
@@ -119,5 +175,10 @@ module.exports = {
   generateCanaryInput,
   generateDeterministicMatrix,
   signTaskManifest,
-  verifyTaskSignature
+  verifyTaskSignature,
+  generateToken,
+  verifyWalletSignature,
+  DEVICE_KEY_ALGORITHMS,
+  buildDeviceSigningPayload,
+  verifyDeviceSignature
 };
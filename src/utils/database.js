@@ -6,6 +6,9 @@
 
 const { Pool } = require('pg');
 const config = require('./config');
+const metrics = require('../metrics/metrics');
+
+const SLOW_QUERY_MS = 1000;
 
 const pool = new Pool({
   connectionString: config.DATABASE_URL,
@@ -19,16 +22,29 @@ pool.on('error', (err) => {
   console.error('Unexpected database error:', err);
 });
 
+metrics.gauge('orius_db_pool_connections', 'Database pool connections by state', ['state'], () => [
+  [{ state: 'total' }, pool.totalCount],
+  [{ state: 'idle' }, pool.idleCount],
+  [{ state: 'waiting' }, pool.waitingCount],
+  [{ state: 'max' }, pool.options.max]
+]);
+
+const queryDuration = metrics.histogram('orius_db_query_duration_seconds', 'Duration of db.query calls', ['outcome']);
+const slowQueries = metrics.counter('orius_db_slow_queries_total', `db.query calls slower than ${SLOW_QUERY_MS}ms`);
+
 async function query(text, params) {
   const start = Date.now();
   try {
     const result = await pool.query(text, params);
     const duration = Date.now() - start;
-    if (duration > 1000) {
+    queryDuration.observe({ outcome: 'ok' }, duration / 1000);
+    if (duration > SLOW_QUERY_MS) {
+      slowQueries.inc();
       console.log('Slow query:', { text: text.substring(0, 100), duration, rows: result.rowCount });
     }
     return result;
   } catch (error) {
+    queryDuration.observe({ outcome: 'error' }, (Date.now() - start) / 1000);
     console.error('Database query error:', error.message);
     throw error;
   }
@@ -53,6 +69,8 @@ async function transaction(callback) {
   }
 }
 
+const schemaStatus = { appliedAt: null, error: null };
+
 async function initializeSchema() {
   const fs = require('fs');
   const path = require('path');
@@ -62,17 +80,26 @@ async function initializeSchema() {
     if (fs.existsSync(schemaPath)) {
       const schema = fs.readFileSync(schemaPath, 'utf8');
       await pool.query(schema);
+      schemaStatus.appliedAt = new Date();
+      schemaStatus.error = null;
       console.log('Database schema initialized');
     }
   } catch (error) {
+    schemaStatus.error = error.message;
     console.log('Schema init note:', error.message);
   }
 }
 
+// Outcome of the last initializeSchema() run; the readiness probe reports it
+function getSchemaStatus() {
+  return { ...schemaStatus };
+}
+
 module.exports = {
   pool,
   query,
   getClient,
   transaction,
-  initializeSchema
+  initializeSchema,
+  getSchemaStatus
 };
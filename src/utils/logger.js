@@ -0,0 +1,144 @@
+/**
+ * Orius Compute Network - Logger
+ * Leveled JSON log lines with request correlation IDs, bound context and secret redaction
+ * Developed by Orius Team
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+const SECRET_KEYS = /^(authorization|cookie|x-admin-key|x-device-signature|password|secret|token|session_?token|api_?key|private_?key|treasury_private_key|signature)$/i;
+const BEARER = /Bearer\s+[\w\-.~+/=]+/gi;
+const REQUEST_ID = /^[\w\-.:]{1,128}$/;
+const MAX_DEPTH = 5;
+
+const storage = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: typeof error.message === 'string' ? error.message.replace(BEARER, `Bearer ${REDACTED}`) : error.message,
+    code: error.code,
+    status: error.status,
+    stack: error.stack
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return value.replace(BEARER, `Bearer ${REDACTED}`);
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = SECRET_KEYS.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return out;
+}
+
+// Context read from the request at log time, so fields parsed after the middleware ran are still picked up
+function requestContext(store) {
+  const { req } = store;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const params = req.params || {};
+
+  return {
+    requestId: store.requestId,
+    deviceId: body.deviceId || params.deviceId || req.headers['x-device-id'],
+    taskUuid: body.taskUuid,
+    claimId: body.claimId
+  };
+}
+
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+    this.threshold = LEVELS[config.LOG_LEVEL] || LEVELS.info;
+  }
+
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  // Adds fields to every later line logged while handling the current request
+  bind(fields) {
+    const store = storage.getStore();
+    if (store) Object.assign(store.fields, fields);
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= this.threshold;
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+
+    const store = storage.getStore();
+    const context = store ? { ...requestContext(store), ...store.fields } : {};
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const [key, value] of Object.entries(redact({ ...context, ...this.fields, ...fields }))) {
+      if (value !== undefined && !(key in entry)) entry[key] = value;
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  /**
+   * Assigns each request an ID (or keeps a well-formed X-Request-ID from the caller), echoes it back and
+   * runs the rest of the request inside a context every log line picks up. Completed requests are logged
+   * at debug, client errors at info and server errors at warn, so heartbeats don't flood the default level.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const given = req.headers['x-request-id'];
+      const requestId = typeof given === 'string' && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+
+      req.id = requestId;
+      res.setHeader('X-Request-ID', requestId);
+
+      const store = { requestId, req, fields: {} };
+      const start = process.hrtime.bigint();
+      res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'warn' : res.statusCode >= 400 ? 'info' : 'debug';
+        storage.run(store, () => this.write(level, 'Request completed', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10
+        }));
+      });
+
+      storage.run(store, next);
+    };
+  }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.redact = redact;
@@ -0,0 +1,37 @@
+/**
+ * Orius Compute Network - Streaming Helpers
+ * Backpressure-aware response writes and CSV encoding for streamed exports
+ * Developed by Orius Team
+ */
+
+// Waits for the socket to drain; resolves false if the client disconnected instead
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve(true);
+  return new Promise(resolve => {
+    const done = (drained) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(',') + '\n';
+}
+
+module.exports = {
+  writeChunk,
+  csvField,
+  csvRow
+};
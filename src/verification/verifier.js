@@ -126,6 +126,35 @@ class ResultVerifier {
     console.log(`Node banned: ${deviceId} - ${reason}`);
   }
 
+  async unbanNode(deviceId, trustScore = config.MIN_TRUST_SCORE) {
+    const result = await db.query(`
+      UPDATE node_trust
+      SET banned = false,
+          banned_at = NULL,
+          ban_reason = NULL,
+          canary_failures = 0,
+          trust_score = $2,
+          updated_at = NOW()
+      WHERE device_id = $1
+    `, [deviceId, trustScore]);
+
+    console.log(`Node unbanned: ${deviceId}`);
+    return result.rowCount > 0;
+  }
+
+  async setTrustScore(deviceId, trustScore) {
+    const { rows } = await db.query(`
+      UPDATE node_trust nt
+      SET trust_score = $2,
+          updated_at = NOW()
+      FROM (SELECT trust_score FROM node_trust WHERE device_id = $1 FOR UPDATE) prev
+      WHERE nt.device_id = $1
+      RETURNING prev.trust_score as previous_score, nt.trust_score
+    `, [deviceId, trustScore]);
+
+    return rows[0] || null;
+  }
+
   async isNodeBanned(deviceId) {
     const { rows } = await db.query(
       'SELECT banned FROM node_trust WHERE device_id = $1',
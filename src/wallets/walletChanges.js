@@ -0,0 +1,190 @@
+/**
+ * Orius Compute Network - Payout Wallet Changes
+ * Moves an account to a new wallet address after a claim freeze; balance and history stay with the account
+ * Developed by Orius Team
+ */
+
+const db = require('../utils/database');
+const config = require('../utils/config');
+
+class WalletChangeError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'WalletChangeError';
+    this.status = status;
+  }
+}
+
+function formatChange(row) {
+  return {
+    id: row.id,
+    oldWallet: row.old_wallet_address,
+    newWallet: row.new_wallet_address,
+    status: row.status,
+    requestedAt: row.created_at,
+    effectiveAt: row.effective_at,
+    appliedAt: row.applied_at || null,
+    cancelledAt: row.cancelled_at || null,
+    failureReason: row.failure_reason || null
+  };
+}
+
+class WalletChanges {
+  constructor() {
+    this.timer = null;
+    this.current = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.applyDue().catch(error => {
+        console.error('Wallet change apply error:', error);
+      });
+    }, config.WALLET_CHANGE_APPLY_INTERVAL_MS);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.current) {
+      await this.current.catch(() => {});
+    }
+  }
+
+  async getPending(userId, client = db) {
+    const { rows } = await client.query(
+      "SELECT * FROM wallet_changes WHERE user_id = $1 AND status = 'pending'",
+      [userId]
+    );
+    return rows[0] ? formatChange(rows[0]) : null;
+  }
+
+  async list(userId, limit = 20) {
+    const { rows } = await db.query(
+      'SELECT * FROM wallet_changes WHERE user_id = $1 ORDER BY id DESC LIMIT $2',
+      [userId, limit]
+    );
+    return rows.map(formatChange);
+  }
+
+  /**
+   * Records a change to newWalletAddress; the caller has already checked a challenge signed by the current wallet.
+   * Claims stay frozen until the change takes effect, which gives the owner time to cancel one they did not make.
+   */
+  async request({ userId, newWalletAddress, deviceId = null, ip = null }) {
+    return db.transaction(async (client) => {
+      const { rows: users } = await client.query(
+        'SELECT id, wallet_address FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+
+      if (users.length === 0) {
+        throw new WalletChangeError('User not found', 404);
+      }
+      if (users[0].wallet_address === newWalletAddress) {
+        throw new WalletChangeError('New wallet is the current wallet', 400);
+      }
+      if (await this.getPending(userId, client)) {
+        throw new WalletChangeError('A wallet change is already pending');
+      }
+
+      const { rows: taken } = await client.query(`
+        SELECT 1 FROM users WHERE wallet_address = $1
+        UNION ALL
+        SELECT 1 FROM wallet_changes WHERE new_wallet_address = $1 AND status = 'pending'
+      `, [newWalletAddress]);
+      if (taken.length > 0) {
+        throw new WalletChangeError('Wallet already belongs to another account');
+      }
+
+      const { rows } = await client.query(`
+        INSERT INTO wallet_changes
+          (user_id, old_wallet_address, new_wallet_address, requested_by_device, requested_ip, effective_at)
+        VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+        RETURNING *
+      `, [userId, users[0].wallet_address, newWalletAddress, deviceId, ip, config.WALLET_CHANGE_FREEZE_HOURS]);
+
+      return formatChange(rows[0]);
+    });
+  }
+
+  async cancel(userId) {
+    const { rows } = await db.query(`
+      UPDATE wallet_changes SET status = 'cancelled', cancelled_at = NOW()
+      WHERE user_id = $1 AND status = 'pending'
+      RETURNING *
+    `, [userId]);
+    return rows[0] ? formatChange(rows[0]) : null;
+  }
+
+  async applyDue() {
+    if (this.current) return this.current;
+
+    this.current = (async () => {
+      const { rows } = await db.query(
+        "SELECT id FROM wallet_changes WHERE status = 'pending' AND effective_at <= NOW() ORDER BY effective_at"
+      );
+
+      for (const { id } of rows) {
+        const change = await this.apply(id);
+        if (change && change.status === 'applied') {
+          console.log(`Wallet change ${id} applied: ${change.oldWallet} -> ${change.newWallet}`);
+        } else if (change) {
+          console.log(`Wallet change ${id} failed: ${change.failureReason}`);
+        }
+      }
+    })().finally(() => {
+      this.current = null;
+    });
+    return this.current;
+  }
+
+  // Sessions signed by the old wallet are revoked; the new wallet signs in from then on
+  async apply(changeId) {
+    return db.transaction(async (client) => {
+      const { rows } = await client.query(`
+        SELECT * FROM wallet_changes
+        WHERE id = $1 AND status = 'pending' AND effective_at <= NOW()
+        FOR UPDATE
+      `, [changeId]);
+
+      if (rows.length === 0) return null;
+      const change = rows[0];
+
+      const { rows: taken } = await client.query(
+        'SELECT id FROM users WHERE wallet_address = $1',
+        [change.new_wallet_address]
+      );
+
+      if (taken.length > 0) {
+        const { rows: failed } = await client.query(`
+          UPDATE wallet_changes SET status = 'failed', failure_reason = 'Wallet registered by another account'
+          WHERE id = $1
+          RETURNING *
+        `, [changeId]);
+        return formatChange(failed[0]);
+      }
+
+      await client.query(
+        'UPDATE users SET wallet_address = $2 WHERE id = $1',
+        [change.user_id, change.new_wallet_address]
+      );
+      await client.query(
+        'UPDATE auth_sessions SET revoked_at = NOW() WHERE wallet_address = $1 AND revoked_at IS NULL',
+        [change.old_wallet_address]
+      );
+
+      const { rows: applied } = await client.query(`
+        UPDATE wallet_changes SET status = 'applied', applied_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [changeId]);
+      return formatChange(applied[0]);
+    });
+  }
+}
+
+module.exports = new WalletChanges();
+module.exports.WalletChangeError = WalletChangeError;
@@ -5,13 +5,26 @@
  * Developed by Orius Team
  */
 
+const SOCKET_PATH = '/ws/nodes';
+const SOCKET_RECONNECT_MS = 30000;
+const SOCKET_HEARTBEAT_MS = 30000;
+const SOCKET_RESULT_TIMEOUT_MS = 30000;
+
 class OriusTaskClient {
-  constructor(apiUrl, deviceId) {
+  constructor(apiUrl, deviceId, identity = null) {
     this.apiUrl = apiUrl;
     this.deviceId = deviceId;
+    this.identity = identity;
     this.computeEngine = null;
     this.isRunning = false;
     this.taskLoop = null;
+    this.pollingActive = false;
+    this.socket = null;
+    this.socketConnected = false;
+    this.socketHeartbeat = null;
+    this.reconnectTimer = null;
+    this.pendingResults = new Map();
+    this.drainUntil = 0; // Server asked nodes to back off until then
     this.stats = {
       tasksCompleted: 0,
       totalCredits: 0,
@@ -50,13 +63,9 @@ class OriusTaskClient {
         estimated_tflops: benchmark.estimated_tflops
       };
 
-      const response = await fetch(`${this.apiUrl}/api/compute/capabilities`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          deviceId: this.deviceId,
-          capabilities
-        })
+      const response = await this.signedPost('/api/compute/capabilities', {
+        deviceId: this.deviceId,
+        capabilities
       });
 
       const result = await response.json();
@@ -76,21 +85,43 @@ class OriusTaskClient {
     this.notifyStatus('running');
     console.log('Task client started');
 
-    this.runTaskLoop();
+    const connected = await this.connectSocket();
+    if (!connected) {
+      console.log('Task socket unavailable, falling back to HTTP polling');
+      this.startPolling();
+      this.scheduleReconnect();
+    }
   }
 
   stop() {
     this.isRunning = false;
+    this.pollingActive = false;
     if (this.taskLoop) {
       clearTimeout(this.taskLoop);
       this.taskLoop = null;
     }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.close();
+    }
     this.notifyStatus('stopped');
     console.log('Task client stopped');
   }
 
+  startPolling() {
+    if (this.pollingActive) return;
+    this.pollingActive = true;
+    this.runTaskLoop();
+  }
+
   async runTaskLoop() {
-    if (!this.isRunning) return;
+    if (!this.isRunning || this.socketConnected) {
+      this.pollingActive = false;
+      return;
+    }
 
     try {
       const task = await this.requestTask();
@@ -98,7 +129,7 @@ class OriusTaskClient {
       if (task && !task.error) {
         await this.processTask(task);
       } else {
-        await this.delay(5000);
+        await this.delay((task && task.retryAfterMs) || 5000);
       }
 
     } catch (error) {
@@ -112,15 +143,173 @@ class OriusTaskClient {
     }
   }
 
+  async getSocketUrl() {
+    const base = (this.apiUrl || location.origin).replace(/^http/, 'ws');
+    const signed = await this.identity.signRequest('GET', SOCKET_PATH, '');
+    const params = new URLSearchParams({
+      deviceId: this.deviceId,
+      timestamp: signed['X-Device-Timestamp'],
+      nonce: signed['X-Device-Nonce'],
+      signature: signed['X-Device-Signature']
+    });
+    return `${base}${SOCKET_PATH}?${params}`;
+  }
+
+  async connectSocket() {
+    if (typeof WebSocket === 'undefined' || !this.identity) return false;
+
+    let url;
+    try {
+      url = await this.getSocketUrl();
+    } catch (error) {
+      console.error('Task socket signing failed:', error);
+      return false;
+    }
+
+    return new Promise(resolve => {
+      const socket = new WebSocket(url);
+      let opened = false;
+
+      socket.onopen = () => {
+        opened = true;
+        this.socket = socket;
+        this.socketConnected = true;
+        this.sendSocket({ type: 'subscribe', capabilities: this.computeEngine.capabilities });
+        this.socketHeartbeat = setInterval(() => this.sendSocket({ type: 'heartbeat' }), SOCKET_HEARTBEAT_MS);
+        console.log('Task socket connected');
+        resolve(true);
+      };
+
+      socket.onmessage = (event) => this.onSocketMessage(event.data);
+
+      socket.onclose = () => {
+        if (!opened) return resolve(false);
+        this.onSocketClosed();
+      };
+
+      socket.onerror = () => {
+        // onclose follows with the details we act on
+      };
+    });
+  }
+
+  onSocketClosed() {
+    console.log('Task socket closed');
+    this.socket = null;
+    this.socketConnected = false;
+    clearInterval(this.socketHeartbeat);
+    this.socketHeartbeat = null;
+
+    for (const pending of this.pendingResults.values()) {
+      pending.resolve({ success: false, error: 'Connection closed' });
+    }
+    this.pendingResults.clear();
+
+    if (this.isRunning) {
+      this.startPolling();
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || !this.isRunning) return;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (!this.isRunning || this.socketConnected) return;
+
+      if (!await this.connectSocket()) {
+        this.scheduleReconnect();
+      }
+    }, Math.max(SOCKET_RECONNECT_MS, this.drainUntil - Date.now()));
+  }
+
+  sendSocket(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }
+
+  async onSocketMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'task':
+        try {
+          await this.processTask(message.task);
+        } catch (error) {
+          console.error('Pushed task failed:', error);
+          this.notifyError(error);
+        }
+        this.sendSocket({ type: 'ready' });
+        break;
+
+      case 'result_ack': {
+        const pending = this.pendingResults.get(message.taskUuid);
+        if (pending) {
+          this.pendingResults.delete(message.taskUuid);
+          clearTimeout(pending.timer);
+          pending.resolve(message);
+        }
+        break;
+      }
+
+      case 'drain':
+        // Stay connected; the server pushes tasks again once it resumes
+        console.log('Server draining, backing off');
+        this.drainUntil = Date.now() + (message.retryAfterMs || SOCKET_RECONNECT_MS);
+        break;
+
+      case 'resume':
+        this.drainUntil = 0;
+        this.sendSocket({ type: 'ready' });
+        break;
+
+      case 'error':
+        console.log('Task socket error:', message.error);
+        if (message.error === 'Node is banned') {
+          this.stop();
+        } else {
+          setTimeout(() => this.sendSocket({ type: 'ready' }), 10000);
+        }
+        break;
+    }
+  }
+
+  submitOverSocket(task, result) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pendingResults.delete(task.task_uuid);
+        resolve({ success: false, error: 'Result acknowledgement timed out' });
+      }, SOCKET_RESULT_TIMEOUT_MS);
+
+      this.pendingResults.set(task.task_uuid, { resolve, timer });
+
+      this.sendSocket({
+        type: 'result',
+        taskUuid: task.task_uuid,
+        result: result.result,
+        executionTimeMs: result.execution_time_ms
+      });
+    });
+  }
+
   async requestTask() {
+    if (this.drainUntil > Date.now()) {
+      return { error: 'Server draining', retryAfterMs: this.drainUntil - Date.now() };
+    }
+
     try {
-      const response = await fetch(`${this.apiUrl}/api/compute/task/request`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          deviceId: this.deviceId,
-          capabilities: this.computeEngine.capabilities
-        })
+      const response = await this.signedPost('/api/compute/task/request', {
+        deviceId: this.deviceId,
+        capabilities: this.computeEngine.capabilities
       });
 
       if (response.status === 403) {
@@ -129,6 +318,20 @@ class OriusTaskClient {
         return { error: 'Node banned' };
       }
 
+      if (response.status === 503) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'));
+        const retryAfterMs = retryAfter > 0 ? retryAfter * 1000 : SOCKET_RECONNECT_MS;
+        console.log('Server draining, backing off');
+        this.drainUntil = Date.now() + retryAfterMs;
+        return { error: 'Server draining', retryAfterMs };
+      }
+
+      if (response.status === 401) {
+        const result = await response.json();
+        console.log('Signed request rejected:', result.error);
+        return { error: result.error || 'Unauthorized' };
+      }
+
       const result = await response.json();
       
       if (result.success && result.task) {
@@ -180,16 +383,16 @@ class OriusTaskClient {
   }
 
   async submitResult(task, result) {
+    if (this.socketConnected) {
+      return this.submitOverSocket(task, result);
+    }
+
     try {
-      const response = await fetch(`${this.apiUrl}/api/compute/task/submit`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          deviceId: this.deviceId,
-          taskUuid: task.task_uuid,
-          result: result.result,
-          executionTimeMs: result.execution_time_ms
-        })
+      const response = await this.signedPost('/api/compute/task/submit', {
+        deviceId: this.deviceId,
+        taskUuid: task.task_uuid,
+        result: result.result,
+        executionTimeMs: result.execution_time_ms
       });
 
       return await response.json();
@@ -200,6 +403,20 @@ class OriusTaskClient {
     }
   }
 
+  async signedPost(path, payload) {
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Device-ID': this.deviceId
+    };
+
+    if (this.identity) {
+      Object.assign(headers, await this.identity.signRequest('POST', path, body));
+    }
+
+    return fetch(`${this.apiUrl}${path}`, { method: 'POST', headers, body });
+  }
+
   on(event, callback) {
     if (this.callbacks.hasOwnProperty(`on${this.capitalize(event)}`)) {
       this.callbacks[`on${this.capitalize(event)}`] = callback;
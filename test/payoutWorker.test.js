@@ -0,0 +1,174 @@
+/**
+ * Orius Compute Network - Payout Worker Tests
+ * Drives the claim lifecycle against the mock ledger and a real database
+ * Developed by Orius Team
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bs58Module = require('bs58');
+const bs58 = bs58Module.default || bs58Module;
+
+const testDatabase = require('./helpers/database');
+
+process.env.PAYOUT_BATCHING = 'true';
+process.env.LOG_LEVEL = 'error';
+
+let db;
+let ledger;
+let payoutWorker;
+let mockLedger;
+
+before(async () => {
+  db = await testDatabase.start();
+  ledger = require('../src/ledger/ledger');
+  payoutWorker = require('../src/payouts/payoutWorker');
+
+  const MockLedgerAdapter = require('../src/payouts/adapters/mockLedger');
+  mockLedger = new MockLedgerAdapter({ treasuryBalance: 1000000, failureRate: 0 });
+  mockLedger.init();
+  payoutWorker.backend = mockLedger;
+});
+
+after(() => testDatabase.stop());
+
+beforeEach(() => mockLedger.reset());
+
+// ============================================
+// HELPERS
+// ============================================
+
+// A user with a claim on hold, as POST /claim leaves it
+async function createClaim(amount) {
+  const walletAddress = bs58.encode(crypto.randomBytes(32));
+
+  return db.transaction(async (client) => {
+    const { rows: [user] } = await client.query(
+      'INSERT INTO users (wallet_address) VALUES ($1) RETURNING id',
+      [walletAddress]
+    );
+    await ledger.post(client, 'online_reward', { userId: user.id, amount, referenceType: 'test' });
+
+    const { rows: [claim] } = await client.query(`
+      INSERT INTO claims (user_id, amount, status, payout_address)
+      VALUES ($1, $2, 'processing', $3)
+      RETURNING id
+    `, [user.id, amount, walletAddress]);
+    await ledger.post(client, 'claim_hold', {
+      userId: user.id,
+      amount,
+      referenceType: 'claim',
+      referenceId: claim.id
+    });
+
+    return { id: claim.id, userId: user.id, walletAddress, amount };
+  });
+}
+
+async function getClaim(id) {
+  const { rows } = await db.query('SELECT * FROM claims WHERE id = $1', [id]);
+  return rows[0];
+}
+
+// ============================================
+// TESTS
+// ============================================
+
+test('pays a claim and moves the hold to paid out', async () => {
+  const claim = await createClaim(12.5);
+
+  await payoutWorker.run();
+
+  const row = await getClaim(claim.id);
+  assert.equal(row.status, 'completed');
+  assert.equal(row.attempts, 1);
+  assert.ok(mockLedger.getTransaction(row.tx_signature));
+  assert.equal(mockLedger.getBalance(claim.walletAddress), 12.5);
+  assert.deepEqual(await ledger.getBalances(claim.userId), { available: 0, held: 0, earned: 12.5, paidOut: 12.5 });
+});
+
+test('retries a claim after a transient send failure', async () => {
+  const claim = await createClaim(5);
+  mockLedger.failNext('reject', '429 Too Many Requests');
+
+  await payoutWorker.run();
+
+  let row = await getClaim(claim.id);
+  assert.equal(row.status, 'processing');
+  assert.equal(row.attempts, 1);
+  assert.equal(row.error_message, '429 Too Many Requests');
+  assert.equal(row.locked_until, null);
+  assert.ok(row.next_attempt_at > new Date());
+  assert.equal(mockLedger.getBalance(claim.walletAddress), 0);
+
+  row = await payoutWorker.processNow(claim.id);
+  assert.equal(row.status, 'completed');
+  assert.equal(row.attempts, 2);
+  assert.equal(mockLedger.getBalance(claim.walletAddress), 5);
+});
+
+test('splits a batch to isolate a bad recipient', async () => {
+  const good = await createClaim(1);
+  const bad = await createClaim(2);
+  const other = await createClaim(3);
+  mockLedger.failRecipient(bad.walletAddress);
+
+  await payoutWorker.run();
+
+  for (const claim of [good, other]) {
+    const row = await getClaim(claim.id);
+    assert.equal(row.status, 'completed');
+    assert.equal(row.attempts, 1);
+    assert.equal(mockLedger.getBalance(claim.walletAddress), claim.amount);
+  }
+
+  const row = await getClaim(bad.id);
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, 1);
+  assert.match(row.error_message, /invalid account data/);
+  assert.equal(mockLedger.getBalance(bad.walletAddress), 0);
+  assert.deepEqual(await ledger.getBalances(bad.userId), { available: 2, held: 0, earned: 2, paidOut: 0 });
+});
+
+test('resubmits a transfer that expired unconfirmed, paying it once', async () => {
+  const claim = await createClaim(7);
+  mockLedger.failNext('drop');
+
+  await payoutWorker.run();
+
+  let row = await getClaim(claim.id);
+  const dropped = row.tx_signature;
+  assert.equal(row.status, 'submitted');
+  assert.equal(row.locked_until, null);
+  assert.ok(dropped);
+
+  // Still within its blockhash window, so it stays submitted
+  row = await payoutWorker.processNow(claim.id);
+  assert.equal(row.status, 'submitted');
+  assert.equal(row.tx_signature, dropped);
+
+  mockLedger.advanceBlocks();
+  row = await payoutWorker.processNow(claim.id);
+  assert.equal(row.status, 'processing');
+  assert.equal(row.error_message, 'Transfer expired before confirmation');
+
+  row = await payoutWorker.processNow(claim.id);
+  assert.equal(row.status, 'completed');
+  assert.notEqual(row.tx_signature, dropped);
+  assert.equal(row.attempts, 2);
+  assert.equal(mockLedger.getTransaction(dropped), null);
+  assert.equal(mockLedger.getBalance(claim.walletAddress), 7);
+});
+
+test('leaves a claim alone once its lease has passed to another worker', async () => {
+  const claim = await createClaim(4);
+  const [leased] = await payoutWorker.acquire(1, claim.id);
+
+  await db.query(`UPDATE claims SET locked_until = locked_until + INTERVAL '1 second' WHERE id = $1`, [claim.id]);
+  await payoutWorker.complete({ ...leased, tx_signature: 'stale' });
+
+  const row = await getClaim(claim.id);
+  assert.equal(row.status, 'processing');
+  assert.deepEqual(await ledger.getBalances(claim.userId), { available: 0, held: 4, earned: 4, paidOut: 0 });
+});
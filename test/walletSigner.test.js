@@ -0,0 +1,101 @@
+/**
+ * Orius Compute Network - Wallet Signer Tests
+ * Signs in with the extension's mock wallet against the real auth routes
+ * Developed by Orius Team
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const testDatabase = require('./helpers/database');
+const OriusWalletSigner = require('../wallet-signer');
+
+process.env.LOG_LEVEL = 'error';
+
+let server;
+let apiUrl;
+let walletAuth;
+let verifyWalletSignature;
+
+before(async () => {
+  await testDatabase.start();
+  walletAuth = require('../src/auth/walletAuth');
+  ({ verifyWalletSignature } = require('../src/utils/crypto'));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('../src/api/routes'));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await testDatabase.stop();
+});
+
+function signInRequest(walletAddress, deviceId) {
+  return {
+    walletAddress,
+    challenge: { path: '/api/auth/challenge', body: { walletAddress, deviceId } },
+    submit: { path: '/api/auth/verify', body: { walletAddress, deviceId } }
+  };
+}
+
+test('mock signer signatures verify as the wallet', async () => {
+  const signer = OriusWalletSigner.create('mock');
+  const address = await signer.getAddress();
+  const signature = await signer.signMessage('Sign in to Orius Network');
+
+  assert.equal(await signer.getAddress(), address);
+  assert.ok(verifyWalletSignature('Sign in to Orius Network', signature, address));
+  assert.ok(!verifyWalletSignature('Sign in to Orius Network!', signature, address));
+  assert.ok(!verifyWalletSignature('Sign in to Orius Network', signature, await OriusWalletSigner.create('mock').getAddress()));
+});
+
+test('signs in through the auth challenge and gets a working session', async () => {
+  const signer = OriusWalletSigner.create('mock');
+  const walletAddress = await signer.getAddress();
+  const deviceId = 'test-device-0001';
+
+  const session = await OriusWalletSigner.signedRequest(signer, apiUrl, signInRequest(walletAddress, deviceId));
+
+  assert.equal(session.success, true);
+  assert.ok(new Date(session.expiresAt) > new Date());
+
+  const validated = await walletAuth.validateSession(session.token);
+  assert.equal(validated.wallet_address, walletAddress);
+  assert.equal(validated.device_id, deviceId);
+});
+
+test('a signature from another wallet is rejected', async () => {
+  const signer = OriusWalletSigner.create('mock');
+  const impostor = { getAddress: () => signer.getAddress(), signMessage: message => OriusWalletSigner.create('mock').signMessage(message) };
+  const walletAddress = await signer.getAddress();
+
+  const session = await OriusWalletSigner.signedRequest(impostor, apiUrl, signInRequest(walletAddress, 'test-device-0002'));
+
+  assert.equal(session.success, false);
+  assert.equal(session.error, 'Invalid signature');
+});
+
+test('refuses to sign for a wallet other than the connected one', async () => {
+  const signer = OriusWalletSigner.create('mock');
+  const otherWallet = await OriusWalletSigner.create('mock').getAddress();
+
+  await assert.rejects(
+    OriusWalletSigner.signedRequest(signer, apiUrl, signInRequest(otherWallet, 'test-device-0003')),
+    /Connected wallet does not match this address/
+  );
+});
+
+test('the injected signer reports a missing wallet', async () => {
+  const signer = OriusWalletSigner.create('injected');
+
+  assert.equal(signer.isAvailable(), false);
+  await assert.rejects(signer.getAddress(), /No Solana wallet found/);
+});
@@ -0,0 +1,153 @@
+/**
+ * Orius Compute Network - Wallet Signer
+ * Signs server auth challenges with the user's Solana wallet
+ * For Chrome/Firefox extension
+ * Developed by Orius Team
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Encode(bytes) {
+  const digits = [0];
+
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let output = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    output += BASE58_ALPHABET[0];
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    output += BASE58_ALPHABET[digits[i]];
+  }
+  return output;
+}
+
+class InjectedWalletSigner {
+  getProvider() {
+    if (typeof window === 'undefined') return null;
+    return window.phantom?.solana || window.solana || null;
+  }
+
+  isAvailable() {
+    const provider = this.getProvider();
+    return !!(provider && provider.signMessage);
+  }
+
+  async getAddress() {
+    const provider = this.getProvider();
+    if (!provider) {
+      throw new Error('No Solana wallet found');
+    }
+
+    if (!provider.publicKey) {
+      await provider.connect();
+    }
+    return provider.publicKey.toString();
+  }
+
+  async signMessage(message) {
+    const provider = this.getProvider();
+    if (!provider || !provider.signMessage) {
+      throw new Error('No Solana wallet found');
+    }
+
+    const encoded = new TextEncoder().encode(message);
+    const signed = await provider.signMessage(encoded, 'utf8');
+    return base58Encode(signed.signature || signed);
+  }
+}
+
+// Local Ed25519 keypair for tests and preview mode - never holds real funds
+class MockWalletSigner {
+  constructor() {
+    this.keyPair = null;
+    this.address = null;
+  }
+
+  isAvailable() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  async ensureKeyPair() {
+    if (this.keyPair) return;
+
+    this.keyPair = await crypto.subtle.generateKey({ name: 'Ed25519' }, false, ['sign', 'verify']);
+    const rawPublicKey = await crypto.subtle.exportKey('raw', this.keyPair.publicKey);
+    this.address = base58Encode(new Uint8Array(rawPublicKey));
+  }
+
+  async getAddress() {
+    await this.ensureKeyPair();
+    return this.address;
+  }
+
+  async signMessage(message) {
+    await this.ensureKeyPair();
+    const signature = await crypto.subtle.sign(
+      { name: 'Ed25519' },
+      this.keyPair.privateKey,
+      new TextEncoder().encode(message)
+    );
+    return base58Encode(new Uint8Array(signature));
+  }
+}
+
+/**
+ * Runs a wallet-approved API call: fetches a challenge, has the signer sign its message and submits the
+ * signature with the challenge nonce. Resolves with the submit response body; its success is left to the caller.
+ */
+async function signedRequest(signer, apiUrl, { walletAddress, challenge, submit }) {
+  const signerAddress = await signer.getAddress();
+  if (signerAddress !== walletAddress) {
+    throw new Error('Connected wallet does not match this address');
+  }
+
+  const challengeResponse = await fetch(`${apiUrl}${challenge.path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(challenge.body)
+  });
+  const issued = await challengeResponse.json();
+
+  if (!issued.success) {
+    throw new Error(issued.error || 'Failed to get wallet challenge');
+  }
+
+  const signature = await signer.signMessage(issued.message);
+
+  const response = await fetch(`${apiUrl}${submit.path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...submit.body, nonce: issued.nonce, signature })
+  });
+  return response.json();
+}
+
+const OriusWalletSigner = {
+  create(type) {
+    return type === 'mock' ? new MockWalletSigner() : new InjectedWalletSigner();
+  },
+  signedRequest,
+  InjectedWalletSigner,
+  MockWalletSigner,
+  base58Encode
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OriusWalletSigner;
+}
+
+if (typeof self !== 'undefined') {
+  self.OriusWalletSigner = OriusWalletSigner;
+}